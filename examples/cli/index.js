@@ -6,8 +6,9 @@
  * telegram: https://t.me/F93ii
  * repository: https://github.com/rn0x/Audio2TextJS
  */
+import fs from 'node:fs/promises';
 import { Command } from 'commander/esm.mjs'; // Import using ES modules
-import Audio2TextJS from '../../src/Audio2TextJS.js'; // Import Audio2TextJS class
+import Audio2TextJS, { TranscriptionQueue } from '../../src/Audio2TextJS.js'; // Import Audio2TextJS class and job queue
 
 // Create a new Command instance
 const program = new Command();
@@ -17,10 +18,15 @@ program.description('Convert speech audio file to text using Audio2TextJS.');
 
 // Define command options and arguments
 program
-  .requiredOption('-i, --input <input>', 'Path to input audio file')
+  .requiredOption('-i, --input <input...>', 'Path to input audio file, or files, directories and glob patterns for batch mode')
   .option('-m, --model <model>', 'Name of the model to use', 'base')
   .option('-l, --language <language>', 'Spoken language for transcription', 'auto')
-  .option('-o, --output <output>', 'Path to save output file', 'output.txt');
+  .option('-o, --output <output>', 'Path to save output file', 'output.txt')
+  .option('-d, --out-dir <dir>', 'Batch mode: root of the mirrored output tree (defaults to next to each input)')
+  .option('-f, --formats <formats>', 'Batch mode: comma-separated output formats (json,txt,csv,srt,vtt,lrc)', 'txt')
+  .option('-c, --concurrency <number>', 'Batch mode: number of files transcribed at the same time', value => parseInt(value, 10), 1)
+  .option('--force', 'Batch mode: transcribe files even when their outputs are up to date')
+  .option('--report <file>', 'Batch mode: write the summary report as JSON to this file');
 
 // Handle command execution
 program.parse(process.argv);
@@ -33,18 +39,52 @@ if (!options.input) {
   process.exit(1);
 }
 
+const isBatch = options.input.length > 1 || await fs.stat(options.input[0]).then(stats => stats.isDirectory(), () => true);
+
+if (isBatch) {
+  // Batch mode: transcribe every matching file and print a summary
+  const formats = options.formats.split(',').map(format => format.trim().toLowerCase());
+  const converter = new Audio2TextJS(Object.fromEntries(formats.map(format => [`output${format.charAt(0).toUpperCase()}${format.slice(1)}`, true])));
+  converter.on('file', file => console.log(`[${file.status}] ${file.input}${file.status === 'failed' ? `: ${file.message}` : ''}`));
+
+  try {
+    const report = await converter.transcribeBatch(options.input, {
+      model: options.model,
+      language: options.language,
+      outputDir: options.outDir,
+      concurrency: options.concurrency,
+      force: options.force,
+    });
+    console.log(report.message);
+    if (report.realtimeFactor !== null) {
+      console.log(`Audio: ${(report.audioDuration / 1000).toFixed(1)} s, wall time: ${(report.duration / 1000).toFixed(1)} s, realtime factor: ${report.realtimeFactor.toFixed(3)}`);
+    }
+    if (options.report) await fs.writeFile(options.report, JSON.stringify(report, null, 2));
+    process.exit(report.success ? 0 : 1);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
 // Create an instance of Audio2TextJS
 const converter = new Audio2TextJS();
 
-// Run Audio2TextJS to convert audio to text
-converter.runWhisper(options.input, options.model, options.language)
+// Run the job through a queue, which reports its status and cancels it by id on Ctrl+C
+const queue = new TranscriptionQueue(converter, { concurrency: 1 });
+queue.on('status', job => console.error(`[${job.status}] ${job.inputFile}`));
+const jobId = queue.add(options.input[0], options.model, options.language);
+process.once('SIGINT', () => queue.cancel(jobId));
+
+// Wait for the job to convert audio to text
+queue.wait(jobId)
   .then(result => {
     if (result.success) {
       console.log('Conversion successful.');
       console.log('Transcribed text:');
-      console.log(result.output);
+      console.log(result.transcript.text);
       // Optionally save output to file
-      return fs.writeFile(options.output, result.output);
+      return fs.writeFile(options.output, result.transcript.text);
     } else {
       console.error('Conversion failed:', result.message);
       process.exit(1);
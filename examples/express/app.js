@@ -9,16 +9,14 @@
 // Import necessary modules
 import express from 'express';       // 🌐 Express framework for handling HTTP requests
 import multer from 'multer';         // 📁 Multer for handling file uploads
-import fs from 'fs/promises';        // 📄 Promises-based file system module
-import Audio2TextJS from '../../src/Audio2TextJS.js'; // 🗣️ Import Audio2TextJS class
+import Audio2TextJS, { AbortError, TranscriptionQueue } from '../../src/Audio2TextJS.js'; // 🗣️ Import Audio2TextJS class and job queue
 
 // Initialize Express application
 const app = express();
 const port = 3000;
-const uploadDir = 'uploads';        // 📂 Directory name for file uploads
 
-// Configure Multer for file uploads
-const upload = multer({ dest: uploadDir + '/' });
+// Configure Multer to keep uploads in memory, they are piped straight into ffmpeg
+const upload = multer({ storage: multer.memoryStorage() });
 
 // Setup Audio2TextJS with options
 const sttConverter = new Audio2TextJS({
@@ -26,24 +24,13 @@ const sttConverter = new Audio2TextJS({
     processors: 1,                  // 💻 Number of processors for computation
     duration: 0,                    // ⏳ Maximum duration for processing (0 for unlimited)
     maxLen: 0,                      // 📏 Maximum length of input (0 for unlimited)
-    outputJson: true,               // 📝 Output result in JSON format
+    outputJson: false,              // 📝 Output result in JSON format (disabled, the transcript is returned)
     outputTxt: false,               // 📝 Output result in plain text format (disabled)
     outputCsv: false                // 📝 Output result in CSV format (disabled)
 });
 
-// Middleware to create 'uploads' directory if it doesn't exist
-const createUploadsDirIfNotExists = async () => {
-    try {
-        await fs.access(uploadDir); // Check if directory exists
-    } catch (error) {
-        await fs.mkdir(uploadDir);  // Create directory if it doesn't exist
-    }
-};
-
-// Invoke middleware to create uploads directory
-createUploadsDirIfNotExists().catch(err => {
-    console.error('Error creating uploads directory:', err);
-});
+// Run at most 2 whisper processes at a time, the rest wait in the queue
+const queue = new TranscriptionQueue(sttConverter, { concurrency: 2 }); // 🚦 Job queue
 
 /**
  * POST route to receive an audio file and convert it to text.
@@ -60,17 +47,17 @@ app.post('/convert-audio', upload.single('audio'), async (req, res) => {
             return res.status(400).send('Please provide a valid audio file.'); // Handle missing file error
         }
 
-        const inputFile = req.file.path; // Get path of uploaded file
-
-        // Run audio to text conversion using Audio2TextJS
-        const result = await sttConverter.runWhisper(inputFile, 'base', 'auto');
+        // Queue the audio to text conversion of the uploaded Buffer and cancel it if the client disconnects
+        const jobId = queue.add(req.file.buffer, 'base', 'auto');
+        res.on('close', () => queue.cancel(jobId));
+        const result = await queue.wait(jobId);
 
         // Handle successful conversion response
         if (result.success) {
             res.json({
                 success: true,
                 message: 'Conversion successful.', // Success message
-                text: result.output              // Converted text
+                text: result.transcript.text     // Converted text
             });
         } else {
             res.status(500).json({
@@ -80,6 +67,7 @@ app.post('/convert-audio', upload.single('audio'), async (req, res) => {
             });
         }
     } catch (error) {
+        if (error instanceof AbortError) return; // Client disconnected, nothing to send
         res.status(500).json({
             success: false,
             message: 'An error occurred while processing the request.', // Internal server error
@@ -88,6 +76,24 @@ app.post('/convert-audio', upload.single('audio'), async (req, res) => {
     }
 });
 
+/**
+ * GET route to list the queued, running and finished jobs.
+ * @route GET /jobs
+ * @returns {object} 200 - The jobs
+ */
+app.get('/jobs', (req, res) => {
+    res.json(queue.listJobs().map(({ result, ...job }) => job));
+});
+
+/**
+ * DELETE route to cancel a queued or running job.
+ * @route DELETE /jobs/:id
+ * @returns {object} 200 - Whether the job was cancelled
+ */
+app.delete('/jobs/:id', (req, res) => {
+    res.json({ cancelled: queue.cancel(req.params.id) });
+});
+
 // Start server and listen on specified port
 app.listen(port, () => {
     console.log(`Server is running on http://localhost:${port}`); // Server startup message
@@ -7,29 +7,193 @@
  */
 
 import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import readline from 'node:readline';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import os from 'node:os';
 import fs from 'node:fs/promises';
-import convertAudioFile from './convertAudioFile.js';
+import { existsSync } from 'node:fs';
+import convertAudioFile, { isAudioSource } from './convertAudioFile.js';
 import whisperDownloader from './downloadWhisperModels.js';
+import Transcript from './Transcript.js';
+import splitAudioFile, { getAudioDuration } from './splitAudioFile.js';
+import stitchTranscripts from './stitchTranscripts.js';
+import { getJobDir, loadManifest, saveManifest } from './jobManifest.js';
+import { DEFAULT_VAD_OPTIONS, detectSpeechRegions, writeSpeechFile, toOriginalTime, mapTranscriptToOriginal } from './detectVoiceActivity.js';
+import { DEFAULT_MAX_LINE_LENGTH, DEFAULT_MAX_LINES } from './formatSubtitles.js';
+import { parseProgressLine, parseSegmentLine, parseLanguageLine } from './parseWhisperOutput.js';
+import { validateLanguage, rankLanguages } from './languages.js';
+import { PERFORMANCE_OPTIONS, validateWhisperOptions, pickWhisperOptions, toWhisperArgs } from './whisperOptions.js';
+import { expandInputs } from './batchInputs.js';
+import { parseSize, checkBinary, getDiskSpace } from './diagnostics.js';
+import { getModels, resolveModel, formatModelsTable } from './modelRegistry.js';
+import { getModelsDir, listCachedModels, pruneModels } from './modelCache.js';
+import { isOffline } from './httpDownload.js';
+import { BINARIES, getBundledPath, resolveBinary, getBinaryEnv, spawnBinary } from './resolveBinaries.js';
+import TranscriptionQueue from './TranscriptionQueue.js';
+import { createAbortSignal, throwIfAborted, toAbortError } from './abortSignal.js';
+import { Audio2TextError, AbortError, ModelNotFoundError, DownloadError, ConversionError, WhisperProcessError, UnsupportedPlatformError, BinaryNotFoundError, InputNotFoundError, UnsupportedLanguageError } from './errors.js';
+
+/**
+ * @typedef {Object} BatchFileReport
+ * @property {string} input - Absolute path of the input file.
+ * @property {'done'|'failed'|'skipped'|'cancelled'} status - What happened to the file.
+ * @property {string} message - The `runWhisper` message, or the failure or skip reason.
+ * @property {Array<string>} outputs - The output files (empty unless done or skipped).
+ * @property {number|null} duration - Processing time in milliseconds.
+ * @property {number|null} audioDuration - Length of the audio in milliseconds (done files only).
+ * @property {number|null} realtimeFactor - Processing time divided by audio length (below 1 is faster than realtime).
+ */
+
+/**
+ * @typedef {Object} BatchReport
+ * @property {boolean} success - True if no file failed or was cancelled.
+ * @property {string} message - A one-line summary.
+ * @property {number} total - Number of files.
+ * @property {number} succeeded - Number of transcribed files.
+ * @property {number} skipped - Number of files with up-to-date outputs.
+ * @property {number} failed - Number of failed files.
+ * @property {number} cancelled - Number of cancelled files.
+ * @property {number} duration - Wall-clock time of the batch in milliseconds.
+ * @property {number} audioDuration - Total length of the transcribed audio in milliseconds.
+ * @property {number|null} realtimeFactor - Total processing time divided by total audio length.
+ * @property {Array<BatchFileReport>} files - Per-file reports, in input order.
+ */
+
+/**
+ * @typedef {Object} ModelReport
+ * @property {string} name - The model name.
+ * @property {string} file - Path of the model file.
+ * @property {boolean} installed - Whether the model file exists.
+ * @property {number|null} size - Size of the model file in bytes.
+ * @property {number|null} expectedSize - Download size from the model registry (exact when known, else approximate), in bytes.
+ * @property {number|null} ram - Approximate memory needed to run the model, from the model registry, in bytes (null if unknown).
+ * @property {boolean|null} valid - Whether the installed file is a complete ggml file (null if not installed).
+ * @property {boolean|null} fitsInMemory - Whether `ram` is below the total memory of the machine.
+ * @property {boolean|null} fitsOnDisk - Whether the model is installed or fits in the free disk space.
+ * @property {Array<string>} problems - What is wrong with the installed file.
+ */
+
+/**
+ * @typedef {Object} DiagnosticReport
+ * @property {boolean} success - True if no problem was found.
+ * @property {string} message - A one-line summary.
+ * @property {string} platform - The operating system.
+ * @property {string} arch - The host architecture.
+ * @property {string} node - The Node.js version.
+ * @property {Array<import('./diagnostics.js').BinaryReport>} binaries - The whisper, ffmpeg and ffprobe reports.
+ * @property {Array<ModelReport>} models - One report per known model.
+ * @property {{ path: string, free: number, total: number }|null} disk - Space on the file system of the models directory, in bytes.
+ * @property {{ free: number, total: number }} memory - Memory of the machine, in bytes.
+ * @property {Array<string>} problems - What prevents transcription from working.
+ * @property {Array<string>} warnings - What may make some models fail (memory, disk space).
+ */
+
+/**
+ * @typedef {Object} MissingArtifact
+ * @property {'binary'|'model'} type - What is missing.
+ * @property {string} name - The binary (`whisper`, `ffmpeg`, `ffprobe`) or the model.
+ * @property {string|null} path - Where it is expected.
+ * @property {string} message - Why it cannot be used.
+ */
+
+/**
+ * Builds the error of a job that fails in offline mode: a BinaryNotFoundError when a binary is missing (the job
+ * cannot run whatever the model), otherwise a ModelNotFoundError. Its message and `missing` list everything missing.
+ * @param {Array<MissingArtifact>} missing - The missing binaries and models.
+ * @returns {BinaryNotFoundError|ModelNotFoundError} - The error.
+ */
+function createMissingArtifactsError(missing) {
+    const list = missing.map(artifact => `${artifact.type} ${artifact.name} (${artifact.path || 'not available for this platform'})`);
+    const message = `Offline mode: missing ${list.join(', ')}. Install them from a bundle with installBundle (audio2textjs install-from-bundle).`;
+    const binary = missing.find(artifact => artifact.type === 'binary');
+    const model = missing.find(artifact => artifact.type === 'model');
+    const error = binary
+        ? new BinaryNotFoundError(message, { binary: binary.name, path: binary.path })
+        : new ModelNotFoundError(message, { model: model.name, modelFile: model.path });
+    return Object.assign(error, { missing });
+}
+
+/**
+ * Length in milliseconds of the audio whisper detects the language of in one run.
+ * @type {number}
+ */
+const LANGUAGE_WINDOW_MS = 30000;
+
+/**
+ * Wraps an unexpected failure of a job in an Audio2TextError, so that callers always get a typed `error`.
+ * @param {Error} error - The failure.
+ * @returns {Audio2TextError} - The error itself if it already is one, otherwise an Audio2TextError caused by it.
+ */
+function toAudio2TextError(error) {
+    return error instanceof Audio2TextError ? error : new Audio2TextError(error.message, { cause: error });
+}
 
 /**
  * A class to run the Whisper tool for audio processing and transcription.
+ *
+ * Emits the following events while `runWhisper` is running:
+ * - `stage` `{ inputFile, stage }` where `stage` is one of `downloading-model`, `converting-audio`, `detecting-language` (`detectLanguage` only), `detecting-speech` (with `vad` only), `splitting-audio` (chunked mode only), `transcribing`, `reading-outputs`.
+ * - `progress` `{ inputFile, percent }` as reported by whisper's `--print-progress`.
+ * - `segment` `{ inputFile, start, end, text }` for each timestamped line whisper prints (times in milliseconds), plus `speakerTurnNext: true` when a tinydiarize model marks a speaker turn after it. In chunked mode, text in chunk overlaps is emitted twice.
+ * - `chunk` `{ inputFile, index, count, start, end }` when a chunk has been transcribed (chunked mode only). With `vad`, chunk times are positions in the speech-only audio.
+ * - `file` with the report entry of each file of a `transcribeBatch` call once it is done, failed, skipped or cancelled.
+ * @extends EventEmitter
  */
-class Audio2TextJS {
+class Audio2TextJS extends EventEmitter {
     /**
      * Creates an instance of WhisperRunner.
      * @param {Object} [options={}] - Options for configuring WhisperRunner.
      * @param {number} [options.threads=4] - Number of threads to use during computation.
      * @param {number} [options.processors=1] - Number of processors to use during computation.
+     * @param {number} [options.offset] - Time offset in milliseconds at which to start transcribing (`--offset-t`).
      * @param {number} [options.duration=0] - Duration of audio to process in milliseconds.
      * @param {number} [options.maxLen=0] - Maximum segment length in characters.
-     * @param {boolean} [options.outputJson=true] - Whether to output result in JSON format.
-     * @param {boolean} [options.outputTxt=false] - Whether to output result in TXT format.
-     * @param {boolean} [options.outputCsv=false] - Whether to output result in CSV format.
+     * @param {number} [options.maxContext] - Maximum number of text context tokens to store, -1 for all (`--max-context`).
+     * @param {number} [options.beamSize] - Beam size for beam search, 1 to 16 (`--beam-size`).
+     * @param {number} [options.bestOf] - Number of best candidates to keep, 1 to 16 (`--best-of`).
+     * @param {number} [options.temperature] - Sampling temperature, 0 to 1 (`--temperature`).
+     * @param {number} [options.entropyThold] - Entropy threshold for decoder fallback (`--entropy-thold`).
+     * @param {boolean} [options.noFallback] - Do not retry decoding at higher temperatures (`--no-fallback`).
+     * @param {string} [options.prompt] - Initial prompt, e.g. domain vocabulary (`--prompt`).
+     * @param {boolean} [options.translate=false] - Translate the transcription to English (`--translate`).
+     * @param {boolean} [options.outputJson=false] - Whether to persist the result as a JSON file.
+     * @param {boolean} [options.outputTxt=false] - Whether to persist the result as a TXT file.
+     * @param {boolean} [options.outputCsv=false] - Whether to persist the result as a CSV file.
+     * @param {boolean} [options.outputSrt=false] - Whether to persist the result as a SubRip (SRT) subtitle file.
+     * @param {boolean} [options.outputVtt=false] - Whether to persist the result as a WebVTT subtitle file.
+     * @param {boolean} [options.outputLrc=false] - Whether to persist the result as an LRC lyrics file (word-timed with `wordTimestamps`).
+     * @param {boolean} [options.outputAll=false] - Whether to persist the result in every format.
+     * @param {boolean} [options.wordTimestamps=false] - Request token-level data from whisper (`--output-json-full`, `--split-on-word`) to build per-word timing; the WebVTT output then highlights words as they are spoken.
+     * @param {number} [options.subtitleMaxLineLength] - Maximum characters per subtitle line (defaults to `maxLen` when set, otherwise 42).
+     * @param {number} [options.subtitleMaxLines=2] - Maximum lines per subtitle cue.
+     * @param {number} [options.timeout=0] - Default timeout in milliseconds for each `runWhisper` call (0 for none).
+     * @param {string} [options.workDir=os.tmpdir()] - Directory in which each job creates its temporary directory.
+     * @param {boolean} [options.keepTempFiles=false] - Keep the per-job temporary directory for debugging.
+     * @param {string} [options.outputDir] - Directory for persisted output files (defaults to the input file's directory, or the current directory for Buffer and stream input).
+     * @param {number} [options.chunkMinutes=0] - Transcribe in chunks of this many minutes (0 to transcribe in one whisper run).
+     * @param {number} [options.chunkOverlap=5] - Overlap between consecutive chunks in seconds.
+     * @param {number} [options.chunkConcurrency=1] - Number of chunks transcribed in parallel, sharing the `threads`/`processors` budget.
+     * @param {boolean|Object} [options.vad=false] - Remove silence before transcription (`true` for the defaults, or an object overriding them).
+     * @param {number} [options.vad.threshold=-40] - Level in dBFS above which audio counts as speech.
+     * @param {number} [options.vad.minSilenceMs=1000] - Shortest silence that is removed.
+     * @param {number} [options.vad.minSpeechMs=250] - Shortest sound that counts as speech.
+     * @param {number} [options.vad.paddingMs=300] - Silence kept around speech.
+     * @param {number} [options.vad.frameMs=30] - Analysis frame length.
+     * @param {string} [options.whisperPath] - Path to a whisper.cpp executable (overrides `AUDIO2TEXT_WHISPER_PATH`, the bundled binary and `PATH`).
+     * @param {string} [options.ffmpegPath] - Path to an ffmpeg executable (overrides `AUDIO2TEXT_FFMPEG_PATH`, the bundled binary and `PATH`).
+     * @param {string} [options.ffprobePath] - Path to an ffprobe executable (overrides `AUDIO2TEXT_FFPROBE_PATH`, the bundled binary and `PATH`).
+     * @param {string} [options.modelsDir] - Directory models are downloaded to and cached in (overrides `AUDIO2TEXT_MODELS_DIR` and the default `~/.cache/audio2textjs`).
+     * @param {string} [options.modelsMirror] - Base URL of a mirror of the built-in models (overrides `AUDIO2TEXT_MODELS_MIRROR` and Hugging Face).
+     * @param {boolean} [options.offline] - Never touch the network: jobs fail up front, listing the missing binaries and models, instead of downloading them (defaults to `AUDIO2TEXT_OFFLINE`).
+     * @param {boolean} [options.throwOnError=false] - Make `runWhisper` and `detectLanguage` reject with the error classes of `errors.js` instead of resolving with `success: false`.
+     * @param {{ log: Function, error: Function }} [options.logger=console] - Where the model download messages are written.
+     * @throws {RangeError} If a whisper option has the wrong type or is out of range.
      */
     constructor(options = {}) {
+        super();
         /**
          * Default options for Audio2TextJS.
          * @type {Object}
@@ -42,22 +206,38 @@ class Audio2TextJS {
             outputJson: false,
             outputTxt: false,
             outputCsv: false,
+            outputSrt: false,
+            outputVtt: false,
+            outputLrc: false,
+            wordTimestamps: false,
+            subtitleMaxLines: 2,
+            timeout: 0,
+            workDir: os.tmpdir(),
+            keepTempFiles: false,
+            chunkMinutes: 0,
+            chunkOverlap: 5,
+            chunkConcurrency: 1,
+            vad: false,
+            offline: isOffline(),
+            throwOnError: false,
+            logger: console,
         };
         /**
          * Merged options with defaults.
          * @type {Object}
          */
         this.options = { ...this.defaultOptions, ...options };
+        validateWhisperOptions(this.options);
         /**
          * Directory name of the current module.
          * @type {string}
          */
         this.__dirname = path.dirname(fileURLToPath(import.meta.url));
         /**
-         * Path to the models directory.
+         * Path to the models directory, see `getModelsDir`.
          * @type {string}
          */
-        this.models = path.join(this.__dirname, "models");
+        this.models = getModelsDir({ modelsDir: this.options.modelsDir });
         /**
          * System architecture.
          * @type {string}
@@ -69,119 +249,149 @@ class Audio2TextJS {
          */
         this.platform = os.platform();
         /**
-         * List of available models with their file names.
+         * List of available models with their file names, from the model registry when the instance was created.
          * @type {Object}
          */
-        this.MODELS_LIST = {
-            "tiny": "ggml-tiny.bin",
-            "tiny.en": "ggml-tiny.en.bin",
-            "base": "ggml-base.bin",
-            "base.en": "ggml-base.en.bin",
-            "small": "ggml-small.bin",
-            "small.en": "ggml-small.en.bin",
-            "medium": "ggml-medium.bin",
-            "medium.en": "ggml-medium.en.bin",
-            "large-v1": "ggml-large-v1.bin",
-            "large": "ggml-large.bin"
-        };
+        this.MODELS_LIST = Object.fromEntries(getModels().map(entry => [entry.name, entry.filename]));
         /**
          * Information about the models including disk and RAM usage.
          * @type {string}
          */
-        this.MODELS_INFO = `
-    | Model     | Disk   | RAM     |
-    |-----------|--------|---------|
-    | tiny      |  75 MB | ~390 MB |
-    | tiny.en   |  75 MB | ~390 MB |
-    | base      | 142 MB | ~500 MB |
-    | base.en   | 142 MB | ~500 MB |
-    | small     | 466 MB | ~1.0 GB |
-    | small.en  | 466 MB | ~1.0 GB |
-    | medium    | 1.5 GB | ~2.6 GB |
-    | medium.en | 1.5 GB | ~2.6 GB |
-    | large-v1  | 2.9 GB | ~4.7 GB |
-    | large     | 2.9 GB | ~4.7 GB |
-    `;
+        this.MODELS_INFO = formatModelsTable();
+    }
+
+    /**
+     * Resolves one of the binaries: the `whisperPath`/`ffmpegPath`/`ffprobePath` option, then the
+     * `AUDIO2TEXT_WHISPER_PATH`/`AUDIO2TEXT_FFMPEG_PATH`/`AUDIO2TEXT_FFPROBE_PATH` environment variable, then the
+     * bundled binary, then `PATH` (see `resolveBinaries.js`).
+     * @param {'whisper'|'ffmpeg'|'ffprobe'} name - The binary.
+     * @returns {{ path: string, source: 'option'|'env'|'bundled'|'path'|null }} - The path and where it came from. When the binary is not found, the path is where the bundled binary is expected and the source is null.
+     * @throws {UnsupportedPlatformError} If the binary is not found and none is bundled for this platform.
+     */
+    getBinary(name) {
+        const resolved = resolveBinary(name, { path: this.options[`${name}Path`], platform: this.platform, arch: this.arch });
+        if (resolved.path) return resolved;
+        const bundledPath = getBundledPath(name, { platform: this.platform, arch: this.arch });
+        if (!bundledPath) {
+            throw new UnsupportedPlatformError(`No ${name} binary is bundled for ${this.platform}-${this.arch}. Set the ${name}Path option or ${BINARIES[name].env}, or install ${name} on PATH.`, { platform: this.platform, arch: this.arch, binary: name });
+        }
+        return { path: bundledPath, source: null };
     }
 
     /**
-     * Determines the path to the Whisper executable based on the operating system.
+     * Determines the path to the Whisper executable, see `getBinary`.
      * @returns {string} - The path to the Whisper executable.
      */
     getWhisperPath() {
-        const dirBin = path.join(this.__dirname, "bin");
-        if (this.platform === 'win32') {
-            return path.join(dirBin, "win32", "whisper.exe");
-        } else if (this.platform === 'linux' || this.platform === 'android') {
-            if (this.arch === 'x64') {
-                return path.join(dirBin, "linux", "whisper");
-            } else if (['arm64', 'arm'].includes(this.arch)) {
-                return path.join(dirBin, "linux", "whisper-aarch64");
-            }
-        } else {
-            throw new Error('Unsupported operating system.');
-        }
+        return this.getBinary('whisper').path;
     }
 
     /**
-    * Determines the path to the ffprobe executable based on the operating system.
+    * Determines the path to the ffprobe executable, see `getBinary`.
     * @returns {string} - The path to the ffprobe executable.
     */
     getFFprobePath() {
-        const dirBin = path.join(this.__dirname, "bin");
-        if (this.platform === 'win32') {
-            return path.join(dirBin, "win32", "ffprobe.exe");
-        } else if (this.platform === 'linux' || this.platform === 'android') {
-            if (this.arch === 'x64') {
-                return path.join(dirBin, "linux", "ffprobe");
-            } else if (['arm64', 'arm'].includes(this.arch)) {
-                return path.join(dirBin, "linux", "ffprobe-aarch64");
-            }
-        } else {
-            throw new Error('Unsupported operating system.');
-        }
+        return this.getBinary('ffprobe').path;
     }
 
     /**
-     * Runs the Whisper tool with the specified input file, model file, and output file.
-     * @param {string} inputFile - Path to the input WAV file.
-     * @param {'tiny'|'tiny.en'|'base'|'base.en'|'small'|'small.en'|'medium'|'medium.en'|'large-v1'|'large'} model - The name of the model to download. Must be one of "tiny.en", "tiny", "base.en", "base", "small.en", "small", "medium.en", "medium", "large-v1", "large".
-     * @param {string} language - Spoken language ('auto' for auto-detect).
-     * @returns {Promise<{ success: boolean, message: string, output?: any }>} - A promise that resolves with success status, message, and optional output data upon completion.
+    * Determines the path to the ffmpeg executable, see `getBinary`.
+    * @returns {string} - The path to the ffmpeg executable.
+    */
+    getFFmpegPath() {
+        return this.getBinary('ffmpeg').path;
+    }
+
+    /**
+     * Returns the environment whisper runs with, see `getBinaryEnv` (the bundled Linux build gets its shared libraries on `LD_LIBRARY_PATH`).
+     * @returns {Object} - The environment.
      */
-    async runWhisper(inputFile, model, language) {
-        const { threads, processors, duration, maxLen, outputJson, outputTxt, outputCsv, outputAll, translate } = this.options;
+    getWhisperEnv() {
+        return getBinaryEnv(this.getWhisperPath(), { platform: this.platform });
+    }
 
-        const resultDownModel = await whisperDownloader.downloadModel(model);
-        if (!resultDownModel.success) return { success: false, message: `Failed to download ggml model ${model}` };
+    /**
+     * Ends a `runWhisper` or `detectLanguage` call that failed. With the `throwOnError` option the error is thrown;
+     * otherwise the legacy `{ success: false, message }` result is returned, with the error attached as `error`.
+     * @param {Audio2TextError} error - The failure.
+     * @param {Object} [result={}] - More result properties; a `message` here replaces the message of the error.
+     * @returns {{ success: false, message: string, error: Audio2TextError }} - The result.
+     * @throws {Audio2TextError} With `throwOnError`.
+     */
+    fail(error, result = {}) {
+        if (this.options.throwOnError) throw error;
+        return { success: false, message: error.message, ...result, error };
+    }
 
-        // Convert the audio file to a suitable format using the convertAudioFile function
-        // If the conversion fails, return an object containing the error information
-        const CWF = await convertAudioFile(inputFile);
-        if (!CWF.success) return { success: false, message: CWF.message };
+    /**
+     * Returns the output formats that should be persisted to disk, based on the output options.
+     * @returns {Array<'json'|'txt'|'csv'|'srt'|'vtt'|'lrc'>} - The enabled output formats.
+     */
+    getOutputFormats() {
+        const { outputJson, outputTxt, outputCsv, outputSrt, outputVtt, outputLrc, outputAll } = this.options;
+        const formats = [];
+        if (outputJson || outputAll) formats.push('json');
+        if (outputTxt || outputAll) formats.push('txt');
+        if (outputCsv || outputAll) formats.push('csv');
+        if (outputSrt || outputAll) formats.push('srt');
+        if (outputVtt || outputAll) formats.push('vtt');
+        if (outputLrc || outputAll) formats.push('lrc');
+        return formats;
+    }
 
-        const args = [
-            `--threads`, `${threads}`,
-            `--processors`, `${processors}`,
-            `--duration`, `${duration}`,
-            `--max-len`, `${maxLen}`,
-            (outputJson || outputAll) ? '--output-json' : '',
-            (outputTxt || outputAll) ? '--output-txt' : '',
-            (outputCsv || outputAll) ? '--output-csv' : '',
-            translate ? '--translate' : '',
-            `--model`, `${resultDownModel.modelFile}`,
-            `--language`, `${language}`,
-            `--file`, `${CWF.output}`,
-        ].filter(Boolean);
+    /**
+     * Returns the whisper options of a call: the instance options overridden by the per-call options.
+     * @param {Object} [overrides={}] - Per-call options; keys that are not whisper options are ignored.
+     * @returns {Object} - The validated whisper options, see `whisperOptions.js`.
+     * @throws {RangeError} If an option has the wrong type or is out of range.
+     */
+    getWhisperOptions(overrides = {}) {
+        const whisperOptions = pickWhisperOptions(this.options, overrides);
+        validateWhisperOptions(whisperOptions);
+        return whisperOptions;
+    }
+
+    /**
+     * Returns the subtitle cue options derived from the instance options.
+     * @param {number} [maxLen] - Maximum segment length of the call (defaults to the `maxLen` instance option).
+     * @returns {{ maxLineLength: number, maxLines: number, words: boolean }} - The subtitle options.
+     */
+    getSubtitleOptions(maxLen = this.options.maxLen) {
+        const { subtitleMaxLineLength, subtitleMaxLines, wordTimestamps } = this.options;
+        return {
+            maxLineLength: subtitleMaxLineLength || maxLen || DEFAULT_MAX_LINE_LENGTH,
+            maxLines: subtitleMaxLines || DEFAULT_MAX_LINES,
+            words: Boolean(wordTimestamps),
+        };
+    }
+
+    /**
+     * Returns the voice activity detection options, or null when it is disabled.
+     * @returns {Object|null} - The options passed to `detectSpeechRegions`.
+     */
+    getVadOptions() {
+        const { vad } = this.options;
+        if (!vad) return null;
+        return { ...DEFAULT_VAD_OPTIONS, ...(typeof vad === 'object' ? vad : {}) };
+    }
 
+    /**
+     * Spawns the whisper process and forwards its progress and segment output as events.
+     * @param {Array<string>} args - Arguments for the whisper executable.
+     * @param {Object} options - Spawn options.
+     * @param {*} options.inputFile - The input the job was started for, included in emitted events.
+     * @param {AbortSignal} [options.signal] - Signal that kills the process when aborted.
+     * @param {number} [options.offset=0] - Offset in milliseconds added to the times of emitted segments.
+     * @param {Array<Object>} [options.timeline=[]] - Timeline of speech-only audio, used to map emitted segment times back to the original audio.
+     * @param {Function} [options.onProgress] - Receives whisper's progress percentage instead of it being emitted directly.
+     * @returns {Promise<{ code: number, stderr: string }>} - A promise that resolves with the exit code and stderr output once the process closes. Rejects with a WhisperProcessError if the process cannot be started.
+     */
+    spawnWhisper(args, { inputFile, signal, offset = 0, timeline = [], onProgress }) {
         const whisperPath = this.getWhisperPath();
         const subprocess = spawn(whisperPath, args, {
-            env: {
-                ...process.env,
-                LD_LIBRARY_PATH: (this.platform === 'linux' || this.platform === 'android') ? path.join(this.__dirname, 'bin', 'linux') : ''
-            }
+            env: this.getWhisperEnv(),
+            signal
         });
-        const command = subprocess.spawnargs.join(" ");
 
         let stderr = '';
 
@@ -190,55 +400,766 @@ class Audio2TextJS {
                 stderr += data.toString();
             });
 
-            subprocess.on('close', async (code) => {
-                if (code === 0) {
-                    const outputFiles = [];
-
-                    if (outputJson || outputAll) {
-                        try {
-                            const jsonContent = await fs.readFile(`${CWF.output}.json`, 'utf-8');
-                            outputFiles.push({ type: 'json', data: JSON.parse(jsonContent), outputFile: `${CWF.output}.json` });
-                        } catch (error) {
-                            return resolve({ success: false, message: `Failed to read or parse JSON output file: ${error.message}` });
-                        }
+            readline.createInterface({ input: subprocess.stderr }).on('line', (line) => {
+                const percent = parseProgressLine(line);
+                if (percent === null) return;
+                if (onProgress) onProgress(percent);
+                else this.emit('progress', { inputFile, percent });
+            });
+
+            readline.createInterface({ input: subprocess.stdout }).on('line', (line) => {
+                const segment = parseSegmentLine(line);
+                if (!segment) return;
+                const start = toOriginalTime(segment.start + offset, timeline, true);
+                const end = toOriginalTime(segment.end + offset, timeline);
+                this.emit('segment', { inputFile, ...segment, start, end });
+            });
+
+            subprocess.on('close', (code) => {
+                resolve({ code, stderr });
+            });
+
+            subprocess.on('error', (err) => {
+                reject(new WhisperProcessError(`Failed to start whisper (${whisperPath}): ${err.message}`, { cause: err }));
+            });
+        });
+    }
+
+    /**
+     * Transcribes a 16 kHz WAV file with a single whisper process and reads its JSON output.
+     * @param {string} wavFile - Path to the WAV file.
+     * @param {string} outputBase - Path (without extension) where whisper writes its JSON output.
+     * @param {string} modelFile - Path to the ggml model file.
+     * @param {string} language - Spoken language ('auto' for auto-detect).
+     * @param {Object} options - Transcription options.
+     * @param {*} options.inputFile - The input the job was started for, included in emitted events.
+     * @param {AbortSignal} [options.signal] - Signal that kills the process when aborted.
+     * @param {Object} options.whisperOptions - Whisper options (threads, decoding, ...), see `getWhisperOptions`.
+     * @param {number} [options.offset=0] - Position of the WAV file on the original timeline, in milliseconds.
+     * @param {Array<Object>} [options.timeline] - Timeline of speech-only audio, see `spawnWhisper`.
+     * @param {boolean} [options.diarize=false] - Pass `--tinydiarize` to mark speaker turns (requires a tinydiarize model).
+     * @param {Function} [options.onProgress] - Receives whisper's progress percentage.
+     * @returns {Promise<{ success: boolean, message?: string, whisperJson?: Object, error?: WhisperProcessError }>} - A promise that resolves with the parsed whisper JSON output.
+     */
+    async transcribeFile(wavFile, outputBase, modelFile, language, { inputFile, signal, whisperOptions, offset = 0, timeline, diarize = false, onProgress }) {
+        const { wordTimestamps } = this.options;
+        const args = [
+            ...toWhisperArgs(whisperOptions),
+            '--output-json',
+            wordTimestamps ? '--output-json-full' : '',
+            wordTimestamps ? '--split-on-word' : '',
+            `--output-file`, outputBase,
+            '--print-progress',
+            diarize ? '--tinydiarize' : '',
+            `--model`, `${modelFile}`,
+            `--language`, `${language}`,
+            `--file`, `${wavFile}`,
+        ].filter(Boolean);
+
+        const { code, stderr } = await this.spawnWhisper(args, { inputFile, signal, offset, timeline, onProgress });
+        if (code !== 0) {
+            const error = new WhisperProcessError(`Whisper process failed with code ${code}.`, { exitCode: code, stderr });
+            return { success: false, message: `Whisper process failed with code ${code}. stderr: ${stderr}`, error };
+        }
+
+        try {
+            const whisperJson = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf-8'));
+            return { success: true, whisperJson };
+        } catch (error) {
+            const message = `Failed to read or parse JSON output file: ${error.message}`;
+            return { success: false, message, error: new WhisperProcessError(message, { exitCode: code, stderr, cause: error }) };
+        }
+    }
+
+    /**
+     * Splits a WAV file into overlapping chunks, transcribes them (in parallel up to `chunkConcurrency`)
+     * and stitches the results back together on the original timeline.
+     * With N parallel chunks, each whisper process gets `threads * processors / N` threads and one processor.
+     * @param {string} wavFile - Path to the converted WAV file.
+     * @param {string} modelFile - Path to the ggml model file.
+     * @param {string} language - Spoken language ('auto' for auto-detect).
+     * @param {Object} options - Transcription options.
+     * @param {*} options.inputFile - The input the job was started for, included in emitted events.
+     * @param {string} options.jobDir - Directory for the chunk files and whisper output.
+     * @param {AbortSignal} [options.signal] - Signal that kills running processes when aborted.
+     * @param {import('./jobManifest.js').JobManifest} [options.manifest] - Manifest of a resumable job: chunks it lists are not transcribed again, and every finished chunk is recorded in it.
+     * @param {Object} options.whisperOptions - Whisper options, see `getWhisperOptions`. `offset` and `duration` select the part of the audio that is split.
+     * @param {Array<Object>} [options.timeline] - Timeline of speech-only audio, see `spawnWhisper`.
+     * @param {boolean} [options.diarize=false] - Mark speaker turns, see `transcribeFile`.
+     * @returns {Promise<{ success: boolean, message?: string, transcript?: Transcript, error?: ConversionError|WhisperProcessError }>} - A promise that resolves with the stitched transcript, or with the `error` of the split or of the first failed chunk. Rejects with an AbortError when aborted.
+     */
+    async transcribeChunks(wavFile, modelFile, language, { inputFile, jobDir, signal, manifest, whisperOptions, timeline, diarize = false }) {
+        const { chunkMinutes, chunkOverlap, chunkConcurrency } = this.options;
+        const { threads, processors, offset = 0, duration } = whisperOptions;
+        const finished = manifest ? manifest.chunks : {};
+
+        this.emit('stage', { inputFile, stage: 'splitting-audio' });
+        let chunks;
+        try {
+            chunks = await splitAudioFile(wavFile, {
+                chunkSeconds: chunkMinutes * 60,
+                overlapSeconds: chunkOverlap,
+                workDir: jobDir,
+                from: offset / 1000,
+                to: duration > 0 ? (offset + duration) / 1000 : undefined,
+                skip: Object.keys(finished).map(Number),
+                signal,
+                ffmpegPath: this.options.ffmpegPath,
+                ffprobePath: this.options.ffprobePath
+            });
+        } catch (error) {
+            throwIfAborted(signal);
+            const message = `Failed to split the audio into chunks: ${error.message}`;
+            return { success: false, message, error: new ConversionError(message, { input: isAudioSource(inputFile) ? null : inputFile, cause: error }) };
+        }
+
+        const percents = chunks.map(chunk => (finished[chunk.index] ? 100 : 0));
+        const results = [];
+        for (const chunk of chunks.filter(item => finished[item.index])) {
+            const { start, end, language: chunkLanguage, segments } = finished[chunk.index];
+            results[chunk.index] = { start, end, transcript: new Transcript({ language: chunkLanguage, segments }) };
+            this.emit('chunk', { inputFile, index: chunk.index, count: chunks.length, start, end, resumed: true });
+        }
+
+        const pending = chunks.filter(chunk => !finished[chunk.index]);
+        const concurrency = Math.max(1, Math.min(chunkConcurrency, pending.length));
+        const budget = concurrency === 1
+            ? { threads, processors }
+            : { threads: Math.max(1, Math.floor((threads * processors) / concurrency)), processors: 1 };
+        let saving = Promise.resolve();
+        let lastPercent = -1;
+        let nextIndex = 0;
+        let failure = null;
+
+        this.emit('stage', { inputFile, stage: 'transcribing' });
+        const worker = async () => {
+            while (!failure && nextIndex < pending.length) {
+                const chunk = pending[nextIndex++];
+                const onProgress = (percent) => {
+                    percents[chunk.index] = percent;
+                    const overall = Math.floor(percents.reduce((a, b) => a + b, 0) / chunks.length);
+                    if (overall !== lastPercent) this.emit('progress', { inputFile, percent: (lastPercent = overall) });
+                };
+                const result = await this.transcribeFile(chunk.file, path.join(jobDir, `chunk-${chunk.index}`), modelFile, language, {
+                    inputFile, signal, whisperOptions: { ...whisperOptions, ...budget, offset: 0, duration: 0 }, offset: chunk.start, timeline, diarize, onProgress
+                });
+                if (!result.success) {
+                    failure = failure || { message: `Chunk ${chunk.index + 1}/${chunks.length} failed: ${result.message}`, error: result.error };
+                    return;
+                }
+                const transcript = Transcript.fromWhisperJson(result.whisperJson);
+                results[chunk.index] = { start: chunk.start, end: chunk.end, transcript };
+                if (manifest) {
+                    manifest.chunks[chunk.index] = { start: chunk.start, end: chunk.end, language: transcript.language, segments: transcript.segments };
+                    saving = saving.then(() => saveManifest(jobDir, manifest));
+                    await saving;
+                }
+                this.emit('chunk', { inputFile, index: chunk.index, count: chunks.length, start: chunk.start, end: chunk.end, resumed: false });
+            }
+        };
+        await Promise.all(Array.from({ length: concurrency }, worker));
+
+        if (failure) return { success: false, ...failure };
+        return { success: true, transcript: stitchTranscripts(results) };
+    }
+
+    /**
+     * Runs the Whisper tool with the specified input file, model file, and output file.
+     * Whisper always writes its JSON output, which is parsed into a `Transcript`; the output options
+     * only control which files are persisted to `outputDir` as `<outputName>.<format>`.
+     * The converted audio and whisper's raw output live in a per-job directory under `workDir`,
+     * which is removed when the job succeeds, fails or is aborted (unless `keepTempFiles` is set).
+     * When `chunkMinutes` is set, the audio is transcribed in overlapping chunks, see `transcribeChunks`.
+     * With a `jobId`, the job directory is `<workDir>/audio2textjs-<jobId>` and keeps a manifest of the converted
+     * audio and finished chunks. It survives failures and aborts, so calling `runWhisper` again with the same
+     * `jobId` (and the same input and settings) resumes after the last finished chunk. A Buffer input is recognized by
+     * the hash of its contents; a stream cannot be read twice, so a stream input needs an `inputFingerprint` with a `jobId`.
+     * With `vad`, silent stretches are cut out of the converted audio before transcription and the transcript
+     * times are mapped back to the original audio.
+     * Tinydiarize models (`small.en-tdrz`) run with `--tinydiarize`, and the transcript segments get speaker labels.
+     * @param {string|Buffer|Readable|ReadableStream} inputFile - Path to the input audio file, or the audio data as a Buffer or stream (e.g. an HTTP upload or a `fetch` body), which is piped straight into ffmpeg.
+     * @param {string} model - The model: a name from the model registry (`tiny`, `base.en`, `large-v3-turbo`, `medium-q5_0`, a model added with `registerModel`, ...), which is downloaded if needed, or an absolute path to a ggml model file.
+     * @param {string} language - Spoken language: a code (or name) from `WHISPER_LANGUAGES`, or 'auto' for auto-detect.
+     * @param {Object} [options={}] - Per-call options.
+     * @param {AbortSignal} [options.signal] - Signal that cancels the job: the model download, ffmpeg conversion and whisper process are killed and partial files are removed.
+     * @param {number} [options.timeout] - Timeout in milliseconds after which the job is aborted (defaults to the `timeout` instance option).
+     * @param {string} [options.outputDir] - Directory for persisted output files (defaults to the `outputDir` instance option).
+     * @param {string} [options.outputName] - Base name of persisted output files (defaults to the input file name, or `audio` for Buffer and stream input).
+     * @param {string} [options.jobId] - Id of a resumable job (letters, digits, `_`, `.` and `-`).
+     * @param {string} [options.inputFingerprint] - Identifies the input of a resumable job in place of its path or contents (e.g. a checksum sent with an upload); required for stream input with a `jobId`.
+     * @param {number} [options.threads] - Any whisper option of the constructor (`threads`, `processors`, `offset`, `duration`, `maxLen`, `maxContext`, `beamSize`, `bestOf`, `temperature`, `entropyThold`, `noFallback`, `prompt`, `translate`) overrides the instance option for this call.
+     * @returns {Promise<{ success: boolean, message: string, output?: Array<{ type: string, data: any, outputFile: string }>, transcript?: Transcript, speech?: { regions: Array<{ start: number, end: number }>, duration: number }, missing?: Array<MissingArtifact> }>} - A promise that resolves with success status, message, the persisted output files and the parsed transcript upon completion (plus `speech`, the detected speech regions, when `vad` is set, and `tempDir` when `keepTempFiles` is set). In offline mode, a job whose binaries or model are not installed fails before anything runs, with the list in `missing`. A failed job, including one with an unsupported language (UnsupportedLanguageError), resolves with `success: false`, the legacy `message` and the `error` (see `errors.js`), or rejects with that error when the `throwOnError` option is set. Rejects with an AbortError when cancelled or timed out.
+     * @throws {RangeError} If a per-call whisper option or the `jobId` is invalid, or a stream input has a `jobId` but no `inputFingerprint`.
+     */
+    async runWhisper(inputFile, model, language, options = {}) {
+        const { chunkMinutes, workDir, keepTempFiles } = this.options;
+        const { jobId, inputFingerprint } = options;
+        try {
+            validateLanguage(language);
+        } catch (error) {
+            return this.fail(error);
+        }
+        const whisperOptions = this.getWhisperOptions(options);
+        const { offset = 0, duration } = whisperOptions;
+        const resumableDir = jobId ? getJobDir(workDir, jobId) : null;
+        if (inputFingerprint !== undefined && (typeof inputFingerprint !== 'string' || inputFingerprint === '')) {
+            throw new RangeError('inputFingerprint must be a non-empty string.');
+        }
+        if (jobId && inputFingerprint === undefined && isAudioSource(inputFile) && !Buffer.isBuffer(inputFile)) {
+            throw new RangeError('A stream input cannot be resumed by jobId without an inputFingerprint.');
+        }
+        const timeout = options.timeout !== undefined ? options.timeout : this.options.timeout;
+        const isSource = isAudioSource(inputFile);
+        const outputDir = options.outputDir || this.options.outputDir || (isSource ? process.cwd() : path.dirname(inputFile));
+        const outputBase = path.join(outputDir, options.outputName || (isSource ? 'audio' : path.basename(inputFile)));
+        const { signal, dispose } = createAbortSignal({ signal: options.signal, timeout });
+        const formats = this.getOutputFormats();
+        const modelEntry = resolveModel(model);
+        const diarize = Boolean(modelEntry && modelEntry.diarize);
+        const outputFiles = [];
+        let jobDir = null;
+        let manifest = null;
+        let completed = false;
+
+        try {
+            const missing = this.options.offline ? await this.getMissingArtifacts(model) : [];
+            if (missing.length > 0) return this.fail(createMissingArtifactsError(missing), { missing });
+
+            this.emit('stage', { inputFile, stage: 'downloading-model' });
+            const resultDownModel = await this.downloadModel(model, { signal, inputFile });
+            if (!resultDownModel.success) return this.fail(resultDownModel.error || new DownloadError(resultDownModel.message, { model }), { message: `Failed to download ggml model ${model}` });
+
+            // Every job gets its own directory for the converted audio and whisper's raw output
+            try {
+                if (jobId) {
+                    const settings = await this.getJobSettings(inputFile, model, language, whisperOptions, inputFingerprint);
+                    manifest = await loadManifest(resumableDir, settings);
+                    if (!manifest) {
+                        await fs.rm(resumableDir, { recursive: true, force: true });
+                        manifest = { version: 1, jobId, settings, wavFile: null, chunks: {} };
                     }
+                    await fs.mkdir(resumableDir, { recursive: true });
+                    jobDir = resumableDir;
+                } else {
+                    jobDir = await fs.mkdtemp(path.join(workDir, 'audio2textjs-'));
+                }
+            } catch (error) {
+                return this.fail(new Audio2TextError(`Failed to create the job directory in '${workDir}': ${error.message}`, { cause: error }));
+            }
+
+            // Convert the audio file to a suitable format using the convertAudioFile function
+            // If the conversion fails, return an object containing the error information
+            const vadOptions = this.getVadOptions();
+            let wavFile = manifest && manifest.wavFile && existsSync(manifest.wavFile) ? manifest.wavFile : null;
+            if (!wavFile) {
+                this.emit('stage', { inputFile, stage: 'converting-audio' });
+                const CWF = await convertAudioFile(inputFile, undefined, {
+                    signal,
+                    workDir: jobDir,
+                    // Voice activity detection reads 16-bit mono PCM, so a WAV input is converted even at 16 kHz
+                    pcm16: Boolean(vadOptions),
+                    ffmpegPath: this.options.ffmpegPath,
+                    ffprobePath: this.options.ffprobePath
+                });
+                if (!CWF.success) return this.fail(CWF.error, { message: CWF.message });
+                wavFile = CWF.output;
+                if (manifest) {
+                    manifest.wavFile = wavFile;
+                    await saveManifest(jobDir, manifest);
+                }
+            }
 
-                    if (outputTxt || outputAll) {
-                        try {
-                            const textContent = await fs.readFile(`${CWF.output}.txt`, 'utf-8');
-                            outputFiles.push({ type: 'txt', data: textContent, outputFile: `${CWF.output}.txt` });
-                        } catch (error) {
-                            return resolve({ success: false, message: `Failed to read TXT output file: ${error.message}` });
-                        }
+            // Cut the silence out of the audio; whisper then works on speech only and its times are mapped back
+            let speech = null;
+            let timeline = [];
+            let speechOptions = whisperOptions;
+            if (vadOptions) {
+                speech = manifest && manifest.speech && existsSync(manifest.speech.wavFile) ? manifest.speech : null;
+                if (!speech) {
+                    this.emit('stage', { inputFile, stage: 'detecting-speech' });
+                    const speechFile = path.join(jobDir, 'speech.wav');
+                    try {
+                        const detected = await detectSpeechRegions(wavFile, { ...vadOptions, signal });
+                        const end = duration > 0 ? offset + duration : Infinity;
+                        const regions = detected.regions
+                            .filter(region => region.end > offset && region.start < end)
+                            .map(region => ({ start: Math.max(region.start, offset), end: Math.min(region.end, end) }));
+                        const speechTimeline = await writeSpeechFile(wavFile, regions, speechFile, detected.header, { signal });
+                        speech = { wavFile: speechFile, regions, duration: detected.duration, timeline: speechTimeline };
+                    } catch (error) {
+                        throwIfAborted(signal);
+                        const message = `Voice activity detection failed: ${error.message}`;
+                        return this.fail(new ConversionError(message, { input: isSource ? null : inputFile, cause: error }));
                     }
+                    if (manifest) {
+                        manifest.speech = speech;
+                        await saveManifest(jobDir, manifest);
+                    }
+                }
+                wavFile = speech.wavFile;
+                timeline = speech.timeline;
+                // The speech-only audio already covers just the requested offset and duration
+                speechOptions = { ...whisperOptions, offset: 0, duration: 0 };
+            }
 
-                    if (outputCsv || outputAll) {
-                        try {
-                            const csvContent = await fs.readFile(`${CWF.output}.csv`, 'utf-8');
-                            outputFiles.push({ type: 'csv', data: csvContent, outputFile: `${CWF.output}.csv` });
-                        } catch (error) {
-                            return resolve({ success: false, message: `Failed to read CSV output file: ${error.message}` });
-                        }
+            let transcript;
+            let whisperJson;
+            if (speech && speech.regions.length === 0) {
+                this.emit('stage', { inputFile, stage: 'reading-outputs' });
+                transcript = new Transcript({ language: language === 'auto' ? null : language });
+                whisperJson = transcript.toWhisperJson();
+            } else if (chunkMinutes > 0) {
+                const result = await this.transcribeChunks(wavFile, resultDownModel.modelFile, language, {
+                    inputFile, jobDir, signal, manifest, whisperOptions: speechOptions, timeline, diarize
+                });
+                if (!result.success) return this.fail(result.error, { message: result.message });
+                this.emit('stage', { inputFile, stage: 'reading-outputs' });
+                transcript = speech ? mapTranscriptToOriginal(result.transcript, timeline) : result.transcript;
+                whisperJson = transcript.toWhisperJson();
+            } else {
+                this.emit('stage', { inputFile, stage: 'transcribing' });
+                const result = await this.transcribeFile(wavFile, path.join(jobDir, 'transcript'), resultDownModel.modelFile, language, {
+                    inputFile, signal, whisperOptions: speechOptions, timeline, diarize
+                });
+                if (!result.success) return this.fail(result.error, { message: result.message });
+                this.emit('stage', { inputFile, stage: 'reading-outputs' });
+                whisperJson = result.whisperJson;
+                transcript = Transcript.fromWhisperJson(whisperJson);
+                if (speech) {
+                    transcript = mapTranscriptToOriginal(transcript, timeline);
+                    whisperJson = { ...whisperJson, ...transcript.toWhisperJson() };
+                }
+            }
+
+            for (const format of formats) {
+                throwIfAborted(signal);
+                const outputFile = `${outputBase}.${format}`;
+                try {
+                    await fs.mkdir(outputDir, { recursive: true });
+                    if (format === 'json') {
+                        await fs.writeFile(outputFile, JSON.stringify(whisperJson, null, 2), 'utf-8');
+                        outputFiles.push({ type: 'json', data: whisperJson, outputFile });
+                        continue;
                     }
+                    const content = transcript.render(format, this.getSubtitleOptions(whisperOptions.maxLen));
+                    await fs.writeFile(outputFile, content, 'utf-8');
+                    outputFiles.push({ type: format, data: content, outputFile });
+                } catch (error) {
+                    return this.fail(new Audio2TextError(`Failed to write ${format.toUpperCase()} output file: ${error.message}`, { cause: error }));
+                }
+            }
 
-                    resolve({ success: true, message: `Whisper process completed successfully.`, output: outputFiles });
-                } else {
-                    resolve({ success: false, message: `Whisper process failed with code ${code}. stderr: ${stderr}` });
+            const result = { success: true, message: `Whisper process completed successfully.`, output: outputFiles, transcript };
+            if (speech) result.speech = { regions: speech.regions, duration: speech.duration };
+            if (keepTempFiles) result.tempDir = jobDir;
+            completed = true;
+            return result;
+        } catch (error) {
+            // Failures that were not turned into a typed error above still fail the job the documented way
+            if (!signal.aborted) return this.fail(toAudio2TextError(error));
+            await Promise.all(outputFiles.map(({ outputFile }) => fs.rm(outputFile, { force: true })));
+            throw toAbortError(signal);
+        } finally {
+            dispose();
+            if (jobDir && !keepTempFiles && (completed || !jobId)) await fs.rm(jobDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Transcribes many files, at most `concurrency` at a time.
+     * Inputs are expanded by `expandInputs`: file paths, directories (searched recursively for audio and video files)
+     * and glob patterns. With `outputDir`, outputs mirror the input tree: a file found as `<base>/a/b/call.mp3` is
+     * written to `<outputDir>/a/b/call.mp3.<format>`; without it, outputs are written next to each input.
+     * A file is skipped when all its outputs (for the enabled output formats) exist and are newer than the file,
+     * unless `force` is set.
+     * Failed files do not stop the batch; cancelling the signal cancels the remaining files and the report is still returned.
+     * @param {string|Array<string>} inputs - File paths, directories and glob patterns.
+     * @param {Object} [options={}] - Batch options, plus any `runWhisper` per-call option (except `jobId` and `outputName`).
+     * @param {string} [options.model='base'] - Model name passed to `runWhisper`.
+     * @param {string} [options.language='auto'] - Spoken language passed to `runWhisper`.
+     * @param {string} [options.outputDir] - Root of the mirrored output tree.
+     * @param {number} [options.concurrency=1] - Number of files transcribed at the same time.
+     * @param {boolean} [options.force=false] - Transcribe files even when their outputs are up to date.
+     * @param {Array<string>} [options.extensions] - Extensions picked up in directories and glob matches (defaults to common audio and video formats).
+     * @param {AbortSignal} [options.signal] - Signal that cancels the batch.
+     * @returns {Promise<BatchReport>} - A promise that resolves with the summary report.
+     * @throws {RangeError} If a whisper option or the concurrency is invalid, or `jobId` is passed.
+     */
+    async transcribeBatch(inputs, options = {}) {
+        const { model = 'base', language = 'auto', outputDir, concurrency = 1, force = false, extensions, signal, ...runOptions } = options;
+        this.getWhisperOptions(runOptions);
+        if (runOptions.jobId !== undefined) throw new RangeError('transcribeBatch does not support jobId.');
+        // The reports are built from the status events of the finished jobs, which the queue then forgets, so a large
+        // batch does not keep every transcript and output in memory
+        const queue = new TranscriptionQueue(this, { concurrency, maxFinishedJobs: 0 });
+        const waiting = new Map();
+        queue.on('status', job => {
+            if (!job.finishedAt || !waiting.has(job.id)) return;
+            waiting.get(job.id)(job);
+            waiting.delete(job.id);
+        });
+        const startedAt = Date.now();
+        const files = await expandInputs(inputs, { extensions });
+        const formats = this.getOutputFormats();
+
+        const reports = await Promise.all(files.map(async ({ file, base }) => {
+            const fileOutputDir = outputDir ? path.join(outputDir, path.relative(base, path.dirname(file))) : path.dirname(file);
+            const outputs = formats.map(format => path.join(fileOutputDir, `${path.basename(file)}.${format}`));
+            const report = { input: file, status: 'skipped', message: '', outputs, duration: null, audioDuration: null, realtimeFactor: null };
+
+            if (!force && await this.isUpToDate(file, outputs)) {
+                report.message = 'Outputs are up to date.';
+                this.emit('file', report);
+                return report;
+            }
+
+            const id = queue.add(file, model, language, { ...runOptions, outputDir: fileOutputDir, outputName: path.basename(file), signal });
+            const job = await new Promise(resolve => waiting.set(id, resolve));
+            report.status = job.status;
+            report.message = job.result ? job.result.message : job.error;
+            if (job.startedAt) report.duration = job.finishedAt - job.startedAt;
+            if (job.status === 'done') {
+                const seconds = await getAudioDuration(this.getFFprobePath(), file).catch(() => null);
+                report.audioDuration = seconds === null ? null : Math.round(seconds * 1000);
+                report.realtimeFactor = report.audioDuration ? report.duration / report.audioDuration : null;
+            } else {
+                report.outputs = [];
+            }
+            this.emit('file', report);
+            return report;
+        }));
+
+        const count = (status) => reports.filter(report => report.status === status).length;
+        const done = reports.filter(report => report.status === 'done');
+        const timed = done.filter(report => report.audioDuration);
+        const audioDuration = timed.reduce((sum, report) => sum + report.audioDuration, 0);
+        const processing = timed.reduce((sum, report) => sum + report.duration, 0);
+        const summary = {
+            total: reports.length,
+            succeeded: done.length,
+            skipped: count('skipped'),
+            failed: count('failed'),
+            cancelled: count('cancelled'),
+        };
+        return {
+            success: summary.failed === 0 && summary.cancelled === 0,
+            message: `Transcribed ${summary.succeeded} of ${summary.total} files (${summary.skipped} skipped, ${summary.failed} failed, ${summary.cancelled} cancelled).`,
+            ...summary,
+            duration: Date.now() - startedAt,
+            audioDuration,
+            realtimeFactor: audioDuration > 0 ? processing / audioDuration : null,
+            files: reports,
+        };
+    }
+
+    /**
+     * Checks whether all outputs of a file exist and are newer than the file.
+     * @param {string} file - The input file.
+     * @param {Array<string>} outputs - The output files.
+     * @returns {Promise<boolean>} - True if there are outputs and all of them are up to date.
+     */
+    async isUpToDate(file, outputs) {
+        if (outputs.length === 0) return false;
+        const input = await fs.stat(file);
+        for (const output of outputs) {
+            const stats = await fs.stat(output).catch(() => null);
+            if (!stats || stats.mtimeMs < input.mtimeMs) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Detects the spoken language of an audio file without transcribing it, using whisper's `--detect-language` mode
+     * on the beginning of the audio.
+     * The whisper command line tool only reports the most likely language of the 30 seconds it looks at, so a longer
+     * `duration` is analysed in 30-second windows, one whisper run each, and the languages are ranked over the windows
+     * (see `rankLanguages`). With a single window, `candidates` holds the one language whisper reported.
+     * @param {string|Buffer|Readable|ReadableStream} inputFile - Path to the input audio file, or the audio data as a Buffer or stream.
+     * @param {Object} [options={}] - Detection options.
+     * @param {string} [options.model='base'] - A multilingual model (not `*.en` or tinydiarize), by name or absolute file path.
+     * @param {number} [options.offset=0] - Time offset in milliseconds at which the analysed audio starts.
+     * @param {number} [options.duration=30000] - Milliseconds of audio to analyse, in windows of 30 seconds (capped at the end of the audio).
+     * @param {AbortSignal} [options.signal] - Signal that cancels the detection.
+     * @param {number} [options.timeout] - Timeout in milliseconds (defaults to the `timeout` instance option).
+     * @returns {Promise<{ success: boolean, message: string, language?: string, name?: string, probability?: number, candidates?: Array<{ language: string, name: string, probability: number }>, missing?: Array<MissingArtifact> }>} - A promise that resolves with the most likely language code, its name and its probability, and the ranked candidates (or, in offline mode, fails with the `missing` binaries and model). A failure resolves with `success: false` and the `error`, or rejects with it when the `throwOnError` option is set. Rejects with an AbortError when cancelled or timed out.
+     * @throws {RangeError} If the model is English-only or the offset or duration is invalid.
+     */
+    async detectLanguage(inputFile, options = {}) {
+        const { model = 'base', offset = 0, duration = 30000 } = options;
+        const { workDir, keepTempFiles } = this.options;
+        const modelEntry = resolveModel(model);
+        if (modelEntry && (modelEntry.languages === 'en' || modelEntry.diarize)) {
+            throw new RangeError(`Invalid model: ${model}. Language detection needs a multilingual model.`);
+        }
+        const whisperOptions = this.getWhisperOptions({ offset, duration });
+        if (duration === 0) throw new RangeError('Invalid duration: 0. Must be an integer >= 1.');
+        const timeout = options.timeout !== undefined ? options.timeout : this.options.timeout;
+        const { signal, dispose } = createAbortSignal({ signal: options.signal, timeout });
+        let jobDir = null;
+
+        try {
+            const missing = this.options.offline ? await this.getMissingArtifacts(model) : [];
+            if (missing.length > 0) return this.fail(createMissingArtifactsError(missing), { missing });
+
+            this.emit('stage', { inputFile, stage: 'downloading-model' });
+            const resultDownModel = await this.downloadModel(model, { signal, inputFile });
+            if (!resultDownModel.success) return this.fail(resultDownModel.error || new DownloadError(resultDownModel.message, { model }), { message: `Failed to download ggml model ${model}` });
+
+            try {
+                jobDir = await fs.mkdtemp(path.join(workDir, 'audio2textjs-'));
+            } catch (error) {
+                return this.fail(new Audio2TextError(`Failed to create the job directory in '${workDir}': ${error.message}`, { cause: error }));
+            }
+            this.emit('stage', { inputFile, stage: 'converting-audio' });
+            const CWF = await convertAudioFile(inputFile, undefined, { signal, workDir: jobDir, ffmpegPath: this.options.ffmpegPath, ffprobePath: this.options.ffprobePath });
+            if (!CWF.success) return this.fail(CWF.error, { message: CWF.message });
+
+            // Whisper detects the language of the first 30 seconds it is given, so longer audio is cut into windows
+            let end = offset + duration;
+            if (duration > LANGUAGE_WINDOW_MS) {
+                try {
+                    end = Math.min(end, Math.ceil(await getAudioDuration(this.getFFprobePath(), CWF.output, signal) * 1000));
+                } catch (error) {
+                    throwIfAborted(signal);
+                    const message = `Failed to get the duration of the audio: ${error.message}`;
+                    return this.fail(new ConversionError(message, { input: isAudioSource(inputFile) ? null : inputFile, cause: error }));
                 }
-            });
+            }
+            const windows = [];
+            for (let start = offset; start === offset || start < end; start += LANGUAGE_WINDOW_MS) {
+                windows.push({ offset: start, duration: Math.min(LANGUAGE_WINDOW_MS, Math.max(end - start, 1)) });
+            }
 
-            subprocess.on('error', (err) => {
-                reject(err);
-            });
+            this.emit('stage', { inputFile, stage: 'detecting-language' });
+            const detections = [];
+            for (const window of windows) {
+                const args = [
+                    ...toWhisperArgs({ threads: whisperOptions.threads, processors: whisperOptions.processors, ...window }),
+                    '--detect-language',
+                    `--model`, `${resultDownModel.modelFile}`,
+                    `--language`, 'auto',
+                    `--file`, `${CWF.output}`,
+                ];
+                const { code, stderr } = await this.spawnWhisper(args, { inputFile, signal });
+                if (code !== 0) {
+                    const error = new WhisperProcessError(`Whisper process failed with code ${code}.`, { exitCode: code, stderr });
+                    return this.fail(error, { message: `Whisper process failed with code ${code}. stderr: ${stderr}` });
+                }
+
+                const detected = parseLanguageLine(stderr);
+                if (!detected) {
+                    const error = new WhisperProcessError('Whisper did not report a language.', { exitCode: code, stderr });
+                    return this.fail(error, { message: `Whisper did not report a language. stderr: ${stderr}` });
+                }
+                detections.push(detected);
+            }
+
+            const candidates = rankLanguages(detections);
+            const { language, name, probability } = candidates[0];
+            return { success: true, message: `Detected language: ${language}.`, language, name, probability, candidates };
+        } catch (error) {
+            if (!signal.aborted) return this.fail(toAudio2TextError(error));
+            throw toAbortError(signal);
+        } finally {
+            dispose();
+            if (jobDir && !keepTempFiles) await fs.rm(jobDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Checks the environment transcription depends on: the whisper, ffmpeg and ffprobe binaries (presence, permissions,
+     * architecture, shared libraries and version output), the model files, and the free disk space and memory
+     * against the model requirements of the model registry. Nothing is downloaded.
+     * @returns {Promise<DiagnosticReport>} - A promise that resolves with the report.
+     */
+    async diagnose() {
+        const checks = {
+            whisper: { args: ['-h'] },
+            ffmpeg: { args: ['-version'] },
+            ffprobe: { args: ['-version'] },
+        };
+        const binaries = [];
+        for (const [name, check] of Object.entries(checks)) {
+            let binary = { path: null, source: null };
+            try {
+                binary = this.getBinary(name);
+            } catch (error) {
+                // Nothing is bundled for this platform and nothing was found; checkBinary reports it
+            }
+            const env = binary.path ? getBinaryEnv(binary.path, { platform: this.platform }) : undefined;
+            binaries.push(await checkBinary(name, binary.path, { ...check, source: binary.source, arch: this.arch, env }));
+        }
+
+        const disk = await getDiskSpace(this.models);
+        const memory = { free: os.freemem(), total: os.totalmem() };
+        const models = [];
+        for (const entry of getModels()) {
+            const { name } = entry;
+            const file = whisperDownloader.getModelFile(name, this.models);
+            const stats = await fs.stat(file).catch(() => null);
+            const expectedSize = entry.size || (entry.disk ? parseSize(entry.disk) : null);
+            const ram = entry.ram ? parseSize(entry.ram) : null;
+            const check = stats ? await whisperDownloader.verifyModel(name, this.models, { hash: false }) : null;
+            const model = {
+                name,
+                file,
+                installed: Boolean(stats),
+                size: stats ? stats.size : null,
+                expectedSize,
+                ram,
+                valid: check ? check.success : null,
+                fitsInMemory: ram === null ? null : ram <= memory.total,
+                fitsOnDisk: stats ? true : (expectedSize === null || disk === null ? null : expectedSize <= disk.free),
+                problems: [],
+            };
+            if (model.installed && !model.valid) {
+                model.problems.push(`${check.message} Remove it so that it is downloaded again: ${file}`);
+            } else if (model.installed && expectedSize !== null && model.size < expectedSize * 0.9) {
+                model.problems.push(`Model ${name} is smaller than expected (${model.size} of about ${expectedSize} bytes), the download may be truncated: ${file}`);
+            }
+            models.push(model);
+        }
+
+        const problems = [...binaries, ...models].flatMap(item => item.problems);
+        const warnings = [];
+        for (const model of models) {
+            if (model.installed && model.fitsInMemory === false) {
+                warnings.push(`Model ${model.name} needs about ${model.ram} bytes of memory, more than this machine has (${memory.total}).`);
+            }
+        }
+        const smallest = Math.min(...models.map(model => model.expectedSize).filter(size => size !== null));
+        if (disk && !models.some(model => model.installed) && disk.free < smallest) {
+            warnings.push(`Free disk space (${disk.free} bytes) is below the size of the smallest model (${smallest} bytes).`);
+        }
+
+        const success = problems.length === 0;
+        return {
+            success,
+            message: success ? 'Everything needed for transcription is in place.' : `Found ${problems.length} problem${problems.length === 1 ? '' : 's'}.`,
+            platform: this.platform,
+            arch: this.arch,
+            node: process.version,
+            binaries,
+            models,
+            disk,
+            memory,
+            problems,
+            warnings,
+        };
+    }
+
+    /**
+     * Collects everything that influences the result of a resumable job, so that a checkpoint
+     * written for another input or other settings is not resumed.
+     * The input is identified by the `inputFingerprint` when given, else by the path, size and modification time of a
+     * file or the SHA-256 of a Buffer.
+     * @param {*} inputFile - The input file, Buffer or stream.
+     * @param {string} model - The model name.
+     * @param {string} language - Spoken language.
+     * @param {Object} whisperOptions - The whisper options of the run, see `getWhisperOptions`.
+     * @param {string} [inputFingerprint] - The `inputFingerprint` option of the run.
+     * @returns {Promise<Object>} - The job settings.
+     */
+    async getJobSettings(inputFile, model, language, whisperOptions, inputFingerprint) {
+        const { wordTimestamps, chunkMinutes, chunkOverlap } = this.options;
+        const decoding = { ...whisperOptions };
+        PERFORMANCE_OPTIONS.forEach(key => delete decoding[key]);
+        const vad = this.getVadOptions();
+        let input;
+        if (inputFingerprint !== undefined) {
+            input = { fingerprint: inputFingerprint };
+        } else if (Buffer.isBuffer(inputFile)) {
+            input = { size: inputFile.length, sha256: createHash('sha256').update(inputFile).digest('hex') };
+        } else {
+            const stats = await fs.stat(inputFile).catch(() => null);
+            input = { path: path.resolve(inputFile), size: stats ? stats.size : null, mtimeMs: stats ? stats.mtimeMs : null };
+        }
+        return { input, model, language, ...decoding, wordTimestamps: Boolean(wordTimestamps), chunkMinutes, chunkOverlap, vad };
+    }
+
+    /**
+     * Downloads a model into the models directory, unless it is there already, and emits `download` events with its
+     * progress. `runWhisper` and `detectLanguage` call it, so calling it up front is only needed to prepare a machine.
+     * In offline mode, a model that is not installed fails instead of being downloaded.
+     * @param {string} model - The model name, an absolute model file path, or 'all'.
+     * @param {Object} [options={}] - Download options.
+     * @param {AbortSignal} [options.signal] - Signal that stops the download.
+     * @param {*} [options.inputFile] - The input of the job the model is needed for, passed on in the events.
+     * @returns {Promise<object>} - A promise that resolves with the result of `downloadModel` in `downloadWhisperModels.js`. Rejects with an AbortError when aborted.
+     */
+    async downloadModel(model, { signal, inputFile } = {}) {
+        return whisperDownloader.downloadModel(model, this.models, {
+            signal,
+            mirror: this.options.modelsMirror,
+            offline: this.options.offline,
+            logger: this.options.logger,
+            onProgress: progress => this.emit('download', { inputFile, ...progress }),
         });
     }
 
+    /**
+     * Lists what a job with a model needs but cannot find: the whisper, ffmpeg and ffprobe binaries (see `getBinary`)
+     * and the model file, which must pass a quick check (see `verifyModel`). Nothing is downloaded.
+     * @param {string} model - The model name or an absolute model file path.
+     * @returns {Promise<Array<MissingArtifact>>} - A promise that resolves with the missing binaries and models (empty if everything is in place).
+     */
+    async getMissingArtifacts(model) {
+        const missing = [];
+        for (const name of Object.keys(BINARIES)) {
+            let binary = { path: null, source: null };
+            try {
+                binary = this.getBinary(name);
+            } catch (error) {
+                // Nothing is bundled for this platform and nothing was found
+            }
+            if (!binary.source || !existsSync(binary.path)) {
+                missing.push({ type: 'binary', name, path: binary.path, message: `The ${name} binary is not installed.` });
+            }
+        }
+        const check = await whisperDownloader.verifyModel(model, this.models, { hash: false });
+        if (!check.success) missing.push({ type: 'model', name: model, path: check.modelFile, message: check.message });
+        return missing;
+    }
+
+    /**
+     * Lists the models in the models directory with their sizes and when they were last used.
+     * @returns {Promise<Array<import('./modelCache.js').CachedModel>>} - A promise that resolves with the cached models.
+     */
+    async listCachedModels() {
+        return listCachedModels(this.models);
+    }
+
+    /**
+     * Removes the models in the models directory that were not used recently, see `pruneModels` in `modelCache.js`.
+     * @param {Object} [options={}] - Prune options.
+     * @param {number} [options.olderThan] - Remove models last used more than this many milliseconds ago (30 days by default).
+     * @param {Array<string>} [options.keep=[]] - Model names or file names that are never removed.
+     * @param {boolean} [options.dryRun=false] - Only report what would be removed.
+     * @returns {Promise<{ success: boolean, message: string, removed: Array<import('./modelCache.js').CachedModel>, freed: number }>} - A promise that resolves with the removed models and the bytes freed.
+     * @throws {RangeError} If `olderThan` is invalid.
+     */
+    async pruneModels(options = {}) {
+        return pruneModels({ ...options, dir: this.models });
+    }
+
+    /**
+     * Removes the checkpoint of a resumable job.
+     * @param {string} jobId - The job id passed to `runWhisper`.
+     * @returns {Promise<void>}
+     */
+    async removeJob(jobId) {
+        await fs.rm(getJobDir(this.options.workDir, jobId), { recursive: true, force: true });
+    }
+
     /**
      * Check if a video file contains audio streams.
      * @param {string} videoPath - Path to the video file.
      * @returns {Promise<boolean>} - Promise that resolves to true if audio is present, false otherwise.
+     * @throws {InputNotFoundError} If the file does not exist.
+     * @throws {ConversionError} If ffprobe cannot read the file.
      */
     async checkAudioPresence(videoPath) {
+        if (!existsSync(videoPath)) throw new InputNotFoundError(`Input file '${videoPath}' not found.`, { input: videoPath });
         return new Promise((resolve, reject) => {
 
             const ffprobePath = this.getFFprobePath();
@@ -249,8 +1170,13 @@ class Audio2TextJS {
                 '-of', 'default=nokey=1:noprint_wrappers=1',
                 videoPath
             ]
-            const ffprobe = spawn(ffprobePath, args);
+            const ffprobe = spawnBinary(ffprobePath, args);
             let hasAudio = false;
+            let stderr = '';
+
+            ffprobe.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
 
             ffprobe.stdout.on('data', (data) => {
                 const codecType = data.toString().trim();
@@ -263,15 +1189,20 @@ class Audio2TextJS {
                 if (code === 0) {
                     resolve(hasAudio);
                 } else {
-                    reject(new Error(`ffprobe process exited with code ${code}`));
+                    reject(new ConversionError(`ffprobe process exited with code ${code}: ${stderr.trim()}`, { input: videoPath }));
                 }
             });
 
             ffprobe.on('error', (err) => {
-                reject(err);
+                reject(new ConversionError(`Failed to start ffprobe (${ffprobePath}): ${err.message}`, { input: videoPath, cause: err }));
             });
         });
     }
 }
 
+export { Audio2TextError, AbortError, ModelNotFoundError, DownloadError, ConversionError, WhisperProcessError, UnsupportedPlatformError, BinaryNotFoundError, InputNotFoundError, UnsupportedLanguageError };
+export { WHISPER_LANGUAGES, isSupportedLanguage } from './languages.js';
+export { TranscriptionQueue };
+export { getModel, getModels, registerModel, unregisterModel } from './modelRegistry.js';
+export { packBundle, installBundle } from './bundle.js';
 export default Audio2TextJS;
\ No newline at end of file
@@ -0,0 +1,309 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { formatSrt, formatVtt, formatLrc, formatTimestamp } from './formatSubtitles.js';
+
+/**
+ * @typedef {Object} TranscriptToken
+ * @property {string} text - Token text as produced by whisper.
+ * @property {number} start - Start time in milliseconds.
+ * @property {number} end - End time in milliseconds.
+ * @property {number|null} probability - Token probability (0..1), or null when whisper did not report it.
+ */
+
+/**
+ * @typedef {Object} TranscriptWord
+ * @property {string} text - The word, trimmed (punctuation stays attached).
+ * @property {number} start - Start time in milliseconds.
+ * @property {number} end - End time in milliseconds.
+ * @property {number|null} probability - Mean probability of the word's tokens, or null when whisper did not report it.
+ * @property {number} segmentId - Id of the segment the word belongs to.
+ */
+
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {number} id - Zero-based index of the segment.
+ * @property {number} start - Start time in milliseconds.
+ * @property {number} end - End time in milliseconds.
+ * @property {string} text - Segment text, trimmed.
+ * @property {number|null} confidence - Mean token probability, or null when tokens are not available.
+ * @property {Array<TranscriptToken>} tokens - Tokens of the segment (empty unless whisper reported them).
+ * @property {boolean|null} speakerTurnNext - Whether the speaker changes after this segment, or null without diarization.
+ * @property {string|null} speaker - Speaker label (`Speaker 1`, `Speaker 2`), or null without diarization.
+ */
+
+/**
+ * Escapes a value for a CSV cell.
+ * @param {string|number} value - The value to escape.
+ * @returns {string} - The escaped cell.
+ */
+function escapeCsv(value) {
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Converts a whisper token entry to a TranscriptToken.
+ * @param {Object} token - Token object from the whisper JSON output.
+ * @returns {TranscriptToken} - The normalized token.
+ */
+function normalizeToken(token) {
+    return {
+        text: token.text,
+        start: token.offsets ? token.offsets.from : null,
+        end: token.offsets ? token.offsets.to : null,
+        probability: typeof token.p === 'number' ? token.p : null,
+    };
+}
+
+/**
+ * Matches whisper's special tokens (`[_BEG_]`, `[_TT_150]`, `<|endoftext|>`), which carry no text.
+ */
+const SPECIAL_TOKEN_PATTERN = /^\s*(\[_[^\]]*\]|<\|[^>]*\|>)\s*$/;
+
+/**
+ * Groups the tokens of a segment into words. A token that starts with a space starts a new word;
+ * other tokens (word pieces, punctuation) are appended to the current word.
+ * @param {TranscriptSegment} segment - The segment.
+ * @returns {Array<TranscriptWord>} - The words, empty when the segment has no timed tokens.
+ */
+function groupWords(segment) {
+    const words = [];
+    let current = null;
+    for (const token of segment.tokens) {
+        if (SPECIAL_TOKEN_PATTERN.test(token.text) || token.start === null || token.end === null) continue;
+        if (!current || /^\s/.test(token.text)) {
+            current = { text: '', start: token.start, end: token.end, probabilities: [] };
+            words.push(current);
+        }
+        current.text += token.text;
+        current.end = token.end;
+        if (token.probability !== null) current.probabilities.push(token.probability);
+    }
+    return words
+        .map(({ text, start, end, probabilities }) => ({
+            text: text.trim(),
+            start,
+            end,
+            probability: probabilities.length > 0 ? probabilities.reduce((a, b) => a + b, 0) / probabilities.length : null,
+            segmentId: segment.id,
+        }))
+        .filter(word => word.text);
+}
+
+/**
+ * Labels the speakers of diarized segments from their speaker turns.
+ * tinydiarize only detects turns, not voices, so the labels alternate between `Speaker 1` and `Speaker 2`,
+ * which matches two-party recordings such as calls and interviews.
+ * @param {Array<TranscriptSegment>} segments - The segments.
+ * @returns {Array<TranscriptSegment>} - Copies of the segments with `speaker` set (null when no segment carries turn information).
+ */
+function labelSpeakers(segments) {
+    const diarized = segments.some(segment => typeof segment.speakerTurnNext === 'boolean');
+    let speaker = 0;
+    return segments.map(segment => {
+        const labelled = {
+            ...segment,
+            speakerTurnNext: diarized ? Boolean(segment.speakerTurnNext) : null,
+            speaker: diarized ? `Speaker ${speaker + 1}` : null,
+        };
+        if (segment.speakerTurnNext) speaker = 1 - speaker;
+        return labelled;
+    });
+}
+
+/**
+ * A normalized transcription result built from whisper's JSON output.
+ */
+class Transcript {
+    /**
+     * Creates a Transcript.
+     * @param {Object} [data={}] - Transcript data.
+     * @param {string|null} [data.language=null] - Detected or requested language code.
+     * @param {Array<TranscriptSegment>} [data.segments=[]] - Timestamped segments; speaker labels are derived from their `speakerTurnNext` flags.
+     */
+    constructor({ language = null, segments = [] } = {}) {
+        /**
+         * Detected or requested language code.
+         * @type {string|null}
+         */
+        this.language = language;
+        /**
+         * Timestamped segments.
+         * @type {Array<TranscriptSegment>}
+         */
+        this.segments = labelSpeakers(segments);
+    }
+
+    /**
+     * Whether the segments carry speaker labels (the transcript was made with a tinydiarize model).
+     * @type {boolean}
+     */
+    get diarized() {
+        return this.segments.some(segment => segment.speaker !== null);
+    }
+
+    /**
+     * Builds a Transcript from the object whisper writes with `--output-json`.
+     * @param {Object} json - Parsed whisper JSON output.
+     * @returns {Transcript} - The normalized transcript.
+     */
+    static fromWhisperJson(json) {
+        const language = (json.result && json.result.language) || (json.params && json.params.language) || null;
+        const segments = (json.transcription || []).map((item, id) => {
+            const tokens = Array.isArray(item.tokens) ? item.tokens.map(normalizeToken) : [];
+            const probabilities = tokens.map(token => token.probability).filter(p => p !== null);
+            return {
+                id,
+                start: item.offsets.from,
+                end: item.offsets.to,
+                text: item.text.trim(),
+                confidence: probabilities.length > 0 ? probabilities.reduce((a, b) => a + b, 0) / probabilities.length : null,
+                tokens,
+                speakerTurnNext: typeof item.speaker_turn_next === 'boolean' ? item.speaker_turn_next : null,
+            };
+        });
+        return new Transcript({ language, segments });
+    }
+
+    /**
+     * Words with their own timing, built from the segment tokens. Only available when whisper reported
+     * token data (the `wordTimestamps` option); empty otherwise.
+     * @type {Array<TranscriptWord>}
+     */
+    get words() {
+        return this.segments.flatMap(groupWords);
+    }
+
+    /**
+     * The segments with their words, for the word-level renderers.
+     * @private
+     * @returns {Array<TranscriptSegment & { words: Array<TranscriptWord> }>} - The segments with a `words` array.
+     */
+    segmentsWithWords() {
+        return this.segments.map(segment => ({ ...segment, words: groupWords(segment) }));
+    }
+
+    /**
+     * The full transcribed text, segments joined by spaces.
+     * @type {string}
+     */
+    get text() {
+        return this.segments.map(segment => segment.text).filter(Boolean).join(' ');
+    }
+
+    /**
+     * Renders the transcript as plain text, one segment per line, prefixed with `<speaker>: ` when diarized.
+     * @returns {string} - The text rendering.
+     */
+    toText() {
+        return this.segments.map(segment => `${segment.speaker ? `${segment.speaker}: ` : ''}${segment.text}\n`).join('');
+    }
+
+    /**
+     * Renders the transcript as CSV with `start,end,text` columns (times in milliseconds),
+     * or `start,end,speaker,text` when diarized.
+     * @returns {string} - The CSV rendering.
+     */
+    toCsv() {
+        const diarized = this.diarized;
+        const rows = this.segments.map(segment => (diarized
+            ? [segment.start, segment.end, segment.speaker, segment.text]
+            : [segment.start, segment.end, segment.text]).map(escapeCsv).join(','));
+        return [diarized ? 'start,end,speaker,text' : 'start,end,text', ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Renders the transcript as a SubRip (SRT) subtitle file.
+     * @param {Object} [options={}] - Subtitle options.
+     * @param {number} [options.maxLineLength=42] - Maximum number of characters per line.
+     * @param {number} [options.maxLines=2] - Maximum number of lines per cue.
+     * @returns {string} - The SRT rendering.
+     */
+    toSrt(options = {}) {
+        return formatSrt(this.segments, options);
+    }
+
+    /**
+     * Renders the transcript as a WebVTT subtitle file.
+     * @param {Object} [options={}] - Subtitle options.
+     * @param {number} [options.maxLineLength=42] - Maximum number of characters per line.
+     * @param {number} [options.maxLines=2] - Maximum number of lines per cue.
+     * @param {boolean} [options.words=false] - Highlight each word as it is spoken (karaoke style); needs word timestamps.
+     * @returns {string} - The WebVTT rendering.
+     */
+    toVtt(options = {}) {
+        return formatVtt(options.words ? this.segmentsWithWords() : this.segments, options);
+    }
+
+    /**
+     * Renders the transcript as an LRC lyrics file, with per-word timing (enhanced LRC) when word timestamps are available.
+     * @returns {string} - The LRC rendering.
+     */
+    toLrc() {
+        return formatLrc(this.segmentsWithWords());
+    }
+
+    /**
+     * Returns a plain object representation, used by `JSON.stringify`.
+     * @returns {{ language: string|null, text: string, segments: Array<TranscriptSegment>, words: Array<TranscriptWord> }} - The plain object.
+     */
+    toJSON() {
+        return { language: this.language, text: this.text, segments: this.segments, words: this.words };
+    }
+
+    /**
+     * Returns the transcript in the shape whisper writes with `--output-json`, for consumers of that format.
+     * @returns {{ result: { language: string|null }, transcription: Array<Object> }} - The whisper-style object.
+     */
+    toWhisperJson() {
+        return {
+            result: { language: this.language },
+            transcription: this.segments.map(segment => ({
+                timestamps: { from: formatTimestamp(segment.start, ','), to: formatTimestamp(segment.end, ',') },
+                offsets: { from: segment.start, to: segment.end },
+                text: ` ${segment.text}`,
+                ...(segment.tokens.length > 0 ? {
+                    tokens: segment.tokens.map(token => ({
+                        text: token.text,
+                        offsets: { from: token.start, to: token.end },
+                        p: token.probability,
+                    }))
+                } : {}),
+                ...(segment.speakerTurnNext !== null ? { speaker_turn_next: segment.speakerTurnNext } : {}),
+            })),
+        };
+    }
+
+    /**
+     * Renders the transcript in the given format.
+     * @param {'txt'|'csv'|'json'|'srt'|'vtt'|'lrc'} format - The output format.
+     * @param {Object} [options={}] - Format options, passed to the subtitle renderers.
+     * @returns {string} - The rendered transcript.
+     */
+    render(format, options = {}) {
+        switch (format) {
+            case 'txt':
+                return this.toText();
+            case 'csv':
+                return this.toCsv();
+            case 'json':
+                return JSON.stringify(this, null, 2);
+            case 'srt':
+                return this.toSrt(options);
+            case 'vtt':
+                return this.toVtt(options);
+            case 'lrc':
+                return this.toLrc();
+            default:
+                throw new Error(`Unsupported transcript format: ${format}`);
+        }
+    }
+}
+
+export default Transcript;
@@ -0,0 +1,279 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+import { AbortError } from './errors.js';
+
+/**
+ * @typedef {'queued'|'running'|'done'|'failed'|'cancelled'} JobStatus
+ */
+
+/**
+ * @typedef {Object} JobInfo
+ * @property {string} id - Job id.
+ * @property {string} inputFile - Input file passed to `runWhisper`; `[Buffer <n> bytes]` or `[stream]` for audio data, which is not exposed.
+ * @property {string} model - Model name.
+ * @property {string} language - Spoken language.
+ * @property {number} priority - Job priority (higher runs first).
+ * @property {JobStatus} status - Current status.
+ * @property {Date} createdAt - When the job was queued.
+ * @property {Date|null} startedAt - When the job started running.
+ * @property {Date|null} finishedAt - When the job finished.
+ * @property {Object|null} result - The `runWhisper` result once the job is done or failed.
+ * @property {string|null} error - Error message when the job failed or was cancelled.
+ */
+
+/**
+ * Describes the input of a job for its snapshots. Buffers and streams are replaced with a placeholder, so listing
+ * the jobs (e.g. in an HTTP endpoint) never exposes the uploaded audio.
+ * @param {*} inputFile - Input passed to `runWhisper`.
+ * @returns {string} - The file path, or a placeholder.
+ */
+function describeInput(inputFile) {
+    if (typeof inputFile === 'string') return inputFile;
+    return Buffer.isBuffer(inputFile) ? `[Buffer ${inputFile.length} bytes]` : '[stream]';
+}
+
+/**
+ * A queue that runs `Audio2TextJS.runWhisper` jobs with a concurrency limit and priorities.
+ *
+ * Emits `status` with a JobInfo snapshot every time a job changes status.
+ * @extends EventEmitter
+ */
+class TranscriptionQueue extends EventEmitter {
+    /**
+     * Creates a TranscriptionQueue.
+     * @param {import('./Audio2TextJS.js').default} converter - The Audio2TextJS instance used to run jobs.
+     * @param {Object} [options={}] - Queue options.
+     * @param {number} [options.concurrency=1] - Maximum number of jobs running at the same time.
+     * @param {number} [options.maxFinishedJobs=100] - Number of finished jobs kept for `getJob`; older ones are forgotten.
+     */
+    constructor(converter, { concurrency = 1, maxFinishedJobs = 100 } = {}) {
+        super();
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new RangeError(`Invalid concurrency: ${concurrency}. Must be a positive integer.`);
+        }
+        /**
+         * The Audio2TextJS instance used to run jobs.
+         */
+        this.converter = converter;
+        /**
+         * Maximum number of jobs running at the same time.
+         * @type {number}
+         */
+        this.concurrency = concurrency;
+        /**
+         * Number of finished jobs kept for `getJob`.
+         * @type {number}
+         */
+        this.maxFinishedJobs = maxFinishedJobs;
+        /**
+         * All known jobs by id.
+         * @type {Map<string, Object>}
+         */
+        this.jobs = new Map();
+        /**
+         * Ids of queued jobs, ordered by priority then insertion.
+         * @type {Array<string>}
+         */
+        this.pending = [];
+        /**
+         * Number of running jobs.
+         * @type {number}
+         */
+        this.running = 0;
+    }
+
+    /**
+     * Adds a transcription job to the queue.
+     * @param {string|Buffer|import('node:stream').Readable} inputFile - Input passed to `runWhisper`.
+     * @param {string} model - Model name passed to `runWhisper`.
+     * @param {string} language - Spoken language passed to `runWhisper`.
+     * @param {Object} [options={}] - Job options.
+     * @param {number} [options.priority=0] - Job priority; higher priorities run first, equal priorities in insertion order.
+     * @returns {string} - The job id.
+     */
+    add(inputFile, model, language, { priority = 0, ...runOptions } = {}) {
+        const id = randomUUID();
+        const job = {
+            id,
+            inputFile,
+            model,
+            language,
+            priority,
+            runOptions,
+            status: 'queued',
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null,
+            controller: null,
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        // Failures are reported through `wait` and `getJob`; avoid unhandled rejections when nobody waits.
+        job.promise.catch(() => { });
+
+        this.jobs.set(id, job);
+        const index = this.pending.findIndex(pendingId => this.jobs.get(pendingId).priority < priority);
+        this.pending.splice(index === -1 ? this.pending.length : index, 0, id);
+        this.emitStatus(job);
+        this.next();
+        return id;
+    }
+
+    /**
+     * Returns a snapshot of a job.
+     * @param {string} id - The job id.
+     * @returns {JobInfo|null} - The job info, or null if the job is unknown.
+     */
+    getJob(id) {
+        const job = this.jobs.get(id);
+        return job ? this.toJobInfo(job) : null;
+    }
+
+    /**
+     * Lists known jobs.
+     * @param {JobStatus} [status] - Only return jobs with this status.
+     * @returns {Array<JobInfo>} - The job infos.
+     */
+    listJobs(status) {
+        return [...this.jobs.values()]
+            .filter(job => !status || job.status === status)
+            .map(job => this.toJobInfo(job));
+    }
+
+    /**
+     * Waits for a job to finish.
+     * @param {string} id - The job id.
+     * @returns {Promise<Object>} - Resolves with the `runWhisper` result; rejects if `runWhisper` threw or the job was cancelled (AbortError).
+     */
+    wait(id) {
+        const job = this.jobs.get(id);
+        if (!job) return Promise.reject(new Error(`Unknown job: ${id}`));
+        return job.promise;
+    }
+
+    /**
+     * Cancels a queued or running job.
+     * @param {string} id - The job id.
+     * @returns {boolean} - True if the job was queued or running and is now cancelled.
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return false;
+
+        if (job.status === 'queued') {
+            this.pending.splice(this.pending.indexOf(id), 1);
+            this.finish(job, 'cancelled', null, new AbortError('The job was cancelled before it started.'));
+            return true;
+        }
+
+        if (job.status === 'running') {
+            job.controller.abort(new AbortError('The job was cancelled.'));
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Starts queued jobs while the concurrency limit allows it.
+     * @private
+     */
+    next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            this.run(job);
+        }
+    }
+
+    /**
+     * Runs a job and records its outcome.
+     * @private
+     * @param {Object} job - The job to run.
+     */
+    async run(job) {
+        this.running++;
+        job.controller = new AbortController();
+        job.status = 'running';
+        job.startedAt = new Date();
+        this.emitStatus(job);
+
+        const { signal: userSignal, ...runOptions } = job.runOptions;
+        const { controller } = job;
+        const onAbort = () => controller.abort(userSignal.reason);
+        if (userSignal) {
+            if (userSignal.aborted) onAbort();
+            else userSignal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            const result = await this.converter.runWhisper(job.inputFile, job.model, job.language, { ...runOptions, signal: job.controller.signal });
+            this.finish(job, result.success ? 'done' : 'failed', result, result.success ? null : result.error || new Error(result.message));
+        } catch (error) {
+            this.finish(job, error instanceof AbortError ? 'cancelled' : 'failed', null, error);
+        } finally {
+            // A signal shared by many jobs must not keep the finished ones alive
+            if (userSignal) userSignal.removeEventListener('abort', onAbort);
+            this.running--;
+            this.next();
+        }
+    }
+
+    /**
+     * Marks a job as finished, settles its promise and evicts old finished jobs.
+     * @private
+     * @param {Object} job - The job.
+     * @param {JobStatus} status - The final status.
+     * @param {Object|null} result - The `runWhisper` result, if any.
+     * @param {Error|null} error - The failure, if any.
+     */
+    finish(job, status, result, error) {
+        job.status = status;
+        job.finishedAt = new Date();
+        job.result = result;
+        job.error = error ? error.message : null;
+        job.controller = null;
+
+        if (result) job.resolve(result);
+        else job.reject(error);
+        this.emitStatus(job);
+
+        const finished = [...this.jobs.values()].filter(item => item.finishedAt);
+        for (const item of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+            this.jobs.delete(item.id);
+        }
+    }
+
+    /**
+     * Emits a `status` event for a job.
+     * @private
+     * @param {Object} job - The job.
+     */
+    emitStatus(job) {
+        this.emit('status', this.toJobInfo(job));
+    }
+
+    /**
+     * Builds the public snapshot of a job.
+     * @private
+     * @param {Object} job - The job.
+     * @returns {JobInfo} - The job info.
+     */
+    toJobInfo(job) {
+        const { id, inputFile, model, language, priority, status, createdAt, startedAt, finishedAt, result, error } = job;
+        return { id, inputFile: describeInput(inputFile), model, language, priority, status, createdAt, startedAt, finishedAt, result, error };
+    }
+}
+
+export default TranscriptionQueue;
@@ -0,0 +1,67 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { AbortError } from './errors.js';
+
+/**
+ * Creates a signal that aborts when the given signal aborts or when the timeout expires.
+ * @param {Object} [options={}] - Signal options.
+ * @param {AbortSignal} [options.signal] - An external signal to follow.
+ * @param {number} [options.timeout=0] - Timeout in milliseconds (0 for none).
+ * @returns {{ signal: AbortSignal, dispose: Function }} - The combined signal and a function that releases the timer and listener.
+ */
+function createAbortSignal({ signal, timeout = 0 } = {}) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    let timer = null;
+
+    if (signal) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    }
+
+    if (timeout > 0) {
+        timer = setTimeout(() => controller.abort(new AbortError(`The operation timed out after ${timeout} ms.`)), timeout);
+    }
+
+    return {
+        signal: controller.signal,
+        dispose() {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+/**
+ * Converts the reason of an aborted signal to an AbortError.
+ * @param {AbortSignal} signal - The aborted signal.
+ * @returns {AbortError} - The error to reject with.
+ */
+function toAbortError(signal) {
+    const reason = signal.reason;
+    return reason instanceof AbortError ? reason : new AbortError('The operation was aborted.', { cause: reason });
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted.
+ * @param {AbortSignal} [signal] - The signal to check.
+ * @throws {AbortError} If the signal has been aborted.
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw toAbortError(signal);
+}
+
+export {
+    createAbortSignal,
+    toAbortError,
+    throwIfAborted
+};
@@ -0,0 +1,148 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { InputNotFoundError } from './errors.js';
+
+/**
+ * File extensions picked up when a directory or a glob pattern is expanded.
+ */
+const AUDIO_EXTENSIONS = [
+    '.wav', '.mp3', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.flac', '.wma', '.amr',
+    '.webm', '.mp4', '.m4v', '.mkv', '.mov', '.avi'
+];
+
+/**
+ * Characters that make a path a glob pattern.
+ */
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Converts a glob pattern to a regular expression matching forward-slash separated relative paths.
+ * Supports `*` (within a path segment), `**` (any number of segments), `?`, `[abc]` and `{a,b}`.
+ * @param {string} pattern - The glob pattern, relative to its base directory.
+ * @returns {RegExp} - The regular expression.
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // `**/` also matches no directory at all
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            braces++;
+            source += '(?:';
+        } else if (char === '}' && braces > 0) {
+            braces--;
+            source += ')';
+        } else if (char === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Splits a glob pattern into the directory before its first wildcard and the pattern relative to it.
+ * @param {string} pattern - The glob pattern.
+ * @returns {{ base: string, pattern: string }} - The base directory and the relative pattern (forward slashes).
+ */
+function splitGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const index = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const base = segments.slice(0, index).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    return { base: path.resolve(base), pattern: segments.slice(index).join('/') };
+}
+
+/**
+ * Lists the files of a directory recursively.
+ * @param {string} dir - The directory.
+ * @returns {Promise<Array<string>>} - Absolute file paths, sorted.
+ */
+async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await walk(file));
+        else if (entry.isFile()) files.push(file);
+    }
+    return files;
+}
+
+/**
+ * Expands batch inputs into the files to transcribe. Each file keeps the directory it was found under,
+ * so that outputs can mirror the input tree.
+ * - A file path is used as is (whatever its extension); its base is its own directory.
+ * - A directory is searched recursively for files with one of `extensions`; it is the base of the files found.
+ * - A glob pattern (`recordings/2024-??/*.wav`, `calls/**`) is matched against the files under the directory
+ *   before its first wildcard, which is the base of the matches; files without one of `extensions` are skipped.
+ * @param {string|Array<string>} inputs - File paths, directories and glob patterns.
+ * @param {Object} [options={}] - Expansion options.
+ * @param {Array<string>} [options.extensions=AUDIO_EXTENSIONS] - Extensions of the files picked up in directories and glob matches.
+ * @returns {Promise<Array<{ file: string, base: string }>>} - The files (absolute paths), without duplicates.
+ * @throws {InputNotFoundError} If an input is neither an existing file or directory nor a glob pattern.
+ */
+async function expandInputs(inputs, { extensions = AUDIO_EXTENSIONS } = {}) {
+    const isAudio = (file) => extensions.includes(path.extname(file).toLowerCase());
+    const found = new Map();
+    const add = (file, base) => {
+        if (!found.has(file)) found.set(file, { file, base });
+    };
+
+    for (const input of [].concat(inputs)) {
+        const stats = await fs.stat(input).catch(() => null);
+        if (stats && stats.isFile()) {
+            const file = path.resolve(input);
+            add(file, path.dirname(file));
+        } else if (stats && stats.isDirectory()) {
+            const base = path.resolve(input);
+            (await walk(base)).filter(isAudio).forEach(file => add(file, base));
+        } else if (GLOB_CHARS.test(input)) {
+            const { base, pattern } = splitGlob(input);
+            const regExp = globToRegExp(pattern);
+            const files = await walk(base).catch(() => []);
+            files
+                .filter(file => isAudio(file) && regExp.test(path.relative(base, file).split(path.sep).join('/')))
+                .forEach(file => add(file, base));
+        } else {
+            throw new InputNotFoundError(`Input not found: ${input}`, { input });
+        }
+    }
+
+    return [...found.values()];
+}
+
+export {
+    AUDIO_EXTENSIONS,
+    globToRegExp,
+    expandInputs
+};
@@ -0,0 +1,230 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { create as createTar, extract as extractTar } from 'tar';
+import fetchBinFiles, { getBinFiles } from './fetchBinFiles.js';
+import whisperDownloader from './downloadWhisperModels.js';
+import { resolveModel } from './modelRegistry.js';
+import { getModelsDir, withLock, markUsed } from './modelCache.js';
+import { PARTIAL_SUFFIX, hashFile, verifyFile } from './integrity.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @typedef {Object} BundleManifest
+ * @property {number} version - Format of the bundle (1).
+ * @property {string} createdAt - When the bundle was packed (ISO 8601).
+ * @property {string} platform - The operating system the binaries are built for.
+ * @property {string} arch - The architecture the binaries are built for.
+ * @property {Array<string>} programs - The programs whose binaries are bundled.
+ * @property {Array<{ path: string, size: number, sha256: string }>} binaries - The binaries, by their `binFiles.json` path (under `bin/` in the bundle).
+ * @property {Array<{ name: string, filename: string, size: number, sha256: string }>} models - The models (under `models/` in the bundle).
+ */
+
+/**
+ * Name of the manifest at the root of a bundle.
+ */
+const BUNDLE_MANIFEST = 'manifest.json';
+
+/**
+ * Version of the bundle format.
+ */
+const BUNDLE_VERSION = 1;
+
+/**
+ * Resolves a path listed in a bundle manifest, refusing paths that leave the directory.
+ * @param {string} dir - The directory.
+ * @param {string} relative - The listed path.
+ * @returns {string} - The absolute path.
+ * @throws {Error} If the path is absolute or leaves the directory.
+ */
+function resolveInside(dir, relative) {
+    const file = path.resolve(dir, relative);
+    if (path.isAbsolute(relative) || !file.startsWith(`${path.resolve(dir)}${path.sep}`)) {
+        throw new Error(`Invalid bundle: '${relative}' is outside of the bundle.`);
+    }
+    return file;
+}
+
+/**
+ * Puts a file into the staging directory of a bundle: a symbolic link (followed when the tarball is written), or a
+ * copy where links cannot be created (e.g. Windows without developer mode).
+ * @param {string} source - The file.
+ * @param {string} dest - Its path in the staging directory.
+ * @returns {Promise<void>}
+ */
+async function stageFile(source, dest) {
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    await fs.symlink(path.resolve(source), dest).catch(() => fs.copyFile(source, dest));
+}
+
+/**
+ * Copies a file from an extracted bundle into place. The copy is written to `<dest>.partial` and renamed, so an
+ * interrupted install never looks installed.
+ * @param {string} source - The extracted file.
+ * @param {string} dest - The destination.
+ * @param {boolean} executable - Whether to make the file executable.
+ * @returns {Promise<void>}
+ */
+async function installFile(source, dest, executable) {
+    const partialDest = `${dest}${PARTIAL_SUFFIX}`;
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    try {
+        await fs.copyFile(source, partialDest);
+        if (executable) await fs.chmod(partialDest, 0o755);
+        await fs.rename(partialDest, dest);
+    } catch (error) {
+        await fs.rm(partialDest, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Packs the binaries of a platform and the chosen models into a gzipped tarball, to install them on a machine without
+ * network access with `installBundle`. Binaries already installed in `binDir` are reused when they are built for this
+ * machine and match the SHA-256 hash of `binFiles.json`; the others (all of them while it has no hashes) are downloaded. Models come from the model cache
+ * and are downloaded into it if needed. Every file is listed in the manifest with its size and SHA-256 hash.
+ * @param {string} file - Path of the tarball to write (e.g. `audio2textjs-linux-x64.tar.gz`).
+ * @param {Object} [options={}] - Pack options.
+ * @param {string} [options.platform=process.platform] - The operating system of the target machine (win32 or linux).
+ * @param {string} [options.arch=process.arch] - The architecture of the target machine (x64, arm64, arm).
+ * @param {Array<'whisper'|'ffmpeg'|'ffprobe'>} [options.programs=['whisper', 'ffmpeg', 'ffprobe']] - The programs to bundle (none with an empty array).
+ * @param {Array<string>} [options.models=[]] - The models to bundle, by name or absolute file path.
+ * @param {string} [options.binDir] - Directory of the installed binaries (defaults to `src/bin`).
+ * @param {string} [options.modelsDir] - Directory of the model cache (see `getModelsDir`).
+ * @param {string} [options.mirror] - Base URL of a mirror of the built-in models.
+ * @param {boolean} [options.offline] - Only pack what is installed, without downloading (defaults to `AUDIO2TEXT_OFFLINE`).
+ * @param {{ log: Function, error: Function }} [options.logger=console] - Where the download messages are written.
+ * @returns {Promise<{ success: boolean, message: string, file?: string, manifest?: BundleManifest }>} - A promise that resolves with the path of the tarball and its manifest.
+ */
+async function packBundle(file, { platform = process.platform, arch = process.arch, programs = ['whisper', 'ffmpeg', 'ffprobe'], models = [], binDir = path.join(__dirname, 'bin'), modelsDir, mirror, offline, logger = console } = {}) {
+    const stageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-bundle-'));
+    try {
+        const manifest = { version: BUNDLE_VERSION, createdAt: new Date().toISOString(), platform, arch, programs, binaries: [], models: [] };
+
+        if (programs.length > 0) {
+            const entries = getBinFiles(platform, arch, programs);
+            const stageBinDir = path.join(stageDir, 'bin');
+            // The shared libraries of the Linux builds have the same paths on every architecture, so installed files are only reused for this
+            // machine, and only when binFiles.json has their hash: without one, any file of the right name would be packed
+            if (platform === process.platform && arch === process.arch) {
+                for (const entry of entries) {
+                    const installed = path.join(binDir, entry.path);
+                    if (entry.sha256 && (await verifyFile(installed, { size: entry.size, sha256: entry.sha256 })).success) {
+                        await stageFile(installed, path.join(stageBinDir, entry.path));
+                    }
+                }
+            }
+            const fetched = await fetchBinFiles(platform, arch, programs, stageBinDir, { offline, logger });
+            if (!fetched.success) {
+                const failed = [...fetched.files.failed, ...fetched.dependencies.failed].map(failure => failure.filename);
+                return { success: false, message: `Failed to get the binaries: ${failed.join(', ')}` };
+            }
+            for (const entry of entries) {
+                const staged = path.join(stageBinDir, entry.path);
+                const stats = await fs.stat(staged);
+                manifest.binaries.push({ path: entry.path, size: stats.size, sha256: await hashFile(staged) });
+            }
+        }
+
+        const cacheDir = getModelsDir({ modelsDir });
+        for (const model of models) {
+            const entry = resolveModel(model);
+            if (!entry) return { success: false, message: `Invalid model: ${model}` };
+            const result = await whisperDownloader.downloadModel(model, cacheDir, { mirror, offline, logger })
+                .catch(err => ({ success: false, message: err.message }));
+            if (!result.success) return { success: false, message: result.message };
+            const stats = await fs.stat(result.modelFile);
+            const sha256 = await hashFile(result.modelFile);
+            const packed = manifest.models.find(other => other.filename === entry.filename);
+            if (packed && packed.sha256 !== sha256) return { success: false, message: `Models ${packed.name} and ${entry.name} have the same file name ${entry.filename}.` };
+            if (packed) continue;
+            await stageFile(result.modelFile, path.join(stageDir, 'models', entry.filename));
+            manifest.models.push({ name: entry.name, filename: entry.filename, size: stats.size, sha256 });
+        }
+
+        await fs.writeFile(path.join(stageDir, BUNDLE_MANIFEST), JSON.stringify(manifest, null, 2));
+        const contents = [BUNDLE_MANIFEST, ...(manifest.binaries.length > 0 ? ['bin'] : []), ...(manifest.models.length > 0 ? ['models'] : [])];
+        await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        await createTar({ gzip: true, file: path.resolve(file), cwd: stageDir, follow: true, portable: true }, contents);
+
+        const counts = `${manifest.binaries.length} binar${manifest.binaries.length === 1 ? 'y' : 'ies'} and ${manifest.models.length} model${manifest.models.length === 1 ? '' : 's'}`;
+        return { success: true, message: `Packed ${counts} for ${platform}-${arch} into '${path.resolve(file)}'.`, file: path.resolve(file), manifest };
+    } catch (error) {
+        return { success: false, message: `Failed to pack the bundle: ${error.message}` };
+    } finally {
+        await fs.rm(stageDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Installs a tarball written by `packBundle`: the binaries go to `binDir`, where `runWhisper` finds them as bundled
+ * binaries, and the models to the model cache. Nothing is downloaded. Every file is checked against the size and
+ * SHA-256 hash of the manifest before anything is installed, and a bundle built for another platform is refused.
+ * @param {string} file - Path of the tarball.
+ * @param {Object} [options={}] - Install options.
+ * @param {string} [options.binDir] - Directory to install the binaries in (defaults to `src/bin`).
+ * @param {string} [options.modelsDir] - Directory of the model cache (see `getModelsDir`).
+ * @param {boolean} [options.force=false] - Install binaries built for another platform or architecture.
+ * @returns {Promise<{ success: boolean, message: string, manifest?: BundleManifest, binaries?: Array<string>, models?: Array<string> }>} - A promise that resolves with the manifest and the installed files.
+ */
+async function installBundle(file, { binDir = path.join(__dirname, 'bin'), modelsDir, force = false } = {}) {
+    const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-bundle-'));
+    try {
+        // tar strips absolute paths and '..' from the entries, so nothing is written outside of the directory
+        await extractTar({ file, cwd: extractDir });
+        const manifestFile = path.join(extractDir, BUNDLE_MANIFEST);
+        const manifest = JSON.parse(await fs.readFile(manifestFile, 'utf8').catch(() => 'null'));
+        if (!manifest || manifest.version !== BUNDLE_VERSION) {
+            return { success: false, message: `'${file}' is not an Audio2TextJS bundle (version ${BUNDLE_VERSION}).` };
+        }
+        if (manifest.binaries.length > 0 && !force && (manifest.platform !== process.platform || manifest.arch !== process.arch)) {
+            return { success: false, message: `The bundle is built for ${manifest.platform}-${manifest.arch}, not ${process.platform}-${process.arch}. Use force to install it anyway.`, manifest };
+        }
+
+        const binaries = manifest.binaries.map(entry => ({ ...entry, source: resolveInside(path.join(extractDir, 'bin'), entry.path), dest: resolveInside(binDir, entry.path) }));
+        const models = manifest.models.map(entry => ({ ...entry, source: resolveInside(path.join(extractDir, 'models'), entry.filename), dest: resolveInside(getModelsDir({ modelsDir }), entry.filename) }));
+        const failed = [];
+        for (const entry of [...binaries, ...models]) {
+            const check = await verifyFile(entry.source, { size: entry.size, sha256: entry.sha256 });
+            if (!check.success) failed.push(check.message.replace(`${extractDir}${path.sep}`, ''));
+        }
+        if (failed.length > 0) return { success: false, message: `The bundle is damaged: ${failed.join(' ')}`, manifest };
+
+        for (const entry of binaries) {
+            await installFile(entry.source, entry.dest, manifest.platform !== 'win32');
+        }
+        for (const entry of models) {
+            // Another process may be downloading the same model into the cache
+            await withLock(entry.dest, () => installFile(entry.source, entry.dest, false));
+            await markUsed(entry.dest);
+        }
+
+        return {
+            success: true,
+            message: `Installed ${binaries.length} binar${binaries.length === 1 ? 'y' : 'ies'} and ${models.length} model${models.length === 1 ? '' : 's'} from '${file}'.`,
+            manifest,
+            binaries: binaries.map(entry => entry.dest),
+            models: models.map(entry => entry.dest),
+        };
+    } catch (error) {
+        return { success: false, message: `Failed to install the bundle: ${error.message}` };
+    } finally {
+        await fs.rm(extractDir, { recursive: true, force: true });
+    }
+}
+
+export {
+    BUNDLE_MANIFEST,
+    packBundle,
+    installBundle
+};
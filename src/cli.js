@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { Command, Option, InvalidArgumentError, CommanderError } from 'commander';
+import Audio2TextJS, { AbortError, WHISPER_LANGUAGES, isSupportedLanguage } from './Audio2TextJS.js';
+import whisperDownloader from './downloadWhisperModels.js';
+import { getModelsDir, pruneModels } from './modelCache.js';
+import { packBundle, installBundle } from './bundle.js';
+import { WHISPER_OPTIONS } from './whisperOptions.js';
+
+/**
+ * Exit codes of the CLI.
+ */
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_CANCELLED = 130;
+
+/**
+ * Logger passed to the library, so that its messages (model and binary downloads) go to stderr and stdout only
+ * carries results.
+ */
+const stderrLogger = { log: console.error, error: console.error };
+
+/**
+ * Output formats with their descriptions.
+ */
+const FORMATS = {
+    txt: 'Plain text, one segment per line',
+    json: "whisper's JSON output",
+    csv: 'CSV with start,end,text columns (milliseconds)',
+    srt: 'SubRip subtitles',
+    vtt: 'WebVTT subtitles (word-highlighted with --word-timestamps)',
+    lrc: 'LRC lyrics (per-word timing with --word-timestamps)',
+};
+
+/**
+ * Parses an integer option value.
+ * @param {string} value - The raw value.
+ * @returns {number} - The integer.
+ * @throws {InvalidArgumentError} If the value is not an integer.
+ */
+function parseInteger(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number)) throw new InvalidArgumentError('Not an integer.');
+    return number;
+}
+
+/**
+ * Parses a numeric option value.
+ * @param {string} value - The raw value.
+ * @returns {number} - The number.
+ * @throws {InvalidArgumentError} If the value is not a number.
+ */
+function parseNumber(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new InvalidArgumentError('Not a number.');
+    return number;
+}
+
+/**
+ * Parses a comma-separated list of output formats.
+ * @param {string} value - The raw value, e.g. `txt,srt`.
+ * @returns {Array<string>} - The formats.
+ * @throws {InvalidArgumentError} If a format is unknown.
+ */
+function parseFormats(value) {
+    const formats = value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !FORMATS[format]);
+    if (formats.length === 0 || unknown.length > 0) {
+        throw new InvalidArgumentError(`Unknown format: ${unknown.join(', ') || value}. Use ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    return formats;
+}
+
+/**
+ * Parses the spoken language.
+ * @param {string} value - The raw value, e.g. `ar` or `auto`.
+ * @returns {string} - The language.
+ * @throws {InvalidArgumentError} If whisper does not support the language.
+ */
+function parseLanguage(value) {
+    if (value !== 'auto' && !isSupportedLanguage(value)) {
+        throw new InvalidArgumentError(`Unsupported language. Use 'auto' or one of: ${Object.keys(WHISPER_LANGUAGES).join(', ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Writes a result to stdout, as JSON in `--json` mode or as text otherwise.
+ * @param {Object} globals - The global CLI options.
+ * @param {*} data - The data written in JSON mode.
+ * @param {string} text - The text written otherwise.
+ */
+function print(globals, data, text) {
+    process.stdout.write(globals.json ? `${JSON.stringify(data, null, 2)}\n` : text);
+}
+
+/**
+ * Adds one option per whisper option (named after the whisper flag, e.g. `--beam-size`) to a command.
+ * @param {Command} command - The command.
+ * @returns {Object<string, string>} - Whisper option keys by commander attribute name.
+ */
+function addWhisperOptions(command) {
+    const keys = {};
+    for (const [key, spec] of Object.entries(WHISPER_OPTIONS)) {
+        const placeholder = spec.type === 'boolean' ? '' : ` <${spec.type === 'string' ? 'text' : 'value'}>`;
+        const option = new Option(`${spec.flag}${placeholder}`, spec.description);
+        if (spec.type === 'integer') option.argParser(parseInteger);
+        if (spec.type === 'number') option.argParser(parseNumber);
+        command.addOption(option);
+        keys[option.attributeName()] = key;
+    }
+    return keys;
+}
+
+/**
+ * Picks the whisper options from parsed command options.
+ * @param {Object} opts - Parsed command options.
+ * @param {Object<string, string>} keys - Whisper option keys by attribute name, from `addWhisperOptions`.
+ * @returns {Object} - The whisper options that were given.
+ */
+function pickWhisperOptions(opts, keys) {
+    const picked = {};
+    for (const [attribute, key] of Object.entries(keys)) {
+        const flag = WHISPER_OPTIONS[key].flag;
+        // `--no-fallback` is a negated option for commander: `fallback` defaults to true and is false when given
+        if (flag.startsWith('--no-')) {
+            if (opts[attribute] === false) picked[key] = true;
+        } else if (opts[attribute] !== undefined) {
+            picked[key] = opts[attribute];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Runs the `transcribe` command.
+ * @param {Array<string>} inputs - Files, directories and glob patterns.
+ * @param {Object} opts - Parsed command options.
+ * @param {Object<string, string>} whisperKeys - Whisper option keys by attribute name.
+ * @param {Object} globals - The global CLI options.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function transcribe(inputs, opts, whisperKeys, globals) {
+    const formats = opts.format;
+    const isBatch = inputs.length > 1 || /[*?[{]/.test(inputs[0]) || await fs.stat(inputs[0]).then(stats => stats.isDirectory(), () => false);
+    const persist = isBatch || Boolean(opts.outputDir);
+    if (!persist && formats.length > 1) {
+        throw new RangeError('Several formats need --output-dir; stdout and --output take a single format.');
+    }
+
+    const options = {
+        ...pickWhisperOptions(opts, whisperKeys),
+        ...(persist ? Object.fromEntries(formats.map(format => [`output${format.charAt(0).toUpperCase()}${format.slice(1)}`, true])) : {}),
+        wordTimestamps: Boolean(opts.wordTimestamps),
+        vad: Boolean(opts.vad),
+        chunkMinutes: opts.chunkMinutes,
+        chunkOverlap: opts.chunkOverlap,
+        chunkConcurrency: opts.chunkConcurrency,
+        subtitleMaxLineLength: opts.subtitleMaxLineLength,
+        subtitleMaxLines: opts.subtitleMaxLines,
+        timeout: opts.timeout,
+        workDir: opts.workDir,
+        keepTempFiles: Boolean(opts.keepTempFiles),
+        outputDir: opts.outputDir,
+        whisperPath: opts.whisperPath,
+        ffmpegPath: opts.ffmpegPath,
+        ffprobePath: opts.ffprobePath,
+        modelsDir: globals.modelsDir,
+        modelsMirror: globals.modelsMirror,
+        offline: globals.offline,
+        logger: stderrLogger,
+    };
+    // Options that were not given keep the library defaults
+    const converter = new Audio2TextJS(Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)));
+    if (opts.verbose) {
+        converter.on('stage', ({ inputFile, stage }) => console.error(`${isBatch ? `${inputFile}: ` : ''}${stage}`));
+        converter.on('progress', ({ percent }) => console.error(`progress ${percent}%`));
+        converter.on('download', createDownloadLogger());
+    }
+
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+
+    if (isBatch) {
+        if (!globals.json) converter.on('file', file => console.error(`[${file.status}] ${file.input}${file.status === 'failed' ? `: ${file.message}` : ''}`));
+        const report = await converter.transcribeBatch(inputs, {
+            model: opts.model,
+            language: opts.language,
+            outputDir: opts.outputDir,
+            concurrency: opts.concurrency,
+            force: Boolean(opts.force),
+            signal: controller.signal,
+        });
+        const rtf = report.realtimeFactor === null ? '' : `, realtime factor ${report.realtimeFactor.toFixed(3)}`;
+        print(globals, report, `${report.message} (${(report.duration / 1000).toFixed(1)} s${rtf})\n`);
+        if (report.cancelled > 0) return EXIT_CANCELLED;
+        return report.success ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    const result = await converter.runWhisper(inputs[0], opts.model, opts.language, { signal: controller.signal, jobId: opts.jobId });
+    if (!result.success) {
+        if (globals.json) print(globals, { success: false, message: result.message, code: result.error ? result.error.code : null }, '');
+        else console.error(`Error: ${result.message}`);
+        return EXIT_FAILURE;
+    }
+
+    if (persist) {
+        const outputs = result.output.map(({ type, outputFile }) => ({ type, outputFile }));
+        print(globals, { success: true, message: result.message, output: outputs, transcript: result.transcript }, outputs.map(({ outputFile }) => `${outputFile}\n`).join(''));
+        return EXIT_OK;
+    }
+
+    const content = formats[0] === 'json'
+        ? JSON.stringify(result.transcript.toWhisperJson(), null, 2)
+        : result.transcript.render(formats[0], converter.getSubtitleOptions());
+    if (opts.output) {
+        await fs.writeFile(opts.output, content, 'utf-8');
+        print(globals, { success: true, message: result.message, output: [{ type: formats[0], outputFile: path.resolve(opts.output) }], transcript: result.transcript }, '');
+        if (!globals.json) console.error(`Saved to ${opts.output}`);
+    } else {
+        print(globals, { success: true, message: result.message, transcript: result.transcript }, content);
+    }
+    return EXIT_OK;
+}
+
+/**
+ * Builds the `models list` entries.
+ * @param {string} modelsDir - The models directory.
+ * @returns {Promise<Array<{ name: string, installed: boolean, size: number|null, modelFile: string }>>} - The models.
+ */
+async function listModels(modelsDir) {
+    return Promise.all(whisperDownloader.models.map(async name => {
+        const modelFile = whisperDownloader.getModelFile(name, modelsDir);
+        const stats = await fs.stat(modelFile).catch(() => null);
+        return { name, installed: Boolean(stats), size: stats ? stats.size : null, modelFile };
+    }));
+}
+
+/**
+ * Creates a model download progress handler that logs to stderr every two seconds and when a download completes.
+ * @returns {(progress: { model: string, bytes: number, total: number|null, rate: number }) => void} - The handler.
+ */
+function createDownloadLogger() {
+    let loggedAt = 0;
+    return ({ model, bytes, total, rate }) => {
+        const done = total !== null && bytes >= total;
+        if (!done && Date.now() - loggedAt < 2000) return;
+        loggedAt = Date.now();
+        const percent = total ? ` (${Math.floor(bytes / total * 100)}%)` : '';
+        console.error(`downloading ${model}: ${formatSize(bytes)}${total ? ` of ${formatSize(total)}` : ''}${percent}, ${formatSize(rate)}/s`);
+    };
+}
+
+/**
+ * Formats a byte count for humans.
+ * @param {number|null} bytes - The byte count.
+ * @returns {string} - The formatted size, e.g. `74.1 MB`.
+ */
+function formatSize(bytes) {
+    if (bytes === null) return '-';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Formats a diagnostic report for the `doctor` command.
+ * @param {import('./Audio2TextJS.js').DiagnosticReport} report - The report returned by `diagnose`.
+ * @returns {string} - The report as text.
+ */
+function formatDiagnosticReport(report) {
+    const lines = [];
+    for (const binary of report.binaries) {
+        lines.push(`${binary.ok ? 'ok  ' : 'FAIL'} ${binary.name.padEnd(8)} ${binary.path || '-'}${binary.version ? ` (${binary.version})` : ''}${binary.source ? ` [${binary.source}]` : ''}`);
+    }
+    const installed = report.models.filter(model => model.installed);
+    lines.push(`${installed.every(model => model.problems.length === 0) ? 'ok  ' : 'FAIL'} ${'models'.padEnd(8)} ${installed.length > 0 ? installed.map(model => `${model.name} (${formatSize(model.size)})`).join(', ') : 'none downloaded yet (runWhisper downloads models on first use)'}`);
+    if (report.disk) lines.push(`     ${'disk'.padEnd(8)} ${formatSize(report.disk.free)} free of ${formatSize(report.disk.total)}`);
+    lines.push(`     ${'memory'.padEnd(8)} ${formatSize(report.memory.free)} free of ${formatSize(report.memory.total)}`);
+    report.problems.forEach(problem => lines.push(`error: ${problem}`));
+    report.warnings.forEach(warning => lines.push(`warning: ${warning}`));
+    lines.push(report.message);
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates the CLI program.
+ * @returns {Command} - The program.
+ */
+function createProgram() {
+    const program = new Command();
+    program
+        .name('audio2textjs')
+        .description('Transcribe audio and video files with whisper.cpp.')
+        .option('--json', 'Print machine-readable JSON to stdout')
+        .option('--models-dir <dir>', 'Directory models are cached in (default: AUDIO2TEXT_MODELS_DIR, then ~/.cache/audio2textjs)')
+        .option('--models-mirror <url>', 'Base URL of a mirror of the built-in models (default: AUDIO2TEXT_MODELS_MIRROR, then Hugging Face)')
+        .option('--offline', 'Never download binaries or models; fail with the list of what is missing (default: AUDIO2TEXT_OFFLINE)')
+        .exitOverride();
+    const modelsDir = () => getModelsDir({ modelsDir: program.opts().modelsDir });
+
+    const transcribeCommand = program
+        .command('transcribe')
+        .description('Transcribe a file, or several files, directories and glob patterns (batch mode)')
+        .argument('<inputs...>', 'Audio or video files, directories or glob patterns')
+        .option('-m, --model <model>', 'Model name, or an absolute path to a ggml model file', 'base')
+        .option('-l, --language <language>', "Spoken language ('auto' to detect)", parseLanguage, 'auto')
+        .option('-f, --format <formats>', `Comma-separated output formats (${Object.keys(FORMATS).join(', ')})`, parseFormats, ['txt'])
+        .option('-o, --output <file>', 'Write the output to a file instead of stdout (single input and format)')
+        .option('-d, --output-dir <dir>', 'Write every format to <dir>/<input name>.<format>; in batch mode, the root of the mirrored output tree')
+        .option('--word-timestamps', 'Per-word timing (karaoke WebVTT, enhanced LRC)')
+        .option('--vad', 'Cut silence out before transcription')
+        .option('--chunk-minutes <minutes>', 'Transcribe in chunks of this many minutes', parseNumber)
+        .option('--chunk-overlap <seconds>', 'Overlap between chunks in seconds', parseNumber)
+        .option('--chunk-concurrency <number>', 'Chunks transcribed in parallel', parseInteger)
+        .option('--subtitle-max-line-length <chars>', 'Maximum characters per subtitle line', parseInteger)
+        .option('--subtitle-max-lines <lines>', 'Maximum lines per subtitle cue', parseInteger)
+        .option('--timeout <ms>', 'Abort each transcription after this many milliseconds', parseInteger)
+        .option('--job-id <id>', 'Make a single-file transcription resumable')
+        .option('--work-dir <dir>', 'Directory for temporary files')
+        .option('--keep-temp-files', 'Keep temporary files for debugging')
+        .option('--whisper-path <file>', 'whisper.cpp executable to use (default: AUDIO2TEXT_WHISPER_PATH, the bundled binary, then PATH)')
+        .option('--ffmpeg-path <file>', 'ffmpeg executable to use (default: AUDIO2TEXT_FFMPEG_PATH, the bundled binary, then PATH)')
+        .option('--ffprobe-path <file>', 'ffprobe executable to use (default: AUDIO2TEXT_FFPROBE_PATH, the bundled binary, then PATH)')
+        .option('-c, --concurrency <number>', 'Batch mode: files transcribed at the same time', parseInteger, 1)
+        .option('--force', 'Batch mode: transcribe files even when their outputs are up to date')
+        .option('-v, --verbose', 'Print stages and progress to stderr');
+    const whisperKeys = addWhisperOptions(transcribeCommand);
+    transcribeCommand.action(async (inputs, opts) => {
+        process.exitCode = await transcribe(inputs, opts, whisperKeys, program.opts());
+    });
+
+    const models = program.command('models').description('Manage ggml models');
+    models
+        .command('list')
+        .description('List the available models and whether they are downloaded')
+        .action(async () => {
+            const list = await listModels(modelsDir());
+            print(program.opts(), list, list.map(model => `${model.name.padEnd(22)}${model.installed ? formatSize(model.size) : 'not downloaded'}\n`).join(''));
+        });
+    models
+        .command('download')
+        .description('Download models, one after the other')
+        .argument('<models...>', "Model names ('all' for every built-in model)")
+        .action(async names => {
+            const results = [];
+            const onProgress = program.opts().json ? undefined : createDownloadLogger();
+            for (const name of names.flatMap(name => name === 'all' ? whisperDownloader.models : [name])) {
+                const result = await whisperDownloader.downloadModel(name, modelsDir(), { mirror: program.opts().modelsMirror, offline: program.opts().offline, logger: stderrLogger, onProgress })
+                    .catch(error => ({ success: false, message: error.message }));
+                results.push({ model: name, success: result.success, message: result.message, modelFile: result.modelFile });
+            }
+            print(program.opts(), results, results.map(result => `${result.model}: ${result.message}\n`).join(''));
+            process.exitCode = results.every(result => result.success) ? EXIT_OK : EXIT_FAILURE;
+        });
+    models
+        .command('remove')
+        .description('Remove downloaded models')
+        .argument('<models...>', 'Model names')
+        .action(async names => {
+            const results = [];
+            for (const name of names) results.push({ model: name, ...await whisperDownloader.removeModel(name, modelsDir()) });
+            print(program.opts(), results, results.map(result => `${result.message}\n`).join(''));
+            process.exitCode = results.every(result => result.success) ? EXIT_OK : EXIT_FAILURE;
+        });
+    models
+        .command('verify')
+        .description('Check that downloaded models are complete ggml files matching the model manifest (all downloaded models by default)')
+        .argument('[models...]', 'Model names')
+        .option('--quick', 'Only check the size and header, without hashing')
+        .action(async (names, opts) => {
+            const targets = names.length > 0 ? names : (await listModels(modelsDir())).filter(model => model.installed).map(model => model.name);
+            const results = [];
+            for (const name of targets) results.push({ model: name, ...await whisperDownloader.verifyModel(name, modelsDir(), { hash: !opts.quick }) });
+            print(program.opts(), results, results.map(result => `${result.success ? 'ok  ' : 'FAIL'} ${result.message}${result.sha256 ? ` sha256:${result.sha256}` : ''}\n`).join(''));
+            process.exitCode = results.every(result => result.success) ? EXIT_OK : EXIT_FAILURE;
+        });
+    models
+        .command('prune')
+        .description('Remove cached models that were not used recently, and incomplete downloads')
+        .option('--older-than <days>', 'Remove models last used more than this many days ago', parseNumber, 30)
+        .option('--keep <models...>', 'Models that are never removed')
+        .option('--dry-run', 'Only list what would be removed')
+        .action(async opts => {
+            if (opts.olderThan < 0) throw new RangeError(`Invalid --older-than: ${opts.olderThan}. Must be a number of days >= 0.`);
+            const result = await pruneModels({ dir: modelsDir(), olderThan: opts.olderThan * 24 * 60 * 60 * 1000, keep: opts.keep || [], dryRun: Boolean(opts.dryRun) });
+            print(program.opts(), result, `${result.removed.map(model => `${model.filename.padEnd(30)}${formatSize(model.size)}\n`).join('')}${result.message}\n`);
+        });
+
+    program
+        .command('pack')
+        .description('Bundle the binaries and models into a tarball, to install them on a machine without network access')
+        .argument('<file>', 'The tarball to write, e.g. audio2textjs-linux-x64.tar.gz')
+        .option('-m, --models <models...>', 'Models to bundle', ['base'])
+        .addOption(new Option('--programs <programs...>', 'Programs whose binaries are bundled').choices(['whisper', 'ffmpeg', 'ffprobe']).default(['whisper', 'ffmpeg', 'ffprobe']))
+        .option('--no-binaries', 'Only bundle the models')
+        .addOption(new Option('--platform <platform>', 'Operating system of the target machine').choices(['linux', 'win32']).default(process.platform))
+        .addOption(new Option('--arch <arch>', 'Architecture of the target machine').choices(['x64', 'arm64', 'arm']).default(process.arch))
+        .action(async (file, opts) => {
+            const { modelsMirror, offline } = program.opts();
+            const result = await packBundle(file, {
+                platform: opts.platform,
+                arch: opts.arch,
+                programs: opts.binaries ? opts.programs : [],
+                models: opts.models,
+                modelsDir: modelsDir(),
+                mirror: modelsMirror,
+                offline,
+                logger: stderrLogger,
+            });
+            print(program.opts(), result, `${result.message}\n`);
+            process.exitCode = result.success ? EXIT_OK : EXIT_FAILURE;
+        });
+
+    program
+        .command('install-from-bundle')
+        .description('Install the binaries and models of a tarball written by pack, without network access')
+        .argument('<file>', 'The tarball')
+        .option('--bin-dir <dir>', 'Directory to install the binaries in (default: the bundled binaries directory)')
+        .option('--force', 'Install binaries built for another platform or architecture')
+        .action(async (file, opts) => {
+            const result = await installBundle(file, { binDir: opts.binDir, modelsDir: modelsDir(), force: Boolean(opts.force) });
+            print(program.opts(), result, `${[...result.binaries || [], ...result.models || []].map(installed => `${installed}\n`).join('')}${result.message}\n`);
+            process.exitCode = result.success ? EXIT_OK : EXIT_FAILURE;
+        });
+
+    program
+        .command('formats')
+        .description('List the output formats')
+        .action(() => {
+            const list = Object.entries(FORMATS).map(([format, description]) => ({ format, description }));
+            print(program.opts(), list, list.map(({ format, description }) => `${format.padEnd(6)}${description}\n`).join(''));
+        });
+
+    program
+        .command('doctor')
+        .description('Check the binaries, models, disk space and memory transcription depends on')
+        .action(async () => {
+            const report = await new Audio2TextJS({ modelsDir: modelsDir(), logger: stderrLogger }).diagnose();
+            print(program.opts(), report, formatDiagnosticReport(report));
+            process.exitCode = report.success ? EXIT_OK : EXIT_FAILURE;
+        });
+
+    return program;
+}
+
+/**
+ * Runs the CLI.
+ * @param {Array<string>} argv - The process arguments.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function main(argv) {
+    const program = createProgram();
+    try {
+        await program.parseAsync(argv);
+        return process.exitCode || EXIT_OK;
+    } catch (error) {
+        if (error instanceof CommanderError) {
+            return error.exitCode === 0 ? EXIT_OK : EXIT_USAGE;
+        }
+        if (error instanceof AbortError) {
+            console.error('Cancelled.');
+            return EXIT_CANCELLED;
+        }
+        console.error(`Error: ${error.message}`);
+        return error instanceof RangeError ? EXIT_USAGE : EXIT_FAILURE;
+    }
+}
+
+// Exiting with process.exit could cut off output still being written to a pipe
+process.exitCode = await main(process.argv);
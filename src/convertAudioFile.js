@@ -7,40 +7,28 @@
  */
 
 import fs from 'node:fs';
-import { spawn } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+import os from 'node:os';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { Readable } from 'node:stream';
+import { toAbortError } from './abortSignal.js';
+import { ConversionError, InputNotFoundError } from './errors.js';
+import { resolveBinary, spawnBinary } from './resolveBinaries.js';
 
 /**
-* Function to check if FFmpeg and ffprobe are installed and return their executable paths based on OS and architecture.
-* @returns {Object} Returns the paths to FFmpeg and ffprobe executables if installed, otherwise null.
+* Function to resolve the FFmpeg and ffprobe executables: the given paths, then the `AUDIO2TEXT_FFMPEG_PATH` and
+* `AUDIO2TEXT_FFPROBE_PATH` environment variables, then the bundled binaries, then `PATH` (see `resolveBinaries.js`).
+* @param {Object} [options={}] - Paths configured by the caller.
+* @param {string} [options.ffmpegPath] - Path to the ffmpeg executable.
+* @param {string} [options.ffprobePath] - Path to the ffprobe executable.
+* @returns {Object} Returns the paths to FFmpeg and ffprobe executables if both are found, otherwise null.
 */
-function getFFmpegPaths() {
-    const dirBin = path.join(__dirname, "bin");
-    let ffmpegPath = null;
-    let ffprobePath = null;
-
-    if (process.platform === 'win32') {
-        ffmpegPath = path.join(dirBin, "win32", "ffmpeg.exe");
-        ffprobePath = path.join(dirBin, "win32", "ffprobe.exe");
-    } else if (process.platform === 'linux' || process.platform === 'android') {
-        if (process.arch === 'x64') {
-            ffmpegPath = path.join(dirBin, "linux", "ffmpeg");
-            ffprobePath = path.join(dirBin, "linux", "ffprobe");
-        } else if (['arm64', 'arm'].includes(process.arch)) {
-            ffmpegPath = path.join(dirBin, "linux", "ffmpeg-aarch64");
-            ffprobePath = path.join(dirBin, "linux", "ffprobe-aarch64");
-        } else {
-            throw new Error('Unsupported architecture.');
-        }
-    } else {
-        throw new Error('Unsupported operating system.');
-    }
+function getFFmpegPaths({ ffmpegPath, ffprobePath } = {}) {
+    const ffmpeg = resolveBinary('ffmpeg', { path: ffmpegPath });
+    const ffprobe = resolveBinary('ffprobe', { path: ffprobePath });
 
-    if (fs.existsSync(ffmpegPath) && fs.existsSync(ffprobePath)) {
-        return { ffmpegPath, ffprobePath };
+    if (ffmpeg.path && ffprobe.path) {
+        return { ffmpegPath: ffmpeg.path, ffprobePath: ffprobe.path };
     }
 
     return { ffmpegPath: null, ffprobePath: null };
@@ -50,16 +38,17 @@ function getFFmpegPaths() {
  * Function to get the sample rate of an audio file using ffprobe.
  * @param {string} ffprobePath - Path to the ffprobe executable.
  * @param {string} inputFilePath - Path to the input audio file.
+ * @param {AbortSignal} [signal] - Signal that kills the ffprobe process when aborted.
  * @returns {Promise<number>} A promise that resolves with the sample rate of the audio file.
  */
-async function getSampleRate(ffprobePath, inputFilePath) {
+async function getSampleRate(ffprobePath, inputFilePath, signal) {
     return new Promise((resolve, reject) => {
-        const subprocess = spawn(ffprobePath, [
+        const subprocess = spawnBinary(ffprobePath, [
             '-v', 'error',
             '-show_entries', 'stream=sample_rate',
             '-of', 'default=noprint_wrappers=1:nokey=1',
             inputFilePath
-        ]);
+        ], { signal });
 
         let stdout = '';
         let stderr = '';
@@ -91,15 +80,16 @@ async function getSampleRate(ffprobePath, inputFilePath) {
  * @param {string} inputFilePath - Path to input audio file.
  * @param {string} outputFilePath - Path to output WAV file.
  * @param {string} ffmpegPath - Path to the ffmpeg executable.
+ * @param {AbortSignal} [signal] - Signal that kills the ffmpeg process when aborted.
  * @returns {Promise<string>} A promise that resolves with the path to the converted WAV file.
  */
-async function convertToWav(inputFilePath, outputFilePath, ffmpegPath) {
+async function convertToWav(inputFilePath, outputFilePath, ffmpegPath, signal) {
     return new Promise((resolve, reject) => {
-        const subprocess = spawn(ffmpegPath, [
+        const subprocess = spawnBinary(ffmpegPath, [
             '-y',
             '-i', inputFilePath,
             outputFilePath
-        ]);
+        ], { signal });
 
         let stderr = '';
 
@@ -121,46 +111,130 @@ async function convertToWav(inputFilePath, outputFilePath, ffmpegPath) {
     });
 }
 
+/**
+ * Function to check whether an input is in-memory or streamed audio rather than a file path.
+ * @param {*} input - The input to check.
+ * @returns {boolean} True for a Buffer, a Node.js Readable or a web ReadableStream.
+ */
+function isAudioSource(input) {
+    return Buffer.isBuffer(input) || input instanceof Readable || (input != null && typeof input.getReader === 'function');
+}
+
+/**
+ * Function to convert a Buffer or stream to a mono PCM WAV file by piping it into ffmpeg's stdin.
+ * @param {Buffer|Readable|ReadableStream} input - The audio data.
+ * @param {string} outputFilePath - Path to output WAV file.
+ * @param {number} desiredSampleRate - Desired sample rate in Hz.
+ * @param {string} ffmpegPath - Path to the ffmpeg executable.
+ * @param {AbortSignal} [signal] - Signal that kills the ffmpeg process when aborted.
+ * @returns {Promise<{ success: boolean, message: string, output: string }>} A promise that resolves with a success message upon successful conversion, or rejects with an error message.
+ */
+async function convertStreamToWav(input, outputFilePath, desiredSampleRate, ffmpegPath, signal) {
+    return new Promise((resolve, reject) => {
+        const subprocess = spawnBinary(ffmpegPath, [
+            '-y',
+            '-i', 'pipe:0',
+            '-ar', desiredSampleRate,
+            '-ac', '1',
+            '-c:a', 'pcm_s16le',
+            outputFilePath
+        ], { signal });
+
+        let stderr = '';
+
+        subprocess.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        // ffmpeg may exit before consuming all of stdin; its exit code reports the actual failure
+        subprocess.stdin.on('error', () => { });
+
+        const source = Buffer.isBuffer(input) ? Readable.from([input]) : (input instanceof Readable ? input : Readable.fromWeb(input));
+        source.on('error', (err) => {
+            subprocess.kill();
+            reject(new Error(`Failed to read input stream: ${err.message}`));
+        });
+        source.pipe(subprocess.stdin);
+
+        subprocess.on('close', (code) => {
+            if (code === 0) {
+                resolve({ success: true, message: `Input stream successfully converted to '${outputFilePath}' with sample rate ${desiredSampleRate} Hz.`, output: outputFilePath });
+            } else {
+                reject(new Error(`Failed to convert input stream to WAV: ${stderr.trim()}`));
+            }
+        });
+
+        subprocess.on('error', (err) => {
+            reject(err);
+        });
+    });
+}
+
 /**
  * Function to convert an audio file to a desired sample rate and WAV format using FFmpeg.
- * @param {string} inputFilePath - Path to input audio file.
+ * Intermediate and converted files are written to `workDir` with a unique name, so concurrent conversions
+ * of the same input never clobber each other and the input directory may be read-only. The caller owns the
+ * returned file (unless it is the input itself, which happens when it already is a WAV at the desired rate).
+ * A Buffer or stream input is piped straight into ffmpeg and converted to 16-bit mono PCM, without staging it on disk first.
+ * With `pcm16`, a file input is always converted to 16-bit mono PCM too, even a WAV already at the desired rate.
+ * @param {string|Buffer|Readable|ReadableStream} inputFilePath - Path to input audio file, or the audio data itself.
  * @param {number} [desiredSampleRate=16000] - Desired sample rate in Hz (default: 16000).
- * @returns {Promise<{ success: boolean, message: string, output: string }>} A promise that resolves with a success message upon successful conversion, or rejects with an error message.
+ * @param {Object} [options={}] - Conversion options.
+ * @param {AbortSignal} [options.signal] - Signal that kills the running ffmpeg/ffprobe process and removes partial files when aborted.
+ * @param {string} [options.workDir=os.tmpdir()] - Directory for the converted file and intermediates.
+ * @param {boolean} [options.pcm16=false] - Always write 16-bit mono PCM, the sample format voice activity detection reads.
+ * @param {string} [options.ffmpegPath] - Path to the ffmpeg executable (resolved by `getFFmpegPaths` when omitted).
+ * @param {string} [options.ffprobePath] - Path to the ffprobe executable (resolved by `getFFmpegPaths` when omitted).
+ * @returns {Promise<{ success: boolean, message: string, output?: string, error?: ConversionError|InputNotFoundError }>} A promise that resolves with a success message upon successful conversion, or with an error message and the `error` on failure. Rejects with an AbortError when aborted.
  */
-async function convertAudioFile(inputFilePath, desiredSampleRate = 16000) {
+async function convertAudioFile(inputFilePath, desiredSampleRate = 16000, { signal, workDir = os.tmpdir(), pcm16 = false, ...binaryPaths } = {}) {
+    const isSource = isAudioSource(inputFilePath);
+    const baseName = `${isSource ? 'stream' : path.parse(inputFilePath).name}-${randomUUID()}`;
+    const tempWavPath = path.join(workDir, `${baseName}.TEMP.wav`);
+    const outputFilePath = path.join(workDir, `${baseName}.OUTPUT.wav`);
     try {
-        let outputFilePath;
-        const { ffmpegPath, ffprobePath } = getFFmpegPaths();
+        const { ffmpegPath, ffprobePath } = getFFmpegPaths(binaryPaths);
         if (!ffmpegPath || !ffprobePath) throw new Error('FFmpeg or ffprobe is not installed.');
 
+        if (isSource) {
+            return await convertStreamToWav(inputFilePath, outputFilePath, desiredSampleRate, ffmpegPath, signal);
+        }
+
         if (!fs.existsSync(inputFilePath)) {
-            throw new Error(`Input file '${inputFilePath}' not found.`);
+            throw new InputNotFoundError(`Input file '${inputFilePath}' not found.`, { input: inputFilePath });
         }
 
         const ext = path.extname(inputFilePath).toLowerCase();
         const isWav = ext === '.wav';
 
+        if (pcm16) {
+            // WAV files may hold 8, 24 or 32-bit samples or several channels, whatever their rate
+            return await convertSampleRate(inputFilePath, outputFilePath, desiredSampleRate, ffmpegPath, signal, { pcm16 });
+        }
         if (isWav) {
-            const currentSampleRate = await getSampleRate(ffprobePath, inputFilePath);
+            const currentSampleRate = await getSampleRate(ffprobePath, inputFilePath, signal);
             if (currentSampleRate === desiredSampleRate) {
                 return { success: true, message: `Input file '${inputFilePath}' is already at the desired sample rate.`, output: inputFilePath };
             }
-            outputFilePath = `${inputFilePath}.OUTPUT.wav`;
-            return await convertSampleRate(inputFilePath, outputFilePath, desiredSampleRate, ffmpegPath);
+            return await convertSampleRate(inputFilePath, outputFilePath, desiredSampleRate, ffmpegPath, signal);
         } else {
-            const tempWavPath = `${inputFilePath}.TEMP.wav`;
-            await convertToWav(inputFilePath, tempWavPath, ffmpegPath);
-            const currentSampleRate = await getSampleRate(ffprobePath, tempWavPath);
+            await convertToWav(inputFilePath, tempWavPath, ffmpegPath, signal);
+            const currentSampleRate = await getSampleRate(ffprobePath, tempWavPath, signal);
             if (currentSampleRate === desiredSampleRate) {
                 return { success: true, message: `Input file '${inputFilePath}' converted to WAV format with the desired sample rate.`, output: tempWavPath };
             }
-            outputFilePath = `${inputFilePath}.OUTPUT.wav`;
-            const result = await convertSampleRate(tempWavPath, outputFilePath, desiredSampleRate, ffmpegPath);
-            fs.unlinkSync(tempWavPath);
+            const result = await convertSampleRate(tempWavPath, outputFilePath, desiredSampleRate, ffmpegPath, signal);
+            fs.rmSync(tempWavPath, { force: true });
             return result;
         }
     } catch (error) {
-        return { success: false, message: `Failed to convert '${inputFilePath}' to the desired sample rate: ${error.message}` };
+        fs.rmSync(tempWavPath, { force: true });
+        fs.rmSync(outputFilePath, { force: true });
+        if (signal && signal.aborted) throw toAbortError(signal);
+        const inputName = isSource ? 'input stream' : `'${inputFilePath}'`;
+        const message = `Failed to convert ${inputName} to the desired sample rate: ${error.message}`;
+        const failure = error instanceof InputNotFoundError ? error : new ConversionError(message, { input: isSource ? null : inputFilePath, cause: error });
+        return { success: false, message, error: failure };
     }
 }
 
@@ -170,16 +244,20 @@ async function convertAudioFile(inputFilePath, desiredSampleRate = 16000) {
  * @param {string} outputFilePath - Path to output WAV file.
  * @param {number} desiredSampleRate - Desired sample rate in Hz.
  * @param {string} ffmpegPath - Path to the ffmpeg executable.
+ * @param {AbortSignal} [signal] - Signal that kills the ffmpeg process when aborted.
+ * @param {Object} [options={}] - Conversion options.
+ * @param {boolean} [options.pcm16=false] - Write 16-bit mono PCM.
  * @returns {Promise<{ success: boolean, message: string, output: string }>} A promise that resolves with a success message upon successful conversion, or rejects with an error message.
  */
-async function convertSampleRate(inputFilePath, outputFilePath, desiredSampleRate, ffmpegPath) {
+async function convertSampleRate(inputFilePath, outputFilePath, desiredSampleRate, ffmpegPath, signal, { pcm16 = false } = {}) {
     return new Promise((resolve, reject) => {
-        const subprocess = spawn(ffmpegPath, [
+        const subprocess = spawnBinary(ffmpegPath, [
             '-y',
             '-i', inputFilePath,
             '-ar', desiredSampleRate,
+            ...(pcm16 ? ['-ac', '1', '-c:a', 'pcm_s16le'] : []),
             outputFilePath
-        ]);
+        ], { signal });
 
         let stderr = '';
 
@@ -201,4 +279,5 @@ async function convertSampleRate(inputFilePath, outputFilePath, desiredSampleRat
     });
 }
 
+export { isAudioSource, getFFmpegPaths };
 export default convertAudioFile;
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import fs from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import Transcript from './Transcript.js';
+import { throwIfAborted } from './abortSignal.js';
+
+/**
+ * Default options of the energy-based voice activity detection.
+ */
+const DEFAULT_VAD_OPTIONS = {
+    frameMs: 30,
+    threshold: -40,
+    minSilenceMs: 1000,
+    minSpeechMs: 250,
+    paddingMs: 300,
+};
+
+/**
+ * WAV format tags supported by the detector.
+ */
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+/**
+ * Function to read the format and data location of a WAV file.
+ * @param {string} wavFile - Path to the WAV file.
+ * @returns {Promise<{ formatTag: number, channels: number, sampleRate: number, bitsPerSample: number, blockAlign: number, dataOffset: number, dataSize: number }>} A promise that resolves with the WAV header fields.
+ */
+async function readWavHeader(wavFile) {
+    const handle = await fsPromises.open(wavFile, 'r');
+    try {
+        const { size } = await handle.stat();
+        const riff = Buffer.alloc(12);
+        await handle.read(riff, 0, 12, 0);
+        if (riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+            throw new Error(`'${wavFile}' is not a WAV file.`);
+        }
+
+        let format = null;
+        const chunkHeader = Buffer.alloc(8);
+        for (let offset = 12; offset + 8 <= size;) {
+            await handle.read(chunkHeader, 0, 8, offset);
+            const id = chunkHeader.toString('ascii', 0, 4);
+            const chunkSize = chunkHeader.readUInt32LE(4);
+            if (id === 'fmt ') {
+                const fmt = Buffer.alloc(16);
+                await handle.read(fmt, 0, 16, offset + 8);
+                format = {
+                    formatTag: fmt.readUInt16LE(0),
+                    channels: fmt.readUInt16LE(2),
+                    sampleRate: fmt.readUInt32LE(4),
+                    blockAlign: fmt.readUInt16LE(12),
+                    bitsPerSample: fmt.readUInt16LE(14),
+                };
+                // WAVE_FORMAT_EXTENSIBLE stores the actual format tag in the sub-format GUID
+                if (format.formatTag === 0xFFFE && chunkSize >= 26) {
+                    const subFormat = Buffer.alloc(2);
+                    await handle.read(subFormat, 0, 2, offset + 8 + 24);
+                    format.formatTag = subFormat.readUInt16LE(0);
+                }
+            } else if (id === 'data') {
+                if (!format) throw new Error(`'${wavFile}' has no format chunk before its data.`);
+                // Streams written by ffmpeg through a pipe carry a placeholder size
+                const dataSize = Math.min(chunkSize, size - offset - 8);
+                return { ...format, dataOffset: offset + 8, dataSize };
+            }
+            offset += 8 + chunkSize + (chunkSize % 2);
+        }
+        throw new Error(`'${wavFile}' has no data chunk.`);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Function to compute the level of every frame of a WAV file in dBFS (channels are averaged).
+ * @param {string} wavFile - Path to a 16-bit PCM or 32-bit float WAV file.
+ * @param {number} frameMs - Frame length in milliseconds.
+ * @param {Object} [options={}] - Measuring options.
+ * @param {AbortSignal} [options.signal] - Signal that stops reading, checked before each block of frames.
+ * @returns {Promise<{ header: Object, levels: Array<number> }>} A promise that resolves with the WAV header and the frame levels. Rejects with an AbortError when aborted.
+ */
+async function measureFrameLevels(wavFile, frameMs, { signal } = {}) {
+    throwIfAborted(signal);
+    const header = await readWavHeader(wavFile);
+    const { formatTag, bitsPerSample, channels, blockAlign, sampleRate, dataOffset, dataSize } = header;
+    const isInt16 = formatTag === WAVE_FORMAT_PCM && bitsPerSample === 16;
+    const isFloat32 = formatTag === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32;
+    if (!isInt16 && !isFloat32) {
+        throw new Error(`Voice activity detection requires a 16-bit PCM or 32-bit float WAV file, got format ${formatTag} with ${bitsPerSample} bits.`);
+    }
+
+    const frameBytes = Math.max(1, Math.round((sampleRate * frameMs) / 1000)) * blockAlign;
+    const bytesPerSample = bitsPerSample / 8;
+    const levels = [];
+    let rest = Buffer.alloc(0);
+
+    const measure = (frame) => {
+        let sum = 0;
+        const frames = frame.length / blockAlign;
+        for (let i = 0; i < frame.length; i += blockAlign) {
+            let value = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                const position = i + channel * bytesPerSample;
+                value += isInt16 ? frame.readInt16LE(position) / 32768 : frame.readFloatLE(position);
+            }
+            value /= channels;
+            sum += value * value;
+        }
+        const rms = Math.sqrt(sum / frames);
+        levels.push(rms > 0 ? 20 * Math.log10(rms) : -Infinity);
+    };
+
+    if (dataSize > 0) {
+        const stream = fs.createReadStream(wavFile, { start: dataOffset, end: dataOffset + dataSize - 1 });
+        for await (const data of stream) {
+            throwIfAborted(signal);
+            let buffer = rest.length > 0 ? Buffer.concat([rest, data]) : data;
+            let offset = 0;
+            for (; offset + frameBytes <= buffer.length; offset += frameBytes) {
+                measure(buffer.subarray(offset, offset + frameBytes));
+            }
+            rest = buffer.subarray(offset);
+        }
+    }
+    const tail = rest.length - (rest.length % blockAlign);
+    if (tail > 0) measure(rest.subarray(0, tail));
+
+    return { header, levels };
+}
+
+/**
+ * Function to find the speech regions of a WAV file using frame energy.
+ * Frames louder than `threshold` are speech; silences shorter than `minSilenceMs` are bridged, speech shorter than
+ * `minSpeechMs` is dropped, and every region is padded by `paddingMs` on both sides.
+ * @param {string} wavFile - Path to a 16-bit PCM or 32-bit float WAV file.
+ * @param {Object} [options={}] - Detection options.
+ * @param {number} [options.frameMs=30] - Frame length in milliseconds.
+ * @param {number} [options.threshold=-40] - Level in dBFS above which a frame is speech.
+ * @param {number} [options.minSilenceMs=1000] - Shortest silence that separates two regions.
+ * @param {number} [options.minSpeechMs=250] - Shortest region that is kept.
+ * @param {number} [options.paddingMs=300] - Silence kept around each region.
+ * @param {AbortSignal} [options.signal] - Signal that stops the detection.
+ * @returns {Promise<{ regions: Array<{ start: number, end: number }>, duration: number, header: Object }>} A promise that resolves with the regions and the file duration (milliseconds). Rejects with an AbortError when aborted.
+ */
+async function detectSpeechRegions(wavFile, options = {}) {
+    const { frameMs, threshold, minSilenceMs, minSpeechMs, paddingMs, signal } = { ...DEFAULT_VAD_OPTIONS, ...options };
+    const { header, levels } = await measureFrameLevels(wavFile, frameMs, { signal });
+    const duration = Math.round((header.dataSize / header.blockAlign / header.sampleRate) * 1000);
+
+    const raw = [];
+    levels.forEach((level, index) => {
+        if (level <= threshold) return;
+        const start = index * frameMs;
+        const last = raw[raw.length - 1];
+        if (last && start - last.end < minSilenceMs) last.end = start + frameMs;
+        else raw.push({ start, end: start + frameMs });
+    });
+
+    const regions = [];
+    for (const region of raw.filter(item => item.end - item.start >= minSpeechMs)) {
+        const start = Math.max(0, region.start - paddingMs);
+        const end = Math.min(duration, region.end + paddingMs);
+        const last = regions[regions.length - 1];
+        if (last && start <= last.end) last.end = Math.max(last.end, end);
+        else regions.push({ start, end });
+    }
+
+    return { regions, duration, header };
+}
+
+/**
+ * Function to write a WAV file that only contains the given regions of another WAV file, back to back.
+ * @param {string} wavFile - Path to the source WAV file.
+ * @param {Array<{ start: number, end: number }>} regions - Regions to keep, in milliseconds.
+ * @param {string} outputFilePath - Path to output WAV file.
+ * @param {Object} header - Header of the source file, as returned by `detectSpeechRegions`.
+ * @param {Object} [options={}] - Writing options.
+ * @param {AbortSignal} [options.signal] - Signal that stops writing, checked before each block that is copied.
+ * @returns {Promise<Array<{ start: number, end: number, originalStart: number }>>} A promise that resolves with the timeline: where each region lies in the output file and where it came from. Rejects with an AbortError when aborted.
+ */
+async function writeSpeechFile(wavFile, regions, outputFilePath, header, { signal } = {}) {
+    const { formatTag, channels, sampleRate, bitsPerSample, blockAlign, dataOffset, dataSize } = header;
+    const toByte = (ms) => Math.min(dataSize, Math.round((ms * sampleRate) / 1000) * blockAlign);
+    const ranges = regions.map(region => ({ ...region, from: toByte(region.start), to: toByte(region.end) }));
+    const totalBytes = ranges.reduce((sum, range) => sum + (range.to - range.from), 0);
+
+    const wavHeader = Buffer.alloc(44);
+    wavHeader.write('RIFF', 0, 'ascii');
+    wavHeader.writeUInt32LE(36 + totalBytes, 4);
+    wavHeader.write('WAVE', 8, 'ascii');
+    wavHeader.write('fmt ', 12, 'ascii');
+    wavHeader.writeUInt32LE(16, 16);
+    wavHeader.writeUInt16LE(formatTag, 20);
+    wavHeader.writeUInt16LE(channels, 22);
+    wavHeader.writeUInt32LE(sampleRate, 24);
+    wavHeader.writeUInt32LE(sampleRate * blockAlign, 28);
+    wavHeader.writeUInt16LE(blockAlign, 32);
+    wavHeader.writeUInt16LE(bitsPerSample, 34);
+    wavHeader.write('data', 36, 'ascii');
+    wavHeader.writeUInt32LE(totalBytes, 40);
+
+    const input = await fsPromises.open(wavFile, 'r');
+    const output = await fsPromises.open(outputFilePath, 'w');
+    const timeline = [];
+    try {
+        await output.write(wavHeader);
+        let position = 0;
+        const buffer = Buffer.alloc(1024 * 1024);
+        for (const range of ranges) {
+            for (let offset = range.from; offset < range.to;) {
+                throwIfAborted(signal);
+                const length = Math.min(buffer.length, range.to - offset);
+                const { bytesRead } = await input.read(buffer, 0, length, dataOffset + offset);
+                if (bytesRead === 0) break;
+                await output.write(buffer, 0, bytesRead);
+                offset += bytesRead;
+            }
+            const start = Math.round((position / blockAlign / sampleRate) * 1000);
+            position += range.to - range.from;
+            timeline.push({ start, end: Math.round((position / blockAlign / sampleRate) * 1000), originalStart: range.start });
+        }
+    } finally {
+        await input.close();
+        await output.close();
+    }
+    return timeline;
+}
+
+/**
+ * Maps a time of the speech-only file back to the original timeline.
+ * @param {number} time - Time in the speech-only file, in milliseconds.
+ * @param {Array<{ start: number, end: number, originalStart: number }>} timeline - The timeline returned by `writeSpeechFile`.
+ * @param {boolean} [isStart=false] - Whether the time starts something; a start at the joint of two regions maps to the later region.
+ * @returns {number} - The time on the original timeline, in milliseconds.
+ */
+function toOriginalTime(time, timeline, isStart = false) {
+    if (time === null || timeline.length === 0) return time;
+    const region = timeline.find(item => (isStart ? time < item.end : time <= item.end)) || timeline[timeline.length - 1];
+    return region.originalStart + (time - region.start);
+}
+
+/**
+ * Maps every segment and token time of a transcript of the speech-only file back to the original timeline.
+ * @param {Transcript} transcript - Transcript of the speech-only file.
+ * @param {Array<{ start: number, end: number, originalStart: number }>} timeline - The timeline returned by `writeSpeechFile`.
+ * @returns {Transcript} - The transcript on the original timeline.
+ */
+function mapTranscriptToOriginal(transcript, timeline) {
+    const segments = transcript.segments.map(segment => ({
+        ...segment,
+        start: toOriginalTime(segment.start, timeline, true),
+        end: toOriginalTime(segment.end, timeline),
+        tokens: segment.tokens.map(token => ({
+            ...token,
+            start: toOriginalTime(token.start, timeline, true),
+            end: toOriginalTime(token.end, timeline),
+        })),
+    }));
+    return new Transcript({ language: transcript.language, segments });
+}
+
+export {
+    DEFAULT_VAD_OPTIONS,
+    readWavHeader,
+    detectSpeechRegions,
+    writeSpeechFile,
+    toOriginalTime,
+    mapTranscriptToOriginal
+};
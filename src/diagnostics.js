@@ -0,0 +1,195 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import { constants } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * @typedef {Object} BinaryReport
+ * @property {string} name - The binary name (`whisper`, `ffmpeg` or `ffprobe`).
+ * @property {string|null} path - The resolved path, or null if it could not be resolved.
+ * @property {'option'|'env'|'bundled'|'path'|null} source - Where the path came from, see `resolveBinary` (null if the binary was not found).
+ * @property {boolean} ok - True if the binary exists, is executable and runs.
+ * @property {boolean} exists - Whether the file exists.
+ * @property {boolean} executable - Whether the file has execute permission.
+ * @property {string|null} arch - The architecture the binary is built for (`x64`, `arm64`, `arm`, `ia32`), or null if unknown.
+ * @property {boolean|null} archMatches - Whether `arch` matches the host architecture, or null if unknown.
+ * @property {number|null} exitCode - Exit code of the version command.
+ * @property {string|null} version - The version it reports, if any.
+ * @property {string} output - The first lines of the version command output.
+ * @property {Array<string>} missingLibraries - Shared libraries the dynamic loader could not find.
+ * @property {Array<string>} problems - What is wrong with the binary.
+ */
+
+/**
+ * Machine types of ELF (`e_machine`) and PE (`Machine`) headers, by Node.js architecture name.
+ */
+const ELF_MACHINES = { 3: 'ia32', 40: 'arm', 62: 'x64', 183: 'arm64' };
+const PE_MACHINES = { 0x14c: 'ia32', 0x1c4: 'arm', 0x8664: 'x64', 0xaa64: 'arm64' };
+
+/**
+ * CPU types of Mach-O headers (`cputype`), by Node.js architecture name.
+ */
+const MACHO_CPU_TYPES = { 0x7: 'ia32', 0xc: 'arm', 0x1000007: 'x64', 0x100000c: 'arm64' };
+
+/**
+ * Magic numbers of 32 and 64-bit Mach-O headers, as read in little-endian byte order.
+ */
+const MACHO_MAGICS = [0xfeedface, 0xfeedfacf];
+
+/**
+ * Size units used for the model sizes of the model registry.
+ */
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/**
+ * Converts a size such as `142 MB` or `~1.0 GB` to bytes.
+ * @param {string} size - The size.
+ * @returns {number|null} - The size in bytes, or null if it cannot be parsed.
+ */
+function parseSize(size) {
+    const match = /([\d.]+)\s*(B|KB|MB|GB)/i.exec(size);
+    return match ? Math.round(Number(match[1]) * SIZE_UNITS[match[2].toUpperCase()]) : null;
+}
+
+/**
+ * Reads the architecture a binary is built for from its ELF, PE or Mach-O header.
+ * @param {string} file - Path to the binary.
+ * @returns {Promise<string|null>} - A promise that resolves with the Node.js architecture name, or null for scripts, universal Mach-O binaries (which hold several) and unknown formats.
+ */
+async function readBinaryArch(file) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const header = Buffer.alloc(64);
+        const { bytesRead } = await handle.read(header, 0, 64, 0);
+        if (bytesRead >= 20 && header.toString('latin1', 0, 4) === '\x7fELF') {
+            const machine = header[5] === 2 ? header.readUInt16BE(18) : header.readUInt16LE(18);
+            return ELF_MACHINES[machine] || null;
+        }
+        if (bytesRead >= 64 && header.toString('latin1', 0, 2) === 'MZ') {
+            const peOffset = header.readUInt32LE(0x3c);
+            const pe = Buffer.alloc(6);
+            await handle.read(pe, 0, 6, peOffset);
+            if (pe.toString('latin1', 0, 4) !== 'PE\0\0') return null;
+            return PE_MACHINES[pe.readUInt16LE(4)] || null;
+        }
+        if (bytesRead >= 8 && MACHO_MAGICS.includes(header.readUInt32LE(0))) {
+            return MACHO_CPU_TYPES[header.readUInt32LE(4)] || null;
+        }
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Runs a binary with version arguments and collects its output.
+ * @param {string} file - Path to the binary.
+ * @param {Array<string>} args - Arguments that make the binary print its version or usage.
+ * @param {Object} [options={}] - Run options.
+ * @param {Object} [options.env=process.env] - Environment of the process.
+ * @param {number} [options.timeout=10000] - Milliseconds after which the process is killed.
+ * @returns {Promise<{ code: number|null, output: string, error: Error|null }>} - A promise that resolves with the exit code, the combined stdout and stderr output and the spawn error, if any.
+ */
+function runVersionCommand(file, args, { env = process.env, timeout = 10000 } = {}) {
+    return new Promise((resolve) => {
+        let output = '';
+        const subprocess = spawn(file, args, { env, timeout });
+        subprocess.stdout.on('data', data => (output += data.toString()));
+        subprocess.stderr.on('data', data => (output += data.toString()));
+        subprocess.on('error', error => resolve({ code: null, output, error }));
+        subprocess.on('close', code => resolve({ code, output, error: null }));
+    });
+}
+
+/**
+ * Checks that a binary exists, is executable, is built for the host architecture, and runs.
+ * @param {string} name - The binary name, used in problem descriptions.
+ * @param {string|null} file - Path to the binary.
+ * @param {Object} options - Check options.
+ * @param {Array<string>} options.args - Arguments that make the binary print its version or usage and exit with 0.
+ * @param {string} options.arch - The host architecture.
+ * @param {'option'|'env'|'bundled'|'path'|null} [options.source=null] - Where the path came from.
+ * @param {Object} [options.env] - Environment of the process, e.g. with the `LD_LIBRARY_PATH` the binary runs with.
+ * @returns {Promise<BinaryReport>} - A promise that resolves with the binary report.
+ */
+async function checkBinary(name, file, { args, arch, source = null, env }) {
+    const report = {
+        name, path: file, source, ok: false, exists: false, executable: false, arch: null, archMatches: null,
+        exitCode: null, version: null, output: '', missingLibraries: [], problems: [],
+    };
+    if (!file) {
+        report.problems.push(`No ${name} binary is available for this platform.`);
+        return report;
+    }
+
+    const stats = await fs.stat(file).catch(() => null);
+    report.exists = Boolean(stats && stats.isFile());
+    if (!report.exists) {
+        report.problems.push(`${name} not found at ${file}.`);
+        return report;
+    }
+
+    report.executable = process.platform === 'win32' || await fs.access(file, constants.X_OK).then(() => true, () => false);
+    if (!report.executable) report.problems.push(`${name} is not executable (try: chmod +x ${file}).`);
+
+    report.arch = await readBinaryArch(file).catch(() => null);
+    if (report.arch) {
+        report.archMatches = report.arch === arch;
+        if (!report.archMatches) report.problems.push(`${name} is built for ${report.arch}, but this machine is ${arch}.`);
+    }
+
+    if (report.executable) {
+        const { code, output, error } = await runVersionCommand(file, args, { env });
+        report.exitCode = code;
+        report.output = output.trim().split('\n').slice(0, 5).join('\n');
+        const versionMatch = /version\s+(\S*\d\S*)/i.exec(output.trim().split('\n')[0]);
+        report.version = versionMatch ? versionMatch[1] : null;
+        report.missingLibraries = [...output.matchAll(/error while loading shared libraries: ([^:\s]+)/g)].map(match => match[1]);
+        if (error) {
+            report.problems.push(`${name} could not be started: ${error.message}`);
+        } else if (report.missingLibraries.length > 0) {
+            report.problems.push(`${name} is missing shared libraries: ${report.missingLibraries.join(', ')}${env && env.LD_LIBRARY_PATH ? ` (LD_LIBRARY_PATH=${env.LD_LIBRARY_PATH})` : ''}.`);
+        } else if (code !== 0) {
+            report.problems.push(`${name} exited with code ${code} when run with ${args.join(' ')}.`);
+        }
+    }
+
+    report.ok = report.problems.length === 0;
+    return report;
+}
+
+/**
+ * Reads the free and total space of the file system a directory is on. A directory that does not exist yet is
+ * looked up through its closest existing parent.
+ * @param {string} dir - The directory.
+ * @returns {Promise<{ path: string, free: number, total: number }|null>} - A promise that resolves with the space in bytes, or null if it cannot be read.
+ */
+async function getDiskSpace(dir) {
+    let current = path.resolve(dir);
+    while (!(await fs.stat(current).catch(() => null))) {
+        const parent = path.dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+    try {
+        const stats = await fs.statfs(current);
+        return { path: current, free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+    } catch (error) {
+        return null;
+    }
+}
+
+export {
+    parseSize,
+    readBinaryArch,
+    checkBinary,
+    getDiskSpace
+};
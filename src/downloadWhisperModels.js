@@ -6,27 +6,27 @@
  * repository: https://github.com/rn0x/Audio2TextJS
  */
 
-import { spawn } from 'node:child_process';
-import { platform } from 'node:process';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fs from 'node:fs';
+import { toAbortError } from './abortSignal.js';
+import { ModelNotFoundError, DownloadError } from './errors.js';
+import { verifyFile } from './integrity.js';
+import { parseSize } from './diagnostics.js';
+import { BUILTIN_MODELS, getModels, resolveModel, getModelUrl } from './modelRegistry.js';
+import { downloadFile, isOffline } from './httpDownload.js';
+import { getModelsDir, withLock, markUsed } from './modelCache.js';
 
 /**
- * Source URLs for the models.
+ * List of the built-in models (custom models are in the model registry, see `modelRegistry.js`).
  */
-const src = 'https://huggingface.co/ggerganov/whisper.cpp';
-const srcAll = 'https://huggingface.co/akashmjn/tinydiarize-whisper.cpp';
-const pfx = 'resolve/main/ggml';
+const models = BUILTIN_MODELS.map(({ name }) => name);
 
 /**
- * List of available models.
+ * Smallest share of the approximate `disk` size of a registry entry that a model without an exact size may have. The
+ * estimates are rounded, so only files far below them (truncated or placeholder downloads) are refused.
  */
-const models = [
-  'tiny.en', 'tiny', 'base.en', 'base',
-  'small.en', 'small', 'medium.en', 'medium',
-  'large-v1', 'large'
-];
+const MIN_DISK_RATIO = 0.8;
 
 /**
  * Get the path of the current script.
@@ -37,6 +37,15 @@ function getScriptPath() {
   return path.dirname(__filename);
 }
 
+/**
+ * Get the directory of the models.
+ * @param {string} [folder] - The folder the models are saved in: absolute, or relative to `src` (defaults to the model cache directory, see `getModelsDir`).
+ * @returns {string} The directory.
+ */
+function getModelsPath(folder) {
+  return folder === undefined ? getModelsDir() : path.resolve(getScriptPath(), folder);
+}
+
 /**
  * Create the models directory if it doesn't exist.
  * @param {string} modelsPath - The path to the models directory.
@@ -49,79 +58,241 @@ function createModelsDirectory(modelsPath) {
 
 /**
  * List available models.
+ * @param {{ log: Function }} [logger=console] - Where the list is written.
  */
-function listModels() {
-  console.log("\n  Available models:");
-  models.forEach(model => console.log(`  ${model}`));
-  console.log("  all\n");
+function listModels(logger = console) {
+  logger.log("\n  Available models:");
+  getModels().forEach(({ name }) => logger.log(`  ${name}`));
+  logger.log("  all\n");
 }
 
 /**
- * Download a Whisper model.
- * @param {'tiny'|'tiny.en'|'base'|'base.en'|'small'|'small.en'|'medium'|'medium.en'|'large-v1'|'large'} model - The model to download.
- * @param {string} [folder='models'] - The folder to save the model in.
- * @returns {Promise<object>} A promise that resolves with the download details, including model name and file path.
- */
-function downloadModel(model, folder = 'models') {
-  return new Promise((resolve, reject) => {
-    if (!models.includes(model) && model !== 'all') {
-      const error = `Invalid model: ${model}`;
-      console.log(error);
-      listModels();
-      resolve({ success: false, message: error });
-      return;
-    }
+ * Build the result of a model that cannot be installed: the `{ success: false, message }` shape, with the error attached.
+ * @param {Error} error - The ModelNotFoundError or DownloadError.
+ * @param {Object} [details={}] - More result properties, such as `modelFile`.
+ * @returns {{ success: false, message: string, error: Error }} The result.
+ */
+function failure(error, details = {}) {
+  return { success: false, message: error.message, ...details, error };
+}
 
-    const scriptPath = getScriptPath();
-    const modelsPath = path.join(scriptPath, folder);
-    createModelsDirectory(modelsPath);
+/**
+ * Magic number at the start of every ggml model file ('ggml' as a little-endian uint32).
+ */
+const GGML_MAGIC = 0x67676d6c;
 
-    if (model === 'all') {
-      Promise.all(models.map(modelItem => downloadModel(modelItem, folder)))
-        .then(results => resolve({ success: true, details: results }))
-        .catch(err => reject({ success: false, error: err }));
-      return;
-    }
+/**
+ * Get the path of a model file. Local models (registered with a `file`, or given as an absolute path) are where they are.
+ * @param {string} model - The model name or an absolute model file path.
+ * @param {string} [folder] - The folder the models are saved in (defaults to the model cache directory, see `getModelsPath`).
+ * @returns {string} The path of the model file (which may not exist).
+ */
+function getModelFile(model, folder) {
+  const entry = resolveModel(model);
+  if (entry && entry.file) return entry.file;
+  return path.join(getModelsPath(folder), entry ? entry.filename : `ggml-${model}.bin`);
+}
 
-    const srcUrl = model.includes('tdrz') ? srcAll : src;
-    const modelFile = path.join(modelsPath, `ggml-${model}.bin`);
+/**
+ * Check that a model file is complete: it must match the size and SHA-256 hash of its registry entry (when known) and start with the ggml magic number.
+ * Without an exact size, it must have at least 80% of the approximate `disk` size of the entry.
+ * @param {string} model - The model name or an absolute model file path.
+ * @param {string} file - Path to the model file (or its partial download).
+ * @param {Object} [options={}] - Check options.
+ * @param {boolean} [options.hash] - Whether to hash the file (defaults to whether the registry has a hash); `false` is a quick check.
+ * @returns {Promise<{ success: boolean, message: string, size: number|null, sha256: string|null }>} A promise that resolves with the check result.
+ */
+async function checkModelFile(model, file, { hash } = {}) {
+  const { size = null, sha256 = null, disk = null } = resolveModel(model) || {};
+  const result = await verifyFile(file, hash === undefined ? { size, sha256 } : { size, sha256, hash });
+  if (!result.success) return result;
+
+  const estimate = size === null && disk ? parseSize(disk) : null;
+  if (estimate !== null && result.size < estimate * MIN_DISK_RATIO) {
+    return { ...result, success: false, message: `'${file}' has ${result.size} bytes, far below the ${disk} of the model; the download is incomplete.` };
+  }
+
+  const handle = await fs.promises.open(file, 'r');
+  const header = Buffer.alloc(4);
+  try {
+    await handle.read(header, 0, 4, 0);
+  } finally {
+    await handle.close();
+  }
+  if (result.size < 4 || header.readUInt32LE(0) !== GGML_MAGIC) {
+    return { ...result, success: false, message: `'${file}' is not a ggml model file.` };
+  }
+  return result;
+}
+
+/**
+ * Check that a downloaded model file is complete: it must exist, match the size and SHA-256 hash of its registry entry (when known) and start with the ggml magic number.
+ * @param {string} model - The model name or an absolute model file path.
+ * @param {string} [folder] - The folder the models are saved in (defaults to the model cache directory, see `getModelsPath`).
+ * @param {Object} [options={}] - Verification options.
+ * @param {boolean} [options.hash=true] - Whether to hash the file; the hash is returned even when the registry has none. `false` only checks the size and header.
+ * @returns {Promise<{ success: boolean, message: string, modelFile: string, size: number|null, sha256: string|null }>} A promise that resolves with the verification result.
+ */
+async function verifyModel(model, folder, { hash = true } = {}) {
+  const modelFile = getModelFile(model, folder);
+  if (!resolveModel(model)) return { success: false, message: `Invalid model: ${model}`, modelFile, size: null, sha256: null };
+  if (!fs.existsSync(modelFile)) return { success: false, message: `Model ${model} is not downloaded.`, modelFile, size: null, sha256: null };
 
-    if (fs.existsSync(modelFile)) {
+  const { success, message, size, sha256 } = await checkModelFile(model, modelFile, { hash });
+  if (!success) return { success, message: `Model ${model} failed verification: ${message}`, modelFile, size, sha256 };
+  return { success, message: `Model ${model} is valid.`, modelFile, size, sha256 };
+}
+
+/**
+ * Remove a downloaded model file. Local model files are never removed.
+ * @param {string} model - The model name.
+ * @param {string} [folder] - The folder the models are saved in (defaults to the model cache directory, see `getModelsPath`).
+ * @returns {Promise<{ success: boolean, message: string, modelFile: string }>} A promise that resolves with the removal result.
+ */
+async function removeModel(model, folder) {
+  const modelFile = getModelFile(model, folder);
+  const entry = resolveModel(model);
+  if (!entry) return { success: false, message: `Invalid model: ${model}`, modelFile };
+  if (entry.file) return { success: false, message: `Model ${model} is a local file and is not removed.`, modelFile };
+  if (!fs.existsSync(modelFile)) return { success: false, message: `Model ${model} is not downloaded.`, modelFile };
+  await fs.promises.rm(modelFile, { force: true });
+  return { success: true, message: `Model ${model} removed.`, modelFile };
+}
+
+/**
+ * Install a model into its cache file, unless it is there already and passes a quick check. Callers hold the lock of the file.
+ * @param {string} model - The model name.
+ * @param {import('./modelRegistry.js').ModelEntry} entry - The registry entry of the model.
+ * @param {string} modelFile - Path of the model file.
+ * @param {Object} [options={}] - Download options, see `downloadModel`.
+ * @returns {Promise<object>} A promise that resolves with the download details, or with `success: false` and the `error`. Rejects with an AbortError when aborted.
+ */
+async function installModel(model, entry, modelFile, { signal, onProgress, mirror, retries, retryDelay, offline = isOffline(), logger = console } = {}) {
+  // A quick check (size and header) of the installed file; a broken file is replaced
+  if (fs.existsSync(modelFile)) {
+    const check = await checkModelFile(model, modelFile, { hash: false });
+    if (check.success) {
       const message = `Model ${model} already exists. Skipping download.`;
       // console.log(message);
-      resolve({ success: true, message, modelFile, modelName: model });
-      return;
+      return { success: true, message, modelFile, modelName: model };
     }
+    if (offline) return failure(new ModelNotFoundError(`Offline mode: model ${model} failed verification (${check.message}) and cannot be downloaded again.`, { model, modelFile }), { modelFile });
+    logger.log(`Model ${model} failed verification (${check.message}), downloading it again.`);
+    fs.rmSync(modelFile, { force: true });
+  } else if (offline) {
+    return failure(new ModelNotFoundError(`Offline mode: model ${model} is not installed at ${modelFile}.`, { model, modelFile }), { modelFile });
+  }
+
+  const downloadUrl = getModelUrl(entry, { mirror });
+  logger.log(`Downloading ggml model ${model} from '${downloadUrl}'...`);
 
-    const downloadUrl = `${srcUrl}/${pfx}-${model}.bin`;
-
-    console.log(`Downloading ggml model ${model} from '${downloadUrl}'...`);
-
-    const downloader = spawn(
-      platform === 'win32' ? 'curl' : 'wget',
-      platform === 'win32' ? ['-L', '-o', modelFile, downloadUrl] : ['-O', modelFile, downloadUrl]
-    );
-
-    downloader.stdout.on('data', data => console.log(data.toString()));
-    downloader.stderr.on('data', data => console.error(data.toString()));
-
-    downloader.on('close', code => {
-      if (code !== 0) {
-        const error = `Failed to download ggml model ${model}`;
-        console.error(error);
-        console.log(`Please try again later or download the original Whisper model files and convert them yourself.`);
-        reject({ success: false, error });
-      } else {
-        const message = `Done! Model '${model}' saved in '${modelFile}'`;
-        console.log(message);
-        console.log(`You can now use it like this:\n\n  $ ./whisper.exe -m ${modelFile} -f samples/jfk.wav\n`);
-        resolve({ success: true, message, modelFile, modelName: model });
-      }
+  try {
+    // The model is written to a partial file and only renamed once it is verified, so an interrupted download never looks installed
+    await downloadFile(downloadUrl, modelFile, {
+      size: entry.size,
+      sha256: entry.sha256,
+      check: file => checkModelFile(model, file, { hash: false }),
+      retries,
+      retryDelay,
+      onProgress: onProgress && (progress => onProgress({ model, ...progress })),
+      signal,
     });
-  });
+  } catch (err) {
+    if (signal && signal.aborted) throw toAbortError(signal);
+    const error = new DownloadError(`Failed to download ggml model ${model}: ${err.message}`, { url: downloadUrl, model, cause: err });
+    logger.error(error.message);
+    logger.log(`Please try again later or download the original Whisper model files and convert them yourself.`);
+    return failure(error, { modelFile });
+  }
+
+  const message = `Done! Model '${model}' saved in '${modelFile}'`;
+  logger.log(message);
+  logger.log(`You can now use it like this:\n\n  $ ./whisper.exe -m ${modelFile} -f samples/jfk.wav\n`);
+  return { success: true, message, modelFile, modelName: model };
+}
+
+/**
+ * Download several models, at most `concurrency` at a time. A failed model does not stop the others.
+ * @param {Array<string>} names - The model names.
+ * @param {string} [folder] - The folder to save the models in.
+ * @param {Object} [options={}] - Download options, see `downloadModel`.
+ * @returns {Promise<{ success: boolean, details: Array<object> }>} A promise that resolves with the result of each model. Rejects with an AbortError when aborted.
+ */
+async function downloadModels(names, folder, { concurrency = 1, ...options } = {}) {
+  const details = new Array(names.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < names.length) {
+      const index = next++;
+      details[index] = await downloadModel(names[index], folder, options).catch(err => {
+        if (options.signal && options.signal.aborted) throw err;
+        return { success: false, message: err.message, modelName: names[index], error: err };
+      });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, names.length) }, worker));
+  return { success: details.every(result => result.success), details };
+}
+
+/**
+ * Download a Whisper model.
+ * An installed model that fails a quick check (size and header, see `verifyModel`) is downloaded again. A new download is written
+ * to `ggml-<model>.bin.partial` and only renamed to `ggml-<model>.bin` once it is verified (including its SHA-256 hash when the registry has one).
+ * Downloads resume after network errors and are retried with backoff, through the `HTTPS_PROXY` proxy if one is set (see `httpDownload.js`).
+ * Local models (registered with a `file`, or an absolute path) are not downloaded: they only get the quick check.
+ * The model file is locked (`<file>.lock`) while it is checked and downloaded, so processes sharing a cache download a model once.
+ * @param {string} model - The model to download: a name from the model registry (see `modelRegistry.js`), an absolute model file path, or 'all' for every built-in model.
+ * @param {string} [folder] - The folder to save the model in (defaults to the model cache directory, see `getModelsPath`).
+ * @param {Object} [options={}] - Download options.
+ * @param {AbortSignal} [options.signal] - Signal that stops the download and removes the partial file when aborted.
+ * @param {(progress: { model: string, bytes: number, total: number|null, rate: number }) => void} [options.onProgress] - Called with the bytes downloaded, the file size and the rate in bytes per second while downloading.
+ * @param {string} [options.mirror] - Base URL of a mirror of the built-in models (defaults to `AUDIO2TEXT_MODELS_MIRROR`, then Hugging Face).
+ * @param {number} [options.retries=3] - Retries after a failed attempt.
+ * @param {number} [options.retryDelay=1000] - Milliseconds before the first retry; each further retry waits twice as long.
+ * @param {number} [options.concurrency=1] - With 'all', the number of models downloaded at the same time (one after the other by default).
+ * @param {boolean} [options.offline] - Never download: a model that is not installed resolves with `success: false` (defaults to `AUDIO2TEXT_OFFLINE`, see `isOffline`).
+ * @param {{ log: Function, error: Function }} [options.logger=console] - Where the download messages are written.
+ * @returns {Promise<object>} A promise that resolves with the download details, including model name and file path (for 'all', `success` and the `details` of each model). A model that cannot be installed resolves with `success: false` and the `error` (a ModelNotFoundError or DownloadError, see `errors.js`). Rejects with an AbortError when aborted.
+ * @throws {RangeError} If `concurrency` is not an integer >= 1.
+ */
+async function downloadModel(model, folder, { concurrency = 1, ...options } = {}) {
+  const { signal, logger = console } = options;
+  if (signal && signal.aborted) throw toAbortError(signal);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new RangeError(`Invalid concurrency: ${concurrency}. Must be an integer >= 1.`);
+  }
+
+  const entry = resolveModel(model);
+  if (!entry && model !== 'all') {
+    const error = new ModelNotFoundError(`Invalid model: ${model}`, { model });
+    logger.log(error.message);
+    listModels(logger);
+    return failure(error);
+  }
+
+  const modelsPath = getModelsPath(folder);
+  createModelsDirectory(modelsPath);
+
+  if (model === 'all') return downloadModels(models, folder, { concurrency, ...options });
+
+  if (entry.file) {
+    const check = await checkModelFile(model, entry.file, { hash: false });
+    if (check.success) return { success: true, message: `Model ${model} is a local file.`, modelFile: entry.file, modelName: model };
+    return failure(new ModelNotFoundError(`Model ${model} is not usable: ${check.message}`, { model, modelFile: entry.file }), { modelFile: entry.file });
+  }
+
+  const modelFile = path.join(modelsPath, entry.filename);
+  // A process downloading the same model into the same cache holds its lock; waiting for it means the model is downloaded once
+  const result = await withLock(modelFile, () => installModel(model, entry, modelFile, options), { signal });
+  if (result.success) await markUsed(modelFile);
+  return result;
 }
 
 export default {
+  models,
   downloadModel,
-  listModels
+  listModels,
+  getModelFile,
+  verifyModel,
+  removeModel
 };
\ No newline at end of file
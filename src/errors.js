@@ -0,0 +1,224 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+/**
+ * Lines of stderr kept by a WhisperProcessError.
+ */
+const STDERR_TAIL_LINES = 20;
+
+/**
+ * Base class of the errors of Audio2TextJS. Each subclass has its own `name` and a stable `code`, so callers can
+ * tell failures apart with `instanceof` or `error.code` instead of matching messages.
+ */
+class Audio2TextError extends Error {
+    /**
+     * Creates an Audio2TextError.
+     * @param {string} message - Error message.
+     * @param {Object} [options] - Error options.
+     * @param {*} [options.cause] - The underlying error.
+     */
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'Audio2TextError';
+        this.code = 'AUDIO2TEXT_ERR';
+    }
+}
+
+/**
+ * Error thrown when an operation is cancelled through an AbortSignal or exceeds its timeout.
+ */
+class AbortError extends Audio2TextError {
+    /**
+     * Creates an AbortError.
+     * @param {string} [message='The operation was aborted.'] - Error message.
+     * @param {Object} [options] - Error options.
+     * @param {*} [options.cause] - The abort reason.
+     */
+    constructor(message = 'The operation was aborted.', options) {
+        super(message, options);
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+    }
+}
+
+/**
+ * Error for a model that is not in the model registry, or whose file is not installed (or not usable) when it
+ * cannot be downloaded: local model files, and every model in offline mode.
+ */
+class ModelNotFoundError extends Audio2TextError {
+    /**
+     * Creates a ModelNotFoundError.
+     * @param {string} message - Error message.
+     * @param {Object} [options={}] - Error options.
+     * @param {string} [options.model] - The model name or file path.
+     * @param {string|null} [options.modelFile=null] - Where the model file is expected.
+     * @param {*} [options.cause] - The underlying error.
+     */
+    constructor(message, { model, modelFile = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ModelNotFoundError';
+        this.code = 'MODEL_NOT_FOUND';
+        this.model = model;
+        this.modelFile = modelFile;
+    }
+}
+
+/**
+ * Error for a download that failed after its retries, failed verification, or was refused in offline mode.
+ */
+class DownloadError extends Audio2TextError {
+    /**
+     * Creates a DownloadError.
+     * @param {string} message - Error message.
+     * @param {Object} [options={}] - Error options.
+     * @param {string|null} [options.url=null] - The URL.
+     * @param {string|null} [options.model=null] - The model being downloaded, if any.
+     * @param {*} [options.cause] - The underlying error.
+     */
+    constructor(message, { url = null, model = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'DownloadError';
+        this.code = 'DOWNLOAD_FAILED';
+        this.url = url;
+        this.model = model;
+    }
+}
+
+/**
+ * Error for an input that ffmpeg or ffprobe could not read or convert.
+ */
+class ConversionError extends Audio2TextError {
+    /**
+     * Creates a ConversionError.
+     * @param {string} message - Error message.
+     * @param {Object} [options={}] - Error options.
+     * @param {string|null} [options.input=null] - The input file (null for Buffer and stream input).
+     * @param {*} [options.cause] - The underlying error.
+     */
+    constructor(message, { input = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ConversionError';
+        this.code = 'CONVERSION_FAILED';
+        this.input = input;
+    }
+}
+
+/**
+ * Error for a whisper process that exited with a non-zero code, or whose output could not be read.
+ */
+class WhisperProcessError extends Audio2TextError {
+    /**
+     * Creates a WhisperProcessError. Only the last lines of stderr are kept (in the message and `stderr`), as
+     * whisper prints its whole model loading log before the actual error.
+     * @param {string} message - Error message, followed by the stderr tail.
+     * @param {Object} [options={}] - Error options.
+     * @param {number|null} [options.exitCode=null] - The exit code of the process.
+     * @param {string} [options.stderr=''] - The stderr output of the process.
+     * @param {*} [options.cause] - The underlying error.
+     */
+    constructor(message, { exitCode = null, stderr = '', cause } = {}) {
+        const tail = stderr.trim().split('\n').slice(-STDERR_TAIL_LINES).join('\n');
+        super(tail ? `${message} stderr: ${tail}` : message, { cause });
+        this.name = 'WhisperProcessError';
+        this.code = 'WHISPER_FAILED';
+        this.exitCode = exitCode;
+        this.stderr = tail;
+    }
+}
+
+/**
+ * Error for a binary that is neither bundled for the platform nor configured or found on `PATH`.
+ */
+class UnsupportedPlatformError extends Audio2TextError {
+    /**
+     * Creates an UnsupportedPlatformError.
+     * @param {string} message - Error message.
+     * @param {Object} [options={}] - Error options.
+     * @param {string} [options.platform=process.platform] - The operating system.
+     * @param {string} [options.arch=process.arch] - The architecture.
+     * @param {string|null} [options.binary=null] - The missing binary (`whisper`, `ffmpeg`, `ffprobe`).
+     */
+    constructor(message, { platform = process.platform, arch = process.arch, binary = null } = {}) {
+        super(message);
+        this.name = 'UnsupportedPlatformError';
+        this.code = 'UNSUPPORTED_PLATFORM';
+        this.platform = platform;
+        this.arch = arch;
+        this.binary = binary;
+    }
+}
+
+/**
+ * Error for a binary that is configured or bundled for the platform but not installed, when it cannot be
+ * downloaded: in offline mode.
+ */
+class BinaryNotFoundError extends Audio2TextError {
+    /**
+     * Creates a BinaryNotFoundError.
+     * @param {string} message - Error message.
+     * @param {Object} [options={}] - Error options.
+     * @param {string|null} [options.binary=null] - The missing binary (`whisper`, `ffmpeg`, `ffprobe`).
+     * @param {string|null} [options.path=null] - Where the binary is expected (null if nothing is bundled for the platform).
+     */
+    constructor(message, { binary = null, path = null } = {}) {
+        super(message);
+        this.name = 'BinaryNotFoundError';
+        this.code = 'BINARY_NOT_FOUND';
+        this.binary = binary;
+        this.path = path;
+    }
+}
+
+/**
+ * Error for an input file, directory or glob pattern that does not exist or matches nothing.
+ */
+class InputNotFoundError extends Audio2TextError {
+    /**
+     * Creates an InputNotFoundError.
+     * @param {string} message - Error message.
+     * @param {Object} [options={}] - Error options.
+     * @param {string} [options.input] - The input.
+     */
+    constructor(message, { input } = {}) {
+        super(message);
+        this.name = 'InputNotFoundError';
+        this.code = 'INPUT_NOT_FOUND';
+        this.input = input;
+    }
+}
+
+/**
+ * Error for a spoken language that whisper does not support.
+ */
+class UnsupportedLanguageError extends Audio2TextError {
+    /**
+     * Creates an UnsupportedLanguageError.
+     * @param {string} message - Error message.
+     * @param {Object} [options={}] - Error options.
+     * @param {*} [options.language] - The language that was given.
+     */
+    constructor(message, { language } = {}) {
+        super(message);
+        this.name = 'UnsupportedLanguageError';
+        this.code = 'UNSUPPORTED_LANGUAGE';
+        this.language = language;
+    }
+}
+
+export {
+    Audio2TextError,
+    AbortError,
+    ModelNotFoundError,
+    DownloadError,
+    ConversionError,
+    WhisperProcessError,
+    UnsupportedPlatformError,
+    BinaryNotFoundError,
+    InputNotFoundError,
+    UnsupportedLanguageError
+};
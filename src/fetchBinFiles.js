@@ -6,131 +6,30 @@
  * repository: https://github.com/rn0x/Audio2TextJS
  */
 
-import { execSync } from 'node:child_process';
 import fs from 'fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import fetch from 'node-fetch';
+import { verifyFile } from './integrity.js';
+import { downloadFile } from './httpDownload.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Function to set LD_LIBRARY_PATH environment variable globally.
- * @param {string} pathToAdd - The path to add to LD_LIBRARY_PATH.
+ * Function to check whether a file listed in binFiles.json is already installed and intact.
+ * A file that fails verification is removed, so that it is downloaded again.
+ * @param {string} dest - The installed path.
+ * @param {Object} file - The binFiles.json entry.
+ * @param {{ log: Function }} logger - Where the messages are written.
+ * @returns {Promise<boolean>} - True if the file exists and matches its expected size and hash.
  */
-function setLDLibraryPath(pathToAdd) {
-    try {
-        const currentPath = process.env.LD_LIBRARY_PATH || '';
-        const newPath = `${pathToAdd}:${currentPath}`;
-
-        updateLDLibraryPathInBashrc(newPath);
-    } catch (err) {
-        handleLDLibraryPathError(pathToAdd, err);
-    }
-}
-
-/**
- * Updates LD_LIBRARY_PATH in ~/.bashrc or ~/.bash_profile if found.
- * @param {string} newPath - The new LD_LIBRARY_PATH value to set.
- */
-function updateLDLibraryPathInBashrc(newPath) {
-    const bashFiles = ['.bashrc', '.bash_profile'];
-
-    for (const bashFile of bashFiles) {
-        const bashrcPath = path.join(process.env.HOME, bashFile);
-
-        if (fs.existsSync(bashrcPath)) {
-            const bashrcContent = fs.readFileSync(bashrcPath, 'utf8');
-            const ldLibraryPathPattern = /export\s+LD_LIBRARY_PATH="([^"]*)"/;
-            const match = bashrcContent.match(ldLibraryPathPattern);
-
-            if (match) {
-                const existingPath = match[1];
-                if (existingPath.includes(newPath)) {
-                    console.log(`LD_LIBRARY_PATH is already set to the correct path in ${bashFile}`);
-                } else {
-                    const updatedContent = bashrcContent.replace(ldLibraryPathPattern, `export LD_LIBRARY_PATH="${newPath}"`);
-                    fs.writeFileSync(bashrcPath, updatedContent, 'utf8');
-                    execSync(`. ${bashrcPath}`);
-                    console.log(`LD_LIBRARY_PATH updated in ${bashFile} to: ${newPath}`);
-                }
-                return;
-            }
-        }
-    }
-
-    appendLDLibraryPathToBashrc(newPath);
-}
-
-/**
- * Appends LD_LIBRARY_PATH to ~/.bashrc or ~/.bash_profile if not found.
- * @param {string} newPath - The new LD_LIBRARY_PATH value to set.
- */
-function appendLDLibraryPathToBashrc(newPath) {
-    const bashFile = '.bashrc';
-    const command = `echo 'export LD_LIBRARY_PATH="${newPath}"' >> ${path.join(process.env.HOME, bashFile)} && . ${path.join(process.env.HOME, bashFile)}`;
-
-    execSync(command);
-    sourceBashrc();
-    console.log(`LD_LIBRARY_PATH set in ${bashFile} to: ${newPath}`);
-}
-
-/**
- * Handles errors setting LD_LIBRARY_PATH.
- * @param {string} pathToAdd - The path attempted to be added to LD_LIBRARY_PATH.
- */
-function handleLDLibraryPathError(pathToAdd, err) {
-    console.error(`Error setting LD_LIBRARY_PATH in ~/.bashrc: ${err.message}`);
-    const ldLibraryPath = process.env.LD_LIBRARY_PATH || '';
-    const newPath = `${pathToAdd}:${ldLibraryPath}`;
-    process.env.LD_LIBRARY_PATH = newPath;
-    console.log(`LD_LIBRARY_PATH set to: ${newPath} (temporarily in current process due to error)`);
-}
-
-/**
- * Sources the ~/.bashrc file.
- * @throws {Error} If there is an error while sourcing ~/.bashrc.
- */
-function sourceBashrc() {
-    try {
-        const bashrcPath = `${process.env.HOME}/.bashrc`;
-        execSync(`/bin/bash -i -c "source ${bashrcPath}"`);
-    } catch (error) {
-        throw new Error(`Error: ${error}`);
-    }
-}
-
-/**
- * Function to download a file from a URL and save it to a specified path.
- * @param {string} url - The URL of the file to download.
- * @param {string} dest - The destination path to save the downloaded file.
- * @returns {Promise<void>}
- */
-async function downloadFile(url, dest) {
-    const writer = fs.createWriteStream(dest);
-
-    try {
-        const response = await fetch(url, { redirect: 'follow' });
-
-        if (!response.ok) {
-            throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
-        }
-
-        const stream = response.body.pipe(writer);
-
-        return new Promise((resolve, reject) => {
-            stream.on('finish', resolve);
-            stream.on('error', (err) => {
-                fs.unlink(dest, () => reject(err));
-            });
-        });
-    } catch (err) {
-        if (fs.existsSync(dest)) {
-            fs.unlinkSync(dest);
-        }
-        throw err;
-    }
+async function isInstalled(dest, file, logger) {
+    if (!fs.existsSync(dest)) return false;
+    const check = await verifyFile(dest, { size: file.size, sha256: file.sha256 });
+    if (check.success) return true;
+    logger.log(`${file.filename} failed verification (${check.message}), downloading it again.`);
+    fs.rmSync(dest, { force: true });
+    return false;
 }
 
 /**
@@ -174,15 +73,49 @@ function getFilePaths(os, arch, programs) {
     return programFiles;
 }
 
+/**
+ * Function to list the binaries of programs and their dependencies, as listed in binFiles.json.
+ * @param {string} os - The operating system (win32 or linux).
+ * @param {string} arch - The architecture (x64, arm64, arm).
+ * @param {Array<'whisper'|'ffprobe'|'ffmpeg'>} programs - The programs.
+ * @returns {Array<Object>} - The binFiles.json entries of the programs and their dependencies, without duplicate paths.
+ */
+function getBinFiles(os, arch, programs) {
+    const files = getFilePaths(os, arch, programs);
+    const entries = [...files, ...files.flatMap(file => file.dependencies || [])];
+    return entries.filter((entry, index) => entries.findIndex(other => other.path === entry.path) === index);
+}
+
+/**
+ * Function to verify installed binaries and their dependencies against the sizes and SHA-256 hashes of binFiles.json.
+ * @param {string} os - The operating system (win32 or linux).
+ * @param {string} arch - The architecture (x64, arm64, arm).
+ * @param {Array<'whisper'|'ffprobe'|'ffmpeg'>} programs - The programs to verify.
+ * @param {string} destDir - The directory the files were downloaded to.
+ * @returns {Promise<{ success: boolean, files: Array<{ filename: string, path: string, success: boolean, message: string, size: number|null, sha256: string|null }> }>} - The result for each file; `sha256` is the actual hash.
+ */
+async function verifyBinFiles(os, arch, programs, destDir) {
+    const results = [];
+    for (const entry of getBinFiles(os, arch, programs)) {
+        const filePath = path.join(destDir, entry.path);
+        const check = await verifyFile(filePath, { size: entry.size, sha256: entry.sha256, hash: true });
+        results.push({ filename: entry.filename, path: filePath, ...check });
+    }
+    return { success: results.every(result => result.success), files: results };
+}
+
 /**
  * Main function to download files based on OS, architecture, and program.
  * @param {string} os - The operating system (win32 or linux).
  * @param {string} arch - The architecture (x64, arm64, arm).
  * @param {Array<'whisper'|'ffprobe'|'ffmpeg'>} programs - The array of programs to download (whisper, ffprobe, ffmpeg).
  * @param {string} destDir - The destination directory to save the downloaded files.
+ * @param {Object} [options={}] - Download options.
+ * @param {boolean} [options.offline] - Never download: missing files fail (defaults to `AUDIO2TEXT_OFFLINE`, see `isOffline`).
+ * @param {{ log: Function, error: Function }} [options.logger=console] - Where the download messages are written.
  * @returns {Promise<Object>} - An object containing download status for each file and overall success status.
  */
-export default async function fetchBinFiles(os, arch, programs, destDir) {
+export default async function fetchBinFiles(os, arch, programs, destDir, { offline, logger = console } = {}) {
     try {
         // Validate input
         if (!Array.isArray(programs) || programs.length === 0) {
@@ -206,18 +139,18 @@ export default async function fetchBinFiles(os, arch, programs, destDir) {
                 fs.mkdirSync(filePath, { recursive: true });
             }
 
-            if (fs.existsSync(fileFullPath)) {
-                console.log(`File ${file.filename} already exists at ${fileFullPath}, skipping download.`);
+            if (await isInstalled(fileFullPath, file, logger)) {
+                logger.log(`File ${file.filename} already exists at ${fileFullPath}, skipping download.`);
                 result.files.success.push({ filename: file.filename, path: fileFullPath, status: 'exists' });
                 continue; // Skip if file exists
             }
 
             try {
-                await downloadFile(file.url, fileFullPath, 10); // Assuming maxRedirects is 10 by default
-                console.log(`Downloaded ${file.filename} to ${fileFullPath}`);
+                await downloadFile(file.url, fileFullPath, { size: file.size, sha256: file.sha256, offline });
+                logger.log(`Downloaded ${file.filename} to ${fileFullPath}`);
                 result.files.success.push({ filename: file.filename, path: fileFullPath, status: 'downloaded' });
             } catch (err) {
-                console.error(`Failed to download ${file.filename}: ${err.message}`);
+                logger.error(`Failed to download ${file.filename}: ${err.message}`);
                 result.files.failed.push({ filename: file.filename, url: file.url, error: err.message });
                 result.success = false; // Update result.success on download failure
             }
@@ -228,36 +161,36 @@ export default async function fetchBinFiles(os, arch, programs, destDir) {
             const programFile = files.find(file => file.id === program);
 
             if (programFile && programFile.dependencies && programFile.dependencies.length > 0) {
-                console.log(`Downloading dependencies for ${program}...`);
+                logger.log(`Downloading dependencies for ${program}...`);
                 for (const dependency of programFile.dependencies) {
                     const dependencyPath = path.join(destDir, dependency.path);
-                    if (!fs.existsSync(dependencyPath)) {
-                        console.log(`Downloading dependency ${dependency.filename}...`);
+                    if (!(await isInstalled(dependencyPath, dependency, logger))) {
+                        logger.log(`Downloading dependency ${dependency.filename}...`);
                         try {
-                            await downloadFile(dependency.url, dependencyPath);
-                            console.log(`Dependency ${dependency.filename} downloaded successfully.`);
+                            await downloadFile(dependency.url, dependencyPath, { size: dependency.size, sha256: dependency.sha256, offline });
+                            logger.log(`Dependency ${dependency.filename} downloaded successfully.`);
                             result.dependencies.success.push({ filename: dependency.filename, path: dependencyPath, status: 'downloaded' });
                         } catch (err) {
-                            console.error(`Failed to download dependency ${dependency.filename}: ${err.message}`);
+                            logger.error(`Failed to download dependency ${dependency.filename}: ${err.message}`);
                             result.dependencies.failed.push({ filename: dependency.filename, url: dependency.url, error: err.message });
                             result.success = false; // Update result.success on dependency download failure
                         }
                     } else {
-                        console.log(`Dependency ${dependency.filename} already exists at ${dependencyPath}, skipping download.`);
+                        logger.log(`Dependency ${dependency.filename} already exists at ${dependencyPath}, skipping download.`);
                         result.dependencies.success.push({ filename: dependency.filename, path: dependencyPath, status: 'exists' });
                     }
                 }
             }
         }
 
-        // Set LD_LIBRARY_PATH if OS is Linux
-        if (os === 'linux' || os === 'android') {
-            setLDLibraryPath(path.join(destDir, 'linux'));
-        }
+        // No LD_LIBRARY_PATH setup here: the bundled binaries get their library path in the environment of the
+        // processes that run them (see getBinaryEnv in resolveBinaries.js), never in shell profiles
 
         return result;
     } catch (err) {
-        console.error(`Error fetching binary files: ${err.message}`);
+        logger.error(`Error fetching binary files: ${err.message}`);
         throw err;
     }
-}
\ No newline at end of file
+}
+
+export { getBinFiles, verifyBinFiles };
@@ -0,0 +1,246 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+/**
+ * Default maximum number of characters per subtitle line.
+ */
+const DEFAULT_MAX_LINE_LENGTH = 42;
+
+/**
+ * Default maximum number of lines per subtitle cue.
+ */
+const DEFAULT_MAX_LINES = 2;
+
+/**
+ * Formats a time in milliseconds as `HH:MM:SS<separator>mmm`.
+ * @param {number} ms - Time in milliseconds.
+ * @param {string} separator - Separator between seconds and milliseconds (',' for SRT, '.' for WebVTT).
+ * @returns {string} - The formatted timestamp.
+ */
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const millis = total % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Formats a time in milliseconds as an LRC timestamp, `MM:SS.cc` (minutes are not wrapped into hours).
+ * @param {number} ms - Time in milliseconds.
+ * @returns {string} - The formatted timestamp.
+ */
+function formatLrcTimestamp(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const minutes = Math.floor(total / 60000);
+    const seconds = Math.floor(total / 1000) % 60;
+    const centis = Math.floor((total % 1000) / 10);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(minutes)}:${pad(seconds)}.${pad(centis)}`;
+}
+
+/**
+ * Word-wraps text into lines of at most `maxLineLength` characters. Words longer than the limit are kept whole.
+ * @param {string} text - The text to wrap.
+ * @param {number} maxLineLength - Maximum number of characters per line.
+ * @returns {Array<string>} - The wrapped lines.
+ */
+function wrapText(text, maxLineLength) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > maxLineLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Splits transcript segments into subtitle cues that respect the line length and line count limits.
+ * When a segment needs several cues, its time span is divided between them proportionally to their length.
+ * @param {Array<{ start: number, end: number, text: string, speaker?: string|null }>} segments - Timestamped segments (times in milliseconds).
+ * @param {Object} [options={}] - Cue options.
+ * @param {number} [options.maxLineLength=42] - Maximum number of characters per line.
+ * @param {number} [options.maxLines=2] - Maximum number of lines per cue.
+ * @returns {Array<{ start: number, end: number, lines: Array<string>, speaker: string|null }>} - The subtitle cues, carrying the speaker of their segment.
+ */
+function buildCues(segments, { maxLineLength = DEFAULT_MAX_LINE_LENGTH, maxLines = DEFAULT_MAX_LINES } = {}) {
+    const cues = [];
+    for (const segment of segments) {
+        const lines = wrapText(segment.text, maxLineLength);
+        if (lines.length === 0) continue;
+
+        const groups = [];
+        for (let i = 0; i < lines.length; i += maxLines) {
+            groups.push(lines.slice(i, i + maxLines));
+        }
+
+        const totalChars = groups.reduce((sum, group) => sum + group.join(' ').length, 0);
+        const duration = segment.end - segment.start;
+        let start = segment.start;
+        groups.forEach((group, index) => {
+            const end = index === groups.length - 1
+                ? segment.end
+                : Math.round(start + duration * (group.join(' ').length / totalChars));
+            cues.push({ start, end, lines: group, speaker: segment.speaker || null });
+            start = end;
+        });
+    }
+    return cues;
+}
+
+/**
+ * Splits segments into subtitle cues along their words, like `buildCues`, but each cue keeps its words
+ * and takes its times from them instead of dividing the segment time proportionally.
+ * Segments without words fall back to `buildCues`.
+ * @param {Array<{ start: number, end: number, text: string, speaker?: string|null, words: Array<{ text: string, start: number, end: number }> }>} segments - Timestamped segments with their words (times in milliseconds).
+ * @param {Object} [options={}] - Cue options.
+ * @param {number} [options.maxLineLength=42] - Maximum number of characters per line.
+ * @param {number} [options.maxLines=2] - Maximum number of lines per cue.
+ * @returns {Array<{ start: number, end: number, lines: Array<Array<{ text: string, start: number, end: number }>>, speaker: string|null }>} - The cues, with the words of each line.
+ */
+function buildWordCues(segments, { maxLineLength = DEFAULT_MAX_LINE_LENGTH, maxLines = DEFAULT_MAX_LINES } = {}) {
+    const cues = [];
+    for (const segment of segments) {
+        if (!segment.words || segment.words.length === 0) {
+            for (const cue of buildCues([segment], { maxLineLength, maxLines })) {
+                cues.push({ ...cue, lines: cue.lines.map(line => [{ text: line, start: cue.start, end: cue.end }]) });
+            }
+            continue;
+        }
+
+        const lines = [];
+        let line = [];
+        let length = 0;
+        for (const word of segment.words) {
+            if (line.length > 0 && length + 1 + word.text.length > maxLineLength) {
+                lines.push(line);
+                line = [];
+                length = 0;
+            }
+            length += (line.length > 0 ? 1 : 0) + word.text.length;
+            line.push(word);
+        }
+        if (line.length > 0) lines.push(line);
+
+        for (let i = 0; i < lines.length; i += maxLines) {
+            const group = lines.slice(i, i + maxLines);
+            const words = group.flat();
+            cues.push({
+                start: i === 0 ? segment.start : words[0].start,
+                end: i + maxLines >= lines.length ? segment.end : words[words.length - 1].end,
+                lines: group,
+                speaker: segment.speaker || null,
+            });
+        }
+    }
+    return cues;
+}
+
+/**
+ * Renders segments as a SubRip (SRT) subtitle file. Segments with a speaker start with `<speaker>: `.
+ * @param {Array<{ start: number, end: number, text: string, speaker?: string|null }>} segments - Timestamped segments (times in milliseconds).
+ * @param {Object} [options={}] - Cue options, see `buildCues`.
+ * @returns {string} - The SRT content.
+ */
+function formatSrt(segments, options = {}) {
+    const labelled = segments.map(segment => (segment.speaker ? { ...segment, text: `${segment.speaker}: ${segment.text}`, speaker: null } : segment));
+    return buildCues(labelled, options)
+        .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.lines.join('\n')}\n`)
+        .join('\n');
+}
+
+/**
+ * Escapes the characters WebVTT cue text reserves for tags and entities (`&`, `<` and `>`).
+ * @param {string} text - The cue text or voice name.
+ * @returns {string} - The escaped text.
+ */
+function escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders segments as a WebVTT subtitle file. Cues of segments with a speaker use a `<v speaker>` voice span.
+ * The text and speaker names are escaped, so transcripts containing `&`, `<` or `>` stay valid WebVTT.
+ * @param {Array<{ start: number, end: number, text: string, speaker?: string|null }>} segments - Timestamped segments (times in milliseconds).
+ * @param {Object} [options={}] - Cue options, see `buildCues`.
+ * @param {boolean} [options.words=false] - Highlight words as they are spoken, see `formatKaraokeVtt` (segments need `words`).
+ * @returns {string} - The WebVTT content.
+ */
+function formatVtt(segments, options = {}) {
+    if (options.words) return formatKaraokeVtt(segments, options);
+    const cues = buildCues(segments, options)
+        .map(cue => {
+            const lines = cue.lines.map(escapeVttText).join('\n');
+            const text = cue.speaker ? `<v ${escapeVttText(cue.speaker)}>${lines}` : lines;
+            return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${text}\n`;
+        });
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Renders segments as a word-highlighted (karaoke) WebVTT file: every word after the first carries a
+ * `<HH:MM:SS.mmm>` timestamp tag and is wrapped in a `<c>` span, so players highlight words as they are spoken.
+ * @param {Array<{ start: number, end: number, text: string, speaker?: string|null, words: Array<{ text: string, start: number, end: number }> }>} segments - Timestamped segments with their words (times in milliseconds).
+ * @param {Object} [options={}] - Cue options, see `buildWordCues`.
+ * @returns {string} - The WebVTT content.
+ */
+function formatKaraokeVtt(segments, options = {}) {
+    const cues = buildWordCues(segments, options)
+        .map(cue => {
+            let first = true;
+            const lines = cue.lines.map(line => line.map(word => {
+                const tag = first ? '' : `<${formatTimestamp(word.start, '.')}>`;
+                first = false;
+                return `${tag}<c>${escapeVttText(word.text)}</c>`;
+            }).join(' '));
+            const text = cue.speaker ? `<v ${escapeVttText(cue.speaker)}>${lines.join('\n')}` : lines.join('\n');
+            return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${text}\n`;
+        });
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Renders segments as an LRC lyrics file, one line per segment. Segments with words use the enhanced
+ * LRC format, where every word is preceded by a `<MM:SS.cc>` tag and the line ends with the segment end time.
+ * @param {Array<{ start: number, end: number, text: string, speaker?: string|null, words?: Array<{ text: string, start: number, end: number }> }>} segments - Timestamped segments, optionally with their words (times in milliseconds).
+ * @returns {string} - The LRC content.
+ */
+function formatLrc(segments) {
+    return segments
+        .map(segment => {
+            const speaker = segment.speaker ? `${segment.speaker}: ` : '';
+            if (!segment.words || segment.words.length === 0) {
+                return `[${formatLrcTimestamp(segment.start)}]${speaker}${segment.text}\n`;
+            }
+            const words = segment.words.map(word => `<${formatLrcTimestamp(word.start)}> ${word.text} `).join('');
+            return `[${formatLrcTimestamp(segment.start)}]${speaker}${words}<${formatLrcTimestamp(segment.end)}>\n`;
+        })
+        .join('');
+}
+
+export {
+    DEFAULT_MAX_LINE_LENGTH,
+    DEFAULT_MAX_LINES,
+    formatTimestamp,
+    formatLrcTimestamp,
+    wrapText,
+    buildCues,
+    buildWordCues,
+    formatSrt,
+    formatVtt,
+    formatKaraokeVtt,
+    formatLrc
+};
@@ -0,0 +1,249 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import fs from 'node:fs';
+import { Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import fetch from 'node-fetch';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { PARTIAL_SUFFIX, verifyFile } from './integrity.js';
+import { throwIfAborted, toAbortError } from './abortSignal.js';
+
+/**
+ * @typedef {Object} DownloadProgress
+ * @property {number} bytes - Bytes of the file downloaded so far, including a resumed partial download.
+ * @property {number|null} total - Size of the file in bytes, or null if the server does not send it.
+ * @property {number} rate - Download rate of the current attempt in bytes per second.
+ */
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limits and server errors.
+ */
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Milliseconds between two progress callbacks.
+ */
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * Proxy agents by proxy URL, so that connections to the proxy are reused.
+ * @type {Map<string, HttpsProxyAgent>}
+ */
+const agents = new Map();
+
+/**
+ * Tells whether a switch of the environment is on: the variable is set to anything but empty, `0` or `false`.
+ * @param {string} name - The environment variable.
+ * @param {Object} [env=process.env] - The environment.
+ * @returns {boolean} - True if the switch is on.
+ */
+function isEnvEnabled(name, env = process.env) {
+    const value = (env[name] || '').trim().toLowerCase();
+    return value !== '' && value !== '0' && value !== 'false';
+}
+
+/**
+ * Tells whether offline mode is on: `AUDIO2TEXT_OFFLINE` is set (see `isEnvEnabled`).
+ * In offline mode nothing is downloaded; missing binaries and models have to come from a bundle (see `bundle.js`).
+ * @param {Object} [env=process.env] - Environment with `AUDIO2TEXT_OFFLINE`.
+ * @returns {boolean} - True in offline mode.
+ */
+function isOffline(env = process.env) {
+    return isEnvEnabled('AUDIO2TEXT_OFFLINE', env);
+}
+
+/**
+ * Tells whether `NO_PROXY` excludes a URL from proxying. Entries are host names (matching the host and its
+ * subdomains, with or without a leading `.`), optionally with a port, or `*` for every host.
+ * @param {URL} url - The URL.
+ * @param {string} noProxy - The `NO_PROXY` value.
+ * @returns {boolean} - True if the URL is fetched directly.
+ */
+function isNoProxy(url, noProxy) {
+    const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+    return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') return true;
+        const [host, entryPort] = entry.replace(/^\*?\./, '').split(':');
+        if (entryPort && entryPort !== port) return false;
+        return url.hostname === host || url.hostname.endsWith(`.${host}`);
+    });
+}
+
+/**
+ * Returns the agent that sends a request through the proxy of the environment: `HTTPS_PROXY` for https URLs and
+ * `HTTP_PROXY` for http URLs (or their lowercase forms), unless `NO_PROXY` excludes the host.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} [env=process.env] - Environment with the proxy variables.
+ * @returns {HttpsProxyAgent|undefined} - The agent, or undefined to connect directly.
+ */
+function getProxyAgent(url, env = process.env) {
+    const target = new URL(url);
+    const proxy = target.protocol === 'https:'
+        ? env.HTTPS_PROXY || env.https_proxy
+        : env.HTTP_PROXY || env.http_proxy;
+    if (!proxy || isNoProxy(target, env.NO_PROXY || env.no_proxy || '')) return undefined;
+    if (!agents.has(proxy)) agents.set(proxy, new HttpsProxyAgent(proxy));
+    return agents.get(proxy);
+}
+
+/**
+ * Waits before a retry.
+ * @param {number} ms - Milliseconds to wait.
+ * @param {AbortSignal} [signal] - Signal that cuts the wait short.
+ * @returns {Promise<void>} - A promise that resolves after `ms`. Rejects with an AbortError when aborted.
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(toAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetches a URL into a file, appending to what the file already holds with an HTTP range request.
+ * Servers that ignore the range send the whole file, which then replaces the partial one.
+ * @param {string} url - The URL.
+ * @param {string} file - The file to write.
+ * @param {Object} options - Fetch options.
+ * @param {AbortSignal} [options.signal] - Signal that aborts the request.
+ * @param {Object} [options.env] - Environment with the proxy variables.
+ * @param {(progress: DownloadProgress) => void} [options.onProgress] - Progress callback.
+ * @returns {Promise<{ bytes: number, total: number|null }>} - A promise that resolves with the size of the file and the size announced by the server.
+ * @throws {Error} With `retryable` set when another attempt may succeed.
+ */
+async function fetchToFile(url, file, { signal, env, onProgress }) {
+    const offset = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+    let response;
+    try {
+        response = await fetch(url, { redirect: 'follow', signal, headers, agent: getProxyAgent(url, env) });
+    } catch (error) {
+        if (signal && signal.aborted) throw toAbortError(signal);
+        throw Object.assign(new Error(`Failed to download ${url}: ${error.message}`), { retryable: true });
+    }
+
+    // The partial file already holds the whole file
+    if (response.status === 416 && offset > 0) {
+        const total = Number((response.headers.get('content-range') || '').split('/')[1]);
+        if (total === offset) return { bytes: offset, total };
+        fs.rmSync(file, { force: true });
+        throw Object.assign(new Error(`Failed to download ${url}: the partial download does not match the file.`), { retryable: true });
+    }
+    if (!response.ok) {
+        const error = new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.retryable = RETRY_STATUSES.includes(response.status);
+        throw error;
+    }
+
+    const resumed = response.status === 206;
+    const start = resumed ? offset : 0;
+    const length = Number(response.headers.get('content-length'));
+    const total = resumed
+        ? Number((response.headers.get('content-range') || '').split('/')[1]) || null
+        : length || null;
+
+    let bytes = start;
+    const startedAt = Date.now();
+    let reportedAt = 0;
+    const report = () => {
+        reportedAt = Date.now();
+        const seconds = (reportedAt - startedAt) / 1000;
+        onProgress({ bytes, total, rate: seconds > 0 ? Math.round((bytes - start) / seconds) : 0 });
+    };
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            if (onProgress && Date.now() - reportedAt >= PROGRESS_INTERVAL) report();
+            callback(null, chunk);
+        },
+    });
+
+    try {
+        await pipeline(response.body, counter, fs.createWriteStream(file, { flags: resumed ? 'a' : 'w' }));
+    } catch (error) {
+        if (signal && signal.aborted) throw toAbortError(signal);
+        throw Object.assign(new Error(`Failed to download ${url}: ${error.message}`), { retryable: true });
+    }
+    if (onProgress) report();
+    if (total !== null && bytes < total) {
+        throw Object.assign(new Error(`Failed to download ${url}: the connection closed after ${bytes} of ${total} bytes.`), { retryable: true });
+    }
+    return { bytes, total };
+}
+
+/**
+ * Downloads a URL to a file. The file is written to `<dest>.partial` and renamed to `dest` once it matches the
+ * expected size and SHA-256 hash (expectations that are null are not checked) and passes the `check` function, so an
+ * interrupted download never looks installed.
+ * Network errors, truncated responses and retryable HTTP statuses (408, 429, 5xx) are retried with exponential
+ * backoff; each retry resumes where the previous attempt stopped with an HTTP range request. A partial file left
+ * behind by a process that died is resumed the same way. Requests go through the proxy of `HTTPS_PROXY`/`HTTP_PROXY`
+ * (see `getProxyAgent`).
+ * @param {string} url - The URL of the file.
+ * @param {string} dest - The destination path.
+ * @param {Object} [options={}] - Download options.
+ * @param {number|null} [options.size=null] - Expected size in bytes.
+ * @param {string|null} [options.sha256=null] - Expected SHA-256 hash (hex).
+ * @param {(file: string) => Promise<{ success: boolean, message: string }>} [options.check] - Additional check of the partial file before it is renamed.
+ * @param {number} [options.retries=3] - Retries after the first attempt.
+ * @param {number} [options.retryDelay=1000] - Milliseconds before the first retry; each further retry waits twice as long.
+ * @param {(progress: DownloadProgress) => void} [options.onProgress] - Called with the progress while downloading (at most every 250 ms, and when done).
+ * @param {AbortSignal} [options.signal] - Signal that aborts the download and removes the partial file.
+ * @param {Object} [options.env=process.env] - Environment with the proxy and `AUDIO2TEXT_OFFLINE` variables.
+ * @param {boolean} [options.offline=isOffline(env)] - Fail without touching the network.
+ * @returns {Promise<{ size: number, sha256: string|null }>} - A promise that resolves with the size and the computed hash (null unless `sha256` was expected). Rejects with an AbortError when aborted.
+ * @throws {Error} If the download fails after the retries, the file fails verification, or offline mode is on.
+ */
+async function downloadFile(url, dest, { size = null, sha256 = null, check, retries = 3, retryDelay = 1000, onProgress, signal, env = process.env, offline = isOffline(env) } = {}) {
+    if (offline) throw new Error(`Offline mode: not downloading ${url}.`);
+    const partialDest = `${dest}${PARTIAL_SUFFIX}`;
+    try {
+        for (let attempt = 0; ; attempt++) {
+            throwIfAborted(signal);
+            try {
+                await fetchToFile(url, partialDest, { signal, env, onProgress });
+                break;
+            } catch (error) {
+                if (signal && signal.aborted) throw toAbortError(signal);
+                if (!error.retryable || attempt >= retries) throw error;
+                await delay(retryDelay * 2 ** attempt, signal);
+            }
+        }
+
+        const result = await verifyFile(partialDest, { size, sha256 });
+        if (!result.success) throw new Error(`Downloaded file failed verification: ${result.message}`);
+        if (check) {
+            const checked = await check(partialDest);
+            if (!checked.success) throw new Error(`Downloaded file failed verification: ${checked.message}`);
+        }
+        fs.renameSync(partialDest, dest);
+        return { size: result.size, sha256: result.sha256 };
+    } catch (error) {
+        // A download that fails for good or is aborted leaves nothing behind
+        fs.rmSync(partialDest, { force: true });
+        throw error;
+    }
+}
+
+export {
+    RETRY_STATUSES,
+    isEnvEnabled,
+    isOffline,
+    getProxyAgent,
+    downloadFile
+};
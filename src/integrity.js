@@ -0,0 +1,62 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+
+/**
+ * Suffix of files that are being downloaded. A download is written to `<file>.partial` and renamed to `<file>`
+ * once it is complete and verified, so an interrupted download never looks installed.
+ */
+const PARTIAL_SUFFIX = '.partial';
+
+/**
+ * Function to compute the SHA-256 hash of a file.
+ * @param {string} file - Path to the file.
+ * @returns {Promise<string>} A promise that resolves with the hash as a lowercase hex string.
+ */
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', data => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Function to verify a file against its expected size and SHA-256 hash. Expectations that are null are not checked,
+ * so entries of a manifest without a checksum only need to exist and not be empty.
+ * @param {string} file - Path to the file.
+ * @param {Object} [expected={}] - The expected file.
+ * @param {number|null} [expected.size=null] - Size in bytes.
+ * @param {string|null} [expected.sha256=null] - SHA-256 hash (hex).
+ * @param {boolean} [expected.hash] - Whether to hash the file (defaults to whether `sha256` is known). `true` without an expected hash reports the hash, e.g. to fill in a manifest; `false` skips the hash check for a quick size-only check.
+ * @returns {Promise<{ success: boolean, message: string, size: number|null, sha256: string|null }>} A promise that resolves with the verification result, the actual size and the computed hash (null when not computed).
+ */
+async function verifyFile(file, { size = null, sha256 = null, hash = Boolean(sha256) } = {}) {
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (!stats || !stats.isFile()) return { success: false, message: `'${file}' does not exist.`, size: null, sha256: null };
+    if (stats.size === 0) return { success: false, message: `'${file}' is empty.`, size: 0, sha256: null };
+    if (size !== null && stats.size !== size) {
+        return { success: false, message: `'${file}' has ${stats.size} bytes, expected ${size}.`, size: stats.size, sha256: null };
+    }
+
+    const actualHash = hash ? await hashFile(file) : null;
+    if (sha256 !== null && actualHash !== null && actualHash !== sha256.toLowerCase()) {
+        return { success: false, message: `'${file}' has SHA-256 ${actualHash}, expected ${sha256}.`, size: stats.size, sha256: actualHash };
+    }
+    return { success: true, message: `'${file}' is valid.`, size: stats.size, sha256: actualHash };
+}
+
+export {
+    PARTIAL_SUFFIX,
+    hashFile,
+    verifyFile
+};
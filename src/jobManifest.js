@@ -0,0 +1,78 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { isDeepStrictEqual } from 'node:util';
+
+/**
+ * Name of the manifest file inside a job directory.
+ */
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Allowed characters for job ids, which are used as directory names.
+ */
+const JOB_ID_PATTERN = /^[\w.-]+$/;
+
+/**
+ * @typedef {Object} JobManifest
+ * @property {number} version - Manifest format version.
+ * @property {string} jobId - The job id.
+ * @property {Object} settings - Everything that influences the chunk results (input, model, language, chunking and decoding options).
+ * @property {string|null} wavFile - Path to the converted WAV file.
+ * @property {{ wavFile: string, regions: Array<Object>, duration: number, timeline: Array<Object> }} [speech] - The speech-only WAV file and its timeline, when voice activity detection is enabled.
+ * @property {Object<string, { start: number, end: number, language: string|null, segments: Array<Object> }>} chunks - Finished chunks by index, segments relative to the chunk start.
+ */
+
+/**
+ * Returns the directory of a resumable job.
+ * @param {string} workDir - The work directory.
+ * @param {string} jobId - The job id.
+ * @returns {string} - The job directory.
+ * @throws {RangeError} If the job id contains characters other than letters, digits, `_`, `.` and `-`.
+ */
+function getJobDir(workDir, jobId) {
+    if (typeof jobId !== 'string' || !JOB_ID_PATTERN.test(jobId) || jobId === '.' || jobId === '..') {
+        throw new RangeError(`Invalid jobId: ${jobId}. Only letters, digits, '_', '.' and '-' are allowed.`);
+    }
+    return path.join(workDir, `audio2textjs-${jobId}`);
+}
+
+/**
+ * Loads the manifest of a job, discarding it when it was written for different settings.
+ * @param {string} jobDir - The job directory.
+ * @param {Object} settings - The settings of the current run.
+ * @returns {Promise<JobManifest|null>} - The manifest, or null if there is no usable one.
+ */
+async function loadManifest(jobDir, settings) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(path.join(jobDir, MANIFEST_FILE), 'utf-8'));
+        return isDeepStrictEqual(manifest.settings, settings) ? manifest : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Writes the manifest of a job atomically (write to a temporary file, then rename).
+ * @param {string} jobDir - The job directory.
+ * @param {JobManifest} manifest - The manifest.
+ * @returns {Promise<void>}
+ */
+async function saveManifest(jobDir, manifest) {
+    const file = path.join(jobDir, MANIFEST_FILE);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(manifest), 'utf-8');
+    await fs.rename(`${file}.tmp`, file);
+}
+
+export {
+    getJobDir,
+    loadManifest,
+    saveManifest
+};
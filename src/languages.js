@@ -0,0 +1,158 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { UnsupportedLanguageError } from './errors.js';
+
+/**
+ * Languages supported by whisper, by language code (the same table as whisper.cpp).
+ * @type {Object<string, string>}
+ */
+const WHISPER_LANGUAGES = {
+    en: 'english',
+    zh: 'chinese',
+    de: 'german',
+    es: 'spanish',
+    ru: 'russian',
+    ko: 'korean',
+    fr: 'french',
+    ja: 'japanese',
+    pt: 'portuguese',
+    tr: 'turkish',
+    pl: 'polish',
+    ca: 'catalan',
+    nl: 'dutch',
+    ar: 'arabic',
+    sv: 'swedish',
+    it: 'italian',
+    id: 'indonesian',
+    hi: 'hindi',
+    fi: 'finnish',
+    vi: 'vietnamese',
+    he: 'hebrew',
+    uk: 'ukrainian',
+    el: 'greek',
+    ms: 'malay',
+    cs: 'czech',
+    ro: 'romanian',
+    da: 'danish',
+    hu: 'hungarian',
+    ta: 'tamil',
+    no: 'norwegian',
+    th: 'thai',
+    ur: 'urdu',
+    hr: 'croatian',
+    bg: 'bulgarian',
+    lt: 'lithuanian',
+    la: 'latin',
+    mi: 'maori',
+    ml: 'malayalam',
+    cy: 'welsh',
+    sk: 'slovak',
+    te: 'telugu',
+    fa: 'persian',
+    lv: 'latvian',
+    bn: 'bengali',
+    sr: 'serbian',
+    az: 'azerbaijani',
+    sl: 'slovenian',
+    kn: 'kannada',
+    et: 'estonian',
+    mk: 'macedonian',
+    br: 'breton',
+    eu: 'basque',
+    is: 'icelandic',
+    hy: 'armenian',
+    ne: 'nepali',
+    mn: 'mongolian',
+    bs: 'bosnian',
+    kk: 'kazakh',
+    sq: 'albanian',
+    sw: 'swahili',
+    gl: 'galician',
+    mr: 'marathi',
+    pa: 'punjabi',
+    si: 'sinhala',
+    km: 'khmer',
+    sn: 'shona',
+    yo: 'yoruba',
+    so: 'somali',
+    af: 'afrikaans',
+    oc: 'occitan',
+    ka: 'georgian',
+    be: 'belarusian',
+    tg: 'tajik',
+    sd: 'sindhi',
+    gu: 'gujarati',
+    am: 'amharic',
+    yi: 'yiddish',
+    lo: 'lao',
+    uz: 'uzbek',
+    fo: 'faroese',
+    ht: 'haitian creole',
+    ps: 'pashto',
+    tk: 'turkmen',
+    nn: 'nynorsk',
+    mt: 'maltese',
+    sa: 'sanskrit',
+    lb: 'luxembourgish',
+    my: 'myanmar',
+    bo: 'tibetan',
+    tl: 'tagalog',
+    mg: 'malagasy',
+    as: 'assamese',
+    tt: 'tatar',
+    haw: 'hawaiian',
+    ln: 'lingala',
+    ha: 'hausa',
+    ba: 'bashkir',
+    jw: 'javanese',
+    su: 'sundanese',
+    yue: 'cantonese',
+};
+
+/**
+ * Checks whether whisper supports a language. Like whisper, codes (`ar`) and names (`arabic`) are accepted.
+ * @param {string} language - The language code or name.
+ * @returns {boolean} - True if whisper supports the language.
+ */
+function isSupportedLanguage(language) {
+    return typeof language === 'string'
+        && (Object.hasOwn(WHISPER_LANGUAGES, language) || Object.values(WHISPER_LANGUAGES).includes(language));
+}
+
+/**
+ * Validates the language passed to whisper.
+ * @param {string} language - A supported language code or name, or 'auto' for auto-detect.
+ * @throws {UnsupportedLanguageError} If whisper does not support the language.
+ */
+function validateLanguage(language) {
+    if (language === 'auto' || isSupportedLanguage(language)) return;
+    const message = `Unsupported language: ${JSON.stringify(language)}. Use 'auto' or one of: ${Object.keys(WHISPER_LANGUAGES).join(', ')}.`;
+    throw new UnsupportedLanguageError(message, { language });
+}
+
+/**
+ * Ranks the languages detected in several parts of the audio. The probability of a candidate is its probability
+ * averaged over all the parts, counting 0 for the parts in which another language was detected.
+ * @param {Array<{ language: string, probability: number }>} detections - The language detected in each part, see `parseLanguageLine`.
+ * @returns {Array<{ language: string, name: string, probability: number }>} - The candidates, most likely first.
+ */
+function rankLanguages(detections) {
+    const totals = new Map();
+    for (const { language, probability } of detections) totals.set(language, (totals.get(language) || 0) + probability);
+    return [...totals]
+        .map(([language, total]) => ({ language, name: WHISPER_LANGUAGES[language] || language, probability: total / detections.length }))
+        .sort((a, b) => b.probability - a.probability);
+}
+
+export {
+    WHISPER_LANGUAGES,
+    isSupportedLanguage,
+    validateLanguage,
+    rankLanguages
+};
@@ -0,0 +1,235 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { PARTIAL_SUFFIX } from './integrity.js';
+import { getModels } from './modelRegistry.js';
+import { throwIfAborted } from './abortSignal.js';
+
+/**
+ * @typedef {Object} CachedModel
+ * @property {string|null} name - The name of the registered model stored in the file, or null for other files.
+ * @property {string} filename - The file name.
+ * @property {string} file - Path of the file.
+ * @property {number} size - Size in bytes.
+ * @property {Date} modifiedAt - When the file was written.
+ * @property {Date} lastUsedAt - When the model was last used by `downloadModel` (and so by `runWhisper`), or written.
+ * @property {boolean} partial - Whether it is an incomplete download (`.partial`).
+ * @property {boolean} locked - Whether a process holds the lock of the model, e.g. while downloading it.
+ */
+
+/**
+ * Suffix of lock files. A lock is held by creating `<model file>.lock`, which only one process can do.
+ */
+const LOCK_SUFFIX = '.lock';
+
+/**
+ * Milliseconds after which a lock that has not been refreshed is considered abandoned (its process died).
+ */
+const LOCK_STALE_MS = 60000;
+
+/**
+ * Resolves the directory models are cached in. The first match wins:
+ * 1. the directory passed by the caller (e.g. the `modelsDir` constructor option),
+ * 2. the `AUDIO2TEXT_MODELS_DIR` environment variable,
+ * 3. `$XDG_CACHE_HOME/audio2textjs`, or `~/.cache/audio2textjs` (`%LOCALAPPDATA%\audio2textjs` on Windows).
+ * The cache lives outside `node_modules`, so it is shared by every project and survives reinstalls.
+ * @param {Object} [options={}] - Resolution options.
+ * @param {string} [options.modelsDir] - Directory configured by the caller.
+ * @param {Object} [options.env=process.env] - Environment with `AUDIO2TEXT_MODELS_DIR`, `XDG_CACHE_HOME` and `LOCALAPPDATA`.
+ * @param {string} [options.platform=process.platform] - The operating system.
+ * @returns {string} - The absolute directory (which may not exist yet).
+ */
+function getModelsDir({ modelsDir, env = process.env, platform = process.platform } = {}) {
+    if (modelsDir) return path.resolve(modelsDir);
+    if (env.AUDIO2TEXT_MODELS_DIR) return path.resolve(env.AUDIO2TEXT_MODELS_DIR);
+    if (platform === 'win32') return path.join(env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'audio2textjs');
+    return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'audio2textjs');
+}
+
+/**
+ * Tells whether a file is locked by a live process.
+ * @param {string} file - The locked file (not the lock file).
+ * @param {Object} [options={}] - Lock options.
+ * @param {number} [options.stale=LOCK_STALE_MS] - Age in milliseconds after which a lock is abandoned.
+ * @returns {Promise<boolean>} - A promise that resolves with true if the file is locked.
+ */
+async function isLocked(file, { stale = LOCK_STALE_MS } = {}) {
+    const stats = await fs.stat(`${file}${LOCK_SUFFIX}`).catch(() => null);
+    return Boolean(stats) && Date.now() - stats.mtimeMs < stale;
+}
+
+/**
+ * Takes the lock of a file, waiting while another process holds it. The lock is refreshed while it is held,
+ * so a lock that was not refreshed for `stale` milliseconds belongs to a process that died and is taken over.
+ * The lock file carries a random token: a stale lock is first renamed to a name of its own, so that of several
+ * processes taking it over only one removes it, and releasing only removes the lock if it still carries our token.
+ * @param {string} file - The file to lock; the lock is `<file>.lock`.
+ * @param {Object} [options={}] - Lock options.
+ * @param {AbortSignal} [options.signal] - Signal that stops waiting for the lock.
+ * @param {number} [options.stale=LOCK_STALE_MS] - Age in milliseconds after which a lock is abandoned.
+ * @param {number} [options.interval=250] - Milliseconds between attempts while waiting.
+ * @returns {Promise<() => Promise<void>>} - A promise that resolves with the function that releases the lock. Rejects with an AbortError when aborted.
+ */
+async function acquireLock(file, { signal, stale = LOCK_STALE_MS, interval = 250 } = {}) {
+    const lockFile = `${file}${LOCK_SUFFIX}`;
+    const token = randomUUID();
+    await fs.mkdir(path.dirname(lockFile), { recursive: true });
+    for (;;) {
+        throwIfAborted(signal);
+        try {
+            const handle = await fs.open(lockFile, 'wx');
+            await handle.writeFile(JSON.stringify({ pid: process.pid, hostname: os.hostname(), token, createdAt: new Date().toISOString() }));
+            await handle.close();
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        const stats = await fs.stat(lockFile).catch(() => null);
+        if (!stats) continue;
+        if (Date.now() - stats.mtimeMs >= stale) {
+            const staleFile = `${lockFile}.${token}.stale`;
+            try {
+                await fs.rename(lockFile, staleFile);
+            } catch (error) {
+                // Another process moved it first
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            // Another process may have replaced the stale lock with its own between the stat and the rename: put it back
+            const moved = await fs.stat(staleFile);
+            if (moved.ino !== stats.ino || Date.now() - moved.mtimeMs < stale) {
+                await fs.link(staleFile, lockFile).catch(() => {});
+            }
+            await fs.rm(staleFile, { force: true });
+            continue;
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    const heartbeat = setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockFile, now, now).catch(() => {});
+    }, stale / 3);
+    heartbeat.unref();
+    let released = false;
+    return async () => {
+        if (released) return;
+        released = true;
+        clearInterval(heartbeat);
+        // The lock may have been taken over (e.g. after the process was suspended for longer than `stale`)
+        const owner = await fs.readFile(lockFile, 'utf8').then(JSON.parse).catch(() => null);
+        if (owner && owner.token === token) await fs.rm(lockFile, { force: true });
+    };
+}
+
+/**
+ * Runs a function while holding the lock of a file, see `acquireLock`.
+ * @param {string} file - The file to lock.
+ * @param {() => Promise<*>} fn - The function.
+ * @param {Object} [options={}] - Lock options, see `acquireLock`.
+ * @returns {Promise<*>} - A promise that resolves or rejects like `fn`.
+ */
+async function withLock(file, fn, options = {}) {
+    const release = await acquireLock(file, options);
+    try {
+        return await fn();
+    } finally {
+        await release();
+    }
+}
+
+/**
+ * Records that a model was used, for `pruneModels`. The access time of the file is set to now (its modification
+ * time is kept), which works the same whether or not the file system updates access times itself.
+ * @param {string} file - The model file.
+ * @returns {Promise<void>}
+ */
+async function markUsed(file) {
+    const stats = await fs.stat(file).catch(() => null);
+    if (stats) await fs.utimes(file, new Date(), stats.mtime).catch(() => {});
+}
+
+/**
+ * Lists the models (`*.bin` files) in a cache directory, including incomplete downloads.
+ * @param {string} [dir=getModelsDir()] - The cache directory.
+ * @returns {Promise<Array<CachedModel>>} - A promise that resolves with the cached models, sorted by file name (empty if the directory does not exist).
+ */
+async function listCachedModels(dir = getModelsDir()) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const names = new Map(getModels().filter(entry => !entry.file).map(entry => [entry.filename, entry.name]));
+    const models = [];
+    for (const entry of entries) {
+        if (!entry.isFile()) continue;
+        const partial = entry.name.endsWith(PARTIAL_SUFFIX);
+        const filename = partial ? entry.name.slice(0, -PARTIAL_SUFFIX.length) : entry.name;
+        // Only model files count, so pointing the cache at a shared directory never lists (or prunes) other files
+        if (!filename.endsWith('.bin')) continue;
+        const file = path.join(dir, entry.name);
+        const stats = await fs.stat(file).catch(() => null);
+        if (!stats) continue;
+        models.push({
+            name: names.get(filename) || null,
+            filename: entry.name,
+            file,
+            size: stats.size,
+            modifiedAt: stats.mtime,
+            lastUsedAt: new Date(Math.max(stats.atimeMs, stats.mtimeMs)),
+            partial,
+            locked: await isLocked(path.join(dir, filename)),
+        });
+    }
+    return models.sort((a, b) => a.filename.localeCompare(b.filename));
+}
+
+/**
+ * Removes the cached models that were not used recently, and leftover incomplete downloads. Models that are
+ * locked (being downloaded or checked by another process) are never removed.
+ * @param {Object} [options={}] - Prune options.
+ * @param {string} [options.dir=getModelsDir()] - The cache directory.
+ * @param {number} [options.olderThan=2592000000] - Remove models last used more than this many milliseconds ago (30 days by default; 0 removes every unlocked model).
+ * @param {Array<string>} [options.keep=[]] - Model names or file names that are never removed.
+ * @param {boolean} [options.dryRun=false] - Only report what would be removed.
+ * @returns {Promise<{ success: boolean, message: string, removed: Array<CachedModel>, freed: number }>} - A promise that resolves with the removed models and the bytes freed.
+ * @throws {RangeError} If `olderThan` is not a number >= 0.
+ */
+async function pruneModels({ dir = getModelsDir(), olderThan = 30 * 24 * 60 * 60 * 1000, keep = [], dryRun = false } = {}) {
+    if (typeof olderThan !== 'number' || !(olderThan >= 0)) {
+        throw new RangeError(`Invalid olderThan: ${olderThan}. Must be a number of milliseconds >= 0.`);
+    }
+    const cutoff = Date.now() - olderThan;
+    const removed = [];
+    for (const model of await listCachedModels(dir)) {
+        if (model.locked || keep.includes(model.name) || keep.includes(model.filename)) continue;
+        if (model.lastUsedAt.getTime() > cutoff) continue;
+        if (!dryRun) await fs.rm(model.file, { force: true });
+        removed.push(model);
+    }
+
+    const freed = removed.reduce((total, model) => total + model.size, 0);
+    const files = `${removed.length} file${removed.length === 1 ? '' : 's'}`;
+    return {
+        success: true,
+        message: dryRun ? `Would remove ${files} (${freed} bytes).` : `Removed ${files} (${freed} bytes).`,
+        removed,
+        freed,
+    };
+}
+
+export {
+    LOCK_SUFFIX,
+    getModelsDir,
+    isLocked,
+    acquireLock,
+    withLock,
+    markUsed,
+    listCachedModels,
+    pruneModels
+};
@@ -0,0 +1,256 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import path from 'node:path';
+
+/**
+ * @typedef {Object} ModelEntry
+ * @property {string} name - The model name passed to `runWhisper` (e.g. `base.en`, `large-v3-turbo-q5_0`).
+ * @property {string} filename - File name of the model in the model cache.
+ * @property {string|null} url - Where the model is downloaded from, or null for a local model.
+ * @property {string|null} file - Path of a local model file, which is used where it is and never downloaded or removed.
+ * @property {string|null} disk - Approximate download size (e.g. `142 MB`), or null if unknown. Without an exact `size`, smaller files are refused as incomplete downloads.
+ * @property {string|null} ram - Approximate memory needed to run the model (e.g. `~500 MB`), or null if unknown.
+ * @property {'multilingual'|'en'} languages - Whether the model transcribes every whisper language or English only.
+ * @property {boolean} diarize - Whether it is a tinydiarize model, which runs with `--tinydiarize`.
+ * @property {number|null} size - Exact file size in bytes, checked after a download (null if not known).
+ * @property {string|null} sha256 - SHA-256 hash of the file (hex), checked after a download (null if not known).
+ * @property {boolean} builtin - Whether the model ships with Audio2TextJS. Built-in models cannot be replaced or unregistered.
+ */
+
+/**
+ * Where the built-in models are downloaded from.
+ */
+const WHISPER_CPP_URL = 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main';
+const TINYDIARIZE_URL = 'https://huggingface.co/akashmjn/tinydiarize-whisper.cpp/resolve/main';
+
+/**
+ * Characters allowed in model names (and in the file names derived from them).
+ */
+const MODEL_NAME = /^[\w.-]+$/;
+
+/**
+ * Tells English-only models (`tiny.en`, `small.en-tdrz`, `ggml-base.en-q8_0.bin`) from multilingual ones by name.
+ * @param {string} name - A model or file name.
+ * @returns {'multilingual'|'en'} - The languages of the model.
+ */
+function inferLanguages(name) {
+    return /\.en(?:[-.]|$)/.test(name) ? 'en' : 'multilingual';
+}
+
+/**
+ * Builds the entry of a built-in model.
+ * @param {string} name - The model name; the file is `ggml-<name>.bin`.
+ * @param {string} disk - Approximate download size.
+ * @param {string|null} ram - Approximate memory needed, or null if unknown.
+ * @param {Object} [options={}] - Entry options.
+ * @param {string} [options.baseUrl=WHISPER_CPP_URL] - Base URL of the file.
+ * @param {boolean} [options.diarize=false] - Whether it is a tinydiarize model.
+ * @returns {ModelEntry} - The entry.
+ */
+function defineModel(name, disk, ram, { baseUrl = WHISPER_CPP_URL, diarize = false } = {}) {
+    const filename = `ggml-${name}.bin`;
+    return Object.freeze({
+        name, filename, url: `${baseUrl}/${filename}`, file: null, disk, ram,
+        languages: inferLanguages(name), diarize, size: null, sha256: null, builtin: true,
+    });
+}
+
+/**
+ * The built-in models. Sizes are approximate; `size` and `sha256` stay null until the exact values are known.
+ * The quantized variants (`-q5_0`, `-q8_0`) are smaller and faster at a small cost in accuracy.
+ */
+const BUILTIN_MODELS = [
+    defineModel('tiny', '75 MB', '~390 MB'),
+    defineModel('tiny.en', '75 MB', '~390 MB'),
+    defineModel('base', '142 MB', '~500 MB'),
+    defineModel('base.en', '142 MB', '~500 MB'),
+    defineModel('small', '466 MB', '~1.0 GB'),
+    defineModel('small.en', '466 MB', '~1.0 GB'),
+    defineModel('medium', '1.5 GB', '~2.6 GB'),
+    defineModel('medium.en', '1.5 GB', '~2.6 GB'),
+    defineModel('large-v1', '2.9 GB', '~4.7 GB'),
+    defineModel('large', '2.9 GB', '~4.7 GB'),
+    defineModel('small.en-tdrz', '466 MB', '~1.0 GB', { baseUrl: TINYDIARIZE_URL, diarize: true }),
+    defineModel('large-v2', '2.9 GB', '~4.7 GB'),
+    defineModel('large-v3', '2.9 GB', '~4.7 GB'),
+    defineModel('large-v3-turbo', '1.5 GB', null),
+    defineModel('tiny-q8_0', '42 MB', null),
+    defineModel('base-q8_0', '78 MB', null),
+    defineModel('small-q8_0', '252 MB', null),
+    defineModel('medium-q5_0', '514 MB', null),
+    defineModel('medium.en-q5_0', '514 MB', null),
+    defineModel('medium-q8_0', '785 MB', null),
+    defineModel('large-v2-q5_0', '1.1 GB', null),
+    defineModel('large-v2-q8_0', '1.5 GB', null),
+    defineModel('large-v3-q5_0', '1.1 GB', null),
+    defineModel('large-v3-turbo-q5_0', '547 MB', null),
+    defineModel('large-v3-turbo-q8_0', '834 MB', null),
+];
+
+/**
+ * The registered models, by name.
+ * @type {Map<string, ModelEntry>}
+ */
+const registry = new Map(BUILTIN_MODELS.map(entry => [entry.name, entry]));
+
+/**
+ * Returns a registered model.
+ * @param {string} name - The model name.
+ * @returns {ModelEntry|null} - The entry, or null if no model has that name.
+ */
+function getModel(name) {
+    return registry.get(name) || null;
+}
+
+/**
+ * Returns all registered models: the built-in ones, then the registered ones in registration order.
+ * @returns {Array<ModelEntry>} - The entries.
+ */
+function getModels() {
+    return [...registry.values()];
+}
+
+/**
+ * Tells whether a model argument is a path to a model file rather than a model name. Only absolute paths are,
+ * so that model names are never mistaken for files in the working directory.
+ * @param {*} model - The model argument.
+ * @returns {boolean} - True for an absolute path.
+ */
+function isModelFile(model) {
+    return typeof model === 'string' && path.isAbsolute(model);
+}
+
+/**
+ * Resolves a model argument: a registered name, or an absolute path to a ggml file. A path that is not registered
+ * gets an entry of its own, with its languages and diarization guessed from the file name.
+ * @param {string} model - The model name or an absolute model file path.
+ * @returns {ModelEntry|null} - The entry, or null for an unknown name.
+ */
+function resolveModel(model) {
+    if (typeof model !== 'string') return null;
+    if (!isModelFile(model)) return getModel(model);
+    const filename = path.basename(model);
+    return {
+        name: model, filename, url: null, file: path.resolve(model), disk: null, ram: null,
+        languages: inferLanguages(filename), diarize: filename.includes('tdrz'), size: null, sha256: null, builtin: false,
+    };
+}
+
+/**
+ * Returns the URL a model is downloaded from. A mirror replaces the base URL of the built-in models, which are then
+ * fetched as `<mirror>/<filename>`; custom models keep their own URL.
+ * @param {ModelEntry} entry - The model.
+ * @param {Object} [options={}] - URL options.
+ * @param {string} [options.mirror] - Base URL of a mirror of the built-in models (defaults to `AUDIO2TEXT_MODELS_MIRROR`).
+ * @param {Object} [options.env=process.env] - Environment with `AUDIO2TEXT_MODELS_MIRROR`.
+ * @returns {string|null} - The URL, or null for a local model.
+ */
+function getModelUrl(entry, { mirror, env = process.env } = {}) {
+    const base = mirror || env.AUDIO2TEXT_MODELS_MIRROR;
+    if (!entry.builtin || !base) return entry.url;
+    return `${base.replace(/\/+$/, '')}/${entry.filename}`;
+}
+
+/**
+ * Registers a custom model, e.g. a fine-tuned ggml file, under a name that `runWhisper`, `detectLanguage` and the
+ * download functions accept like the built-in ones. Registering a name again replaces the custom model.
+ * @param {string} name - The model name (letters, digits, `_`, `.` and `-`).
+ * @param {Object} source - Where the model comes from; exactly one of `file` and `url`.
+ * @param {string} [source.file] - Path to a local model file. It is used where it is, never downloaded or removed.
+ * @param {string} [source.url] - http(s) URL the model is downloaded from into the model cache.
+ * @param {string} [source.filename] - File name of a downloaded model (defaults to `ggml-<name>.bin`).
+ * @param {'multilingual'|'en'} [source.languages] - Languages of the model (defaults to `en` when the name or file name contains `.en`).
+ * @param {boolean} [source.diarize] - Whether it is a tinydiarize model (defaults to whether the name or file name contains `tdrz`).
+ * @param {string|null} [source.disk=null] - Approximate download size; without `size`, much smaller files are refused.
+ * @param {string|null} [source.ram=null] - Approximate memory needed for display.
+ * @param {number|null} [source.size=null] - Exact file size in bytes, checked after a download.
+ * @param {string|null} [source.sha256=null] - SHA-256 hash (hex), checked after a download.
+ * @returns {ModelEntry} - The registered entry.
+ * @throws {RangeError} If the name is invalid or built in, or the source is invalid.
+ */
+function registerModel(name, { file, url, filename, languages, diarize, disk = null, ram = null, size = null, sha256 = null } = {}) {
+    if (typeof name !== 'string' || !MODEL_NAME.test(name)) {
+        throw new RangeError(`Invalid model name: ${name}. Use letters, digits, '_', '.' and '-'.`);
+    }
+    if (registry.has(name) && registry.get(name).builtin) {
+        throw new RangeError(`Invalid model name: ${name}. It is a built-in model.`);
+    }
+    if (Boolean(file) === Boolean(url)) {
+        throw new RangeError(`Invalid model ${name}: pass either a file or a url.`);
+    }
+    if (url && !/^https?:\/\//i.test(url)) {
+        throw new RangeError(`Invalid url: ${url}. Must be an http or https URL.`);
+    }
+    const entryFilename = filename || (file ? path.basename(file) : `ggml-${name}.bin`);
+    if (!MODEL_NAME.test(entryFilename)) {
+        throw new RangeError(`Invalid filename: ${entryFilename}. Use letters, digits, '_', '.' and '-'.`);
+    }
+    if (languages !== undefined && languages !== 'multilingual' && languages !== 'en') {
+        throw new RangeError(`Invalid languages: ${languages}. Must be 'multilingual' or 'en'.`);
+    }
+    if (size !== null && (!Number.isInteger(size) || size <= 0)) {
+        throw new RangeError(`Invalid size: ${size}. Must be an integer >= 1.`);
+    }
+    if (sha256 !== null && !/^[0-9a-f]{64}$/i.test(sha256)) {
+        throw new RangeError(`Invalid sha256: ${sha256}. Must be 64 hex characters.`);
+    }
+
+    const entry = Object.freeze({
+        name,
+        filename: entryFilename,
+        url: url || null,
+        file: file ? path.resolve(file) : null,
+        disk,
+        ram,
+        languages: languages || (inferLanguages(name) === 'en' ? 'en' : inferLanguages(entryFilename)),
+        diarize: diarize === undefined ? `${name} ${entryFilename}`.includes('tdrz') : Boolean(diarize),
+        size,
+        sha256: sha256 && sha256.toLowerCase(),
+        builtin: false,
+    });
+    registry.set(name, entry);
+    return entry;
+}
+
+/**
+ * Removes a custom model from the registry. Its file is left alone.
+ * @param {string} name - The model name.
+ * @returns {boolean} - True if the model was registered.
+ * @throws {RangeError} If the model is built in.
+ */
+function unregisterModel(name) {
+    const entry = registry.get(name);
+    if (entry && entry.builtin) throw new RangeError(`Invalid model name: ${name}. Built-in models cannot be unregistered.`);
+    return registry.delete(name);
+}
+
+/**
+ * Formats the disk and RAM requirements of models as a markdown table.
+ * @param {Array<ModelEntry>} [entries=getModels()] - The models.
+ * @returns {string} - The table.
+ */
+function formatModelsTable(entries = getModels()) {
+    const rows = [['Model', 'Disk', 'RAM'], ...entries.map(entry => [entry.name, entry.disk || '-', entry.ram || '-'])];
+    const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length)));
+    // Sizes are right-aligned, like in the models table of the README
+    const format = (row, header = false) => `| ${row.map((cell, column) => header || column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join(' | ')} |`;
+    return [format(rows[0], true), `|${widths.map(width => '-'.repeat(width + 2)).join('|')}|`, ...rows.slice(1).map(row => format(row))].join('\n');
+}
+
+export {
+    BUILTIN_MODELS,
+    getModel,
+    getModels,
+    isModelFile,
+    resolveModel,
+    getModelUrl,
+    registerModel,
+    unregisterModel,
+    formatModelsTable
+};
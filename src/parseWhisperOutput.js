@@ -0,0 +1,84 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+/**
+ * Matches the progress lines whisper prints to stderr with `--print-progress`,
+ * e.g. `whisper_print_progress_callback: progress =  45%`.
+ */
+const PROGRESS_PATTERN = /progress\s*=\s*(\d+)%/;
+
+/**
+ * Matches the timestamped segment lines whisper prints to stdout,
+ * e.g. `[00:00:00.000 --> 00:00:02.000]   Hello world.`.
+ */
+const SEGMENT_PATTERN = /^\[(\d+:\d{2}:\d{2}[.,]\d{3})\s*-->\s*(\d+:\d{2}:\d{2}[.,]\d{3})\]\s?(.*)$/;
+
+/**
+ * Marker whisper appends to a segment line with `--tinydiarize` when the speaker changes after it.
+ */
+const SPEAKER_TURN_MARKER = '[SPEAKER_TURN]';
+
+/**
+ * Matches the line whisper prints to stderr when it detects the language,
+ * e.g. `whisper_full_with_state: auto-detected language: ar (p = 0.912345)`.
+ */
+const LANGUAGE_PATTERN = /auto-detected language:\s*([\w-]+)\s*\(p\s*=\s*([\d.]+)\)/;
+
+/**
+ * Converts a whisper timestamp (`HH:MM:SS.mmm` or `HH:MM:SS,mmm`) to milliseconds.
+ * @param {string} timestamp - The timestamp to convert.
+ * @returns {number} - The time in milliseconds.
+ */
+function parseTimestamp(timestamp) {
+    const [hms, millis] = timestamp.split(/[.,]/);
+    const [hours, minutes, seconds] = hms.split(':').map(Number);
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + Number(millis);
+}
+
+/**
+ * Parses a whisper progress line.
+ * @param {string} line - A line of whisper stderr output.
+ * @returns {number|null} - The progress percentage, or null if the line is not a progress line.
+ */
+function parseProgressLine(line) {
+    const match = PROGRESS_PATTERN.exec(line);
+    return match ? Math.min(100, parseInt(match[1], 10)) : null;
+}
+
+/**
+ * Parses a whisper segment line.
+ * @param {string} line - A line of whisper stdout output.
+ * @returns {{ start: number, end: number, text: string, speakerTurnNext?: boolean }|null} - The segment (times in milliseconds), or null if the line is not a segment line. `speakerTurnNext` is only set when the line carries a speaker turn marker.
+ */
+function parseSegmentLine(line) {
+    const match = SEGMENT_PATTERN.exec(line.trim());
+    if (!match) return null;
+    const segment = { start: parseTimestamp(match[1]), end: parseTimestamp(match[2]), text: match[3].trim() };
+    if (segment.text.endsWith(SPEAKER_TURN_MARKER)) {
+        segment.text = segment.text.slice(0, -SPEAKER_TURN_MARKER.length).trim();
+        segment.speakerTurnNext = true;
+    }
+    return segment;
+}
+
+/**
+ * Finds the language whisper detected in its stderr output.
+ * @param {string} output - Whisper stderr output.
+ * @returns {{ language: string, probability: number }|null} - The detected language and its probability, or null if whisper did not report one.
+ */
+function parseLanguageLine(output) {
+    const match = LANGUAGE_PATTERN.exec(output);
+    return match ? { language: match[1], probability: parseFloat(match[2]) } : null;
+}
+
+export {
+    parseTimestamp,
+    parseProgressLine,
+    parseSegmentLine,
+    parseLanguageLine
+};
@@ -12,6 +12,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fetchBinFiles from './fetchBinFiles.js';
+import { isEnvEnabled, isOffline } from './httpDownload.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -60,12 +61,18 @@ async function downloadDependencies() {
     }
 }
 
-// Execute the download process
-downloadDependencies()
-    .catch(err => {
-        console.error('Unhandled error during installation:', err);
-        process.exitCode = 1; // Set non-zero exit code for failure
-    });
+// Execute the download process, unless downloads are turned off (CI images, air-gapped hosts, system binaries)
+if (isEnvEnabled('AUDIO2TEXT_SKIP_DOWNLOAD')) {
+    console.log('AUDIO2TEXT_SKIP_DOWNLOAD is set, skipping the download of the whisper, ffmpeg and ffprobe binaries.');
+} else if (isOffline()) {
+    console.log('AUDIO2TEXT_OFFLINE is set, skipping the download of the binaries. Install them with: audio2textjs install-from-bundle <file>');
+} else {
+    downloadDependencies()
+        .catch(err => {
+            console.error('Unhandled error during installation:', err);
+            process.exitCode = 1; // Set non-zero exit code for failure
+        });
+}
 
 /**
  * JSDoc comment for the entire file/module.
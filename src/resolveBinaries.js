@@ -0,0 +1,148 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * The binaries Audio2TextJS runs: the environment variable that points at each of them, the file names bundled in
+ * `src/bin/<platform>`, and the commands looked up on `PATH`.
+ * `whisper` itself is not looked up on `PATH`: that name usually belongs to OpenAI's Python CLI, which takes other arguments.
+ */
+const BINARIES = {
+    whisper: {
+        env: 'AUDIO2TEXT_WHISPER_PATH',
+        bundled: { win32: 'whisper.exe', x64: 'whisper', arm64: 'whisper-aarch64', arm: 'whisper-aarch64' },
+        commands: ['whisper-cli', 'whisper-cpp'],
+    },
+    ffmpeg: {
+        env: 'AUDIO2TEXT_FFMPEG_PATH',
+        bundled: { win32: 'ffmpeg.exe', x64: 'ffmpeg', arm64: 'ffmpeg-aarch64', arm: 'ffmpeg-aarch64' },
+        commands: ['ffmpeg'],
+    },
+    ffprobe: {
+        env: 'AUDIO2TEXT_FFPROBE_PATH',
+        bundled: { win32: 'ffprobe.exe', x64: 'ffprobe', arm64: 'ffprobe-aarch64', arm: 'ffprobe-aarch64' },
+        commands: ['ffprobe'],
+    },
+};
+
+/**
+ * Returns the location of a bundled binary, whether or not it has been downloaded.
+ * @param {'whisper'|'ffmpeg'|'ffprobe'} name - The binary.
+ * @param {Object} [options={}] - Platform options.
+ * @param {string} [options.platform=process.platform] - The operating system.
+ * @param {string} [options.arch=process.arch] - The architecture.
+ * @returns {string|null} - The path in `src/bin/<platform>`, or null if no binary is bundled for the platform.
+ */
+function getBundledPath(name, { platform = process.platform, arch = process.arch } = {}) {
+    const { bundled } = BINARIES[name];
+    if (platform === 'win32') return path.join(__dirname, 'bin', 'win32', bundled.win32);
+    if ((platform === 'linux' || platform === 'android') && bundled[arch]) return path.join(__dirname, 'bin', 'linux', bundled[arch]);
+    return null;
+}
+
+/**
+ * Looks up a command on `PATH`, like `which`. On Windows, the extensions of `PATHEXT` are tried.
+ * @param {string} command - The command name.
+ * @param {Object} [options={}] - Lookup options.
+ * @param {Object} [options.env=process.env] - Environment that holds `PATH` (and `PATHEXT`).
+ * @param {string} [options.platform=process.platform] - The operating system.
+ * @returns {string|null} - The path of the first executable match, or null.
+ */
+function findInPath(command, { env = process.env, platform = process.platform } = {}) {
+    const isWindows = platform === 'win32';
+    const extensions = isWindows ? (env.PATHEXT || '.EXE;.CMD;.BAT').split(';').filter(Boolean) : [''];
+    const dirs = (env.PATH || env.Path || '').split(isWindows ? ';' : ':').filter(Boolean);
+    for (const dir of dirs) {
+        for (const extension of extensions) {
+            const file = path.join(dir, `${command}${extension}`);
+            try {
+                if (!fs.statSync(file).isFile()) continue;
+                if (!isWindows) fs.accessSync(file, fs.constants.X_OK);
+                return file;
+            } catch (error) {
+                // Not there or not executable: keep looking
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolves a binary. The first match wins:
+ * 1. the path passed by the caller (e.g. the `whisperPath` constructor option),
+ * 2. the environment variable (`AUDIO2TEXT_WHISPER_PATH`, `AUDIO2TEXT_FFMPEG_PATH`, `AUDIO2TEXT_FFPROBE_PATH`),
+ * 3. the bundled binary in `src/bin/<platform>`, if it has been downloaded,
+ * 4. the commands on `PATH` (`whisper-cli` or `whisper-cpp`, `ffmpeg`, `ffprobe`).
+ * Paths given by the caller or the environment are used as they are, even if they do not exist, so that a
+ * misconfiguration fails loudly instead of silently running another binary.
+ * @param {'whisper'|'ffmpeg'|'ffprobe'} name - The binary.
+ * @param {Object} [options={}] - Resolution options.
+ * @param {string} [options.path] - Path configured by the caller.
+ * @param {Object} [options.env=process.env] - Environment with the `AUDIO2TEXT_*_PATH` variables and `PATH`.
+ * @param {string} [options.platform=process.platform] - The operating system.
+ * @param {string} [options.arch=process.arch] - The architecture.
+ * @returns {{ path: string|null, source: 'option'|'env'|'bundled'|'path'|null }} - The path and where it came from; both are null if the binary was not found.
+ */
+function resolveBinary(name, { path: configuredPath, env = process.env, platform = process.platform, arch = process.arch } = {}) {
+    if (configuredPath) return { path: path.resolve(configuredPath), source: 'option' };
+
+    const envPath = env[BINARIES[name].env];
+    if (envPath) return { path: path.resolve(envPath), source: 'env' };
+
+    const bundledPath = getBundledPath(name, { platform, arch });
+    if (bundledPath && fs.existsSync(bundledPath)) return { path: bundledPath, source: 'bundled' };
+
+    for (const command of BINARIES[name].commands) {
+        const found = findInPath(command, { env, platform });
+        if (found) return { path: found, source: 'path' };
+    }
+
+    return { path: null, source: null };
+}
+
+/**
+ * Returns the environment a binary runs with. The bundled Linux builds link against the shared libraries next to
+ * them, so for those the `src/bin/linux` directory is put first on `LD_LIBRARY_PATH`. Only the child process gets
+ * this environment: neither `process.env` nor any shell profile is modified.
+ * @param {string} file - Path to the binary.
+ * @param {Object} [options={}] - Environment options.
+ * @param {Object} [options.env=process.env] - The base environment.
+ * @param {string} [options.platform=process.platform] - The operating system.
+ * @returns {Object} - The environment.
+ */
+function getBinaryEnv(file, { env = process.env, platform = process.platform } = {}) {
+    const libraryDir = path.join(__dirname, 'bin', 'linux');
+    if ((platform !== 'linux' && platform !== 'android') || path.dirname(path.resolve(file)) !== libraryDir) return { ...env };
+    return { ...env, LD_LIBRARY_PATH: [libraryDir, env.LD_LIBRARY_PATH].filter(Boolean).join(':') };
+}
+
+/**
+ * Spawns a binary with the environment of `getBinaryEnv`.
+ * @param {string} file - Path to the binary.
+ * @param {Array<string>} args - The arguments.
+ * @param {Object} [options={}] - `child_process.spawn` options; `options.env` is the base environment.
+ * @returns {import('node:child_process').ChildProcess} - The child process.
+ */
+function spawnBinary(file, args, options = {}) {
+    return spawn(file, args, { ...options, env: getBinaryEnv(file, { env: options.env }) });
+}
+
+export {
+    BINARIES,
+    getBundledPath,
+    findInPath,
+    resolveBinary,
+    getBinaryEnv,
+    spawnBinary
+};
@@ -0,0 +1,135 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import path from 'node:path';
+import { getFFmpegPaths } from './convertAudioFile.js';
+import { spawnBinary } from './resolveBinaries.js';
+
+/**
+ * Function to get the duration of an audio file using ffprobe.
+ * @param {string} ffprobePath - Path to the ffprobe executable.
+ * @param {string} inputFilePath - Path to the input audio file.
+ * @param {AbortSignal} [signal] - Signal that kills the ffprobe process when aborted.
+ * @returns {Promise<number>} A promise that resolves with the duration in seconds.
+ */
+async function getAudioDuration(ffprobePath, inputFilePath, signal) {
+    return new Promise((resolve, reject) => {
+        const subprocess = spawnBinary(ffprobePath, [
+            '-v', 'error',
+            '-show_entries', 'format=duration',
+            '-of', 'default=noprint_wrappers=1:nokey=1',
+            inputFilePath
+        ], { signal });
+
+        let stdout = '';
+        let stderr = '';
+
+        subprocess.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        subprocess.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        subprocess.on('close', (code) => {
+            const duration = parseFloat(stdout.trim());
+            if (code === 0 && !Number.isNaN(duration)) {
+                resolve(duration);
+            } else {
+                reject(new Error(`Failed to get duration: ${stderr.trim()}`));
+            }
+        });
+
+        subprocess.on('error', (err) => {
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Function to copy a time range of a WAV file to a new file using FFmpeg.
+ * @param {string} ffmpegPath - Path to the ffmpeg executable.
+ * @param {string} inputFilePath - Path to input WAV file.
+ * @param {string} outputFilePath - Path to output WAV file.
+ * @param {number} start - Start of the range in seconds.
+ * @param {number} length - Length of the range in seconds.
+ * @param {AbortSignal} [signal] - Signal that kills the ffmpeg process when aborted.
+ * @returns {Promise<string>} A promise that resolves with the path to the output file.
+ */
+async function extractRange(ffmpegPath, inputFilePath, outputFilePath, start, length, signal) {
+    return new Promise((resolve, reject) => {
+        const subprocess = spawnBinary(ffmpegPath, [
+            '-y',
+            '-ss', `${start}`,
+            '-t', `${length}`,
+            '-i', inputFilePath,
+            '-c', 'copy',
+            outputFilePath
+        ], { signal });
+
+        let stderr = '';
+
+        subprocess.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        subprocess.on('close', (code) => {
+            if (code === 0) {
+                resolve(outputFilePath);
+            } else {
+                reject(new Error(`Failed to extract ${start}s-${start + length}s: ${stderr.trim()}`));
+            }
+        });
+
+        subprocess.on('error', (err) => {
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Function to split a WAV file into fixed-length chunks that overlap by `overlapSeconds`.
+ * Chunk `i` starts at `from + i * chunkSeconds` and lasts `chunkSeconds + overlapSeconds` (clamped to the end of the range).
+ * @param {string} inputFilePath - Path to input WAV file.
+ * @param {Object} options - Split options.
+ * @param {number} options.chunkSeconds - Chunk length in seconds, excluding the overlap.
+ * @param {number} [options.overlapSeconds=0] - Overlap between consecutive chunks in seconds.
+ * @param {string} options.workDir - Directory for the chunk files.
+ * @param {number} [options.from=0] - Start of the range to split in seconds.
+ * @param {number} [options.to] - End of the range to split in seconds (defaults to the end of the file).
+ * @param {Array<number>} [options.skip=[]] - Indexes of chunks that are listed but not extracted (their `file` is null).
+ * @param {AbortSignal} [options.signal] - Signal that kills the running ffmpeg/ffprobe process when aborted.
+ * @param {string} [options.ffmpegPath] - Path to the ffmpeg executable (resolved by `getFFmpegPaths` when omitted).
+ * @param {string} [options.ffprobePath] - Path to the ffprobe executable (resolved by `getFFmpegPaths` when omitted).
+ * @returns {Promise<Array<{ index: number, file: string|null, start: number, end: number }>>} A promise that resolves with the chunks, `start`/`end` in milliseconds.
+ */
+async function splitAudioFile(inputFilePath, { chunkSeconds, overlapSeconds = 0, workDir, from = 0, to, skip = [], signal, ...binaryPaths }) {
+    const { ffmpegPath, ffprobePath } = getFFmpegPaths(binaryPaths);
+    if (!ffmpegPath || !ffprobePath) throw new Error('FFmpeg or ffprobe is not installed.');
+
+    const duration = await getAudioDuration(ffprobePath, inputFilePath, signal);
+    const end = to !== undefined ? Math.min(to, duration) : duration;
+    const chunks = [];
+
+    for (let index = 0, start = from; start < end; index++, start += chunkSeconds) {
+        const length = Math.min(chunkSeconds + overlapSeconds, end - start);
+        let file = null;
+        if (!skip.includes(index)) {
+            file = path.join(workDir, `chunk-${index}.wav`);
+            await extractRange(ffmpegPath, inputFilePath, file, start, length, signal);
+        }
+        chunks.push({ index, file, start: Math.round(start * 1000), end: Math.round((start + length) * 1000) });
+        if (start + length >= end) break;
+    }
+
+    return chunks;
+}
+
+export { getAudioDuration };
+export default splitAudioFile;
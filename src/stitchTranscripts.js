@@ -0,0 +1,96 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import Transcript from './Transcript.js';
+
+/**
+ * Normalizes a word for comparison: lower case without punctuation.
+ * @param {string} word - The word to normalize.
+ * @returns {string} - The normalized word.
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Counts how many leading words of `text` repeat the trailing words of `previous`.
+ * @param {string} previous - Text of the previous segment.
+ * @param {string} text - Text of the current segment.
+ * @returns {number} - Number of duplicated leading words in `text`.
+ */
+function countRepeatedWords(previous, text) {
+    const tail = previous.split(/\s+/).map(normalizeWord).filter(Boolean);
+    const head = text.split(/\s+/).map(normalizeWord).filter(Boolean);
+    for (let count = Math.min(tail.length, head.length); count > 0; count--) {
+        if (tail.slice(tail.length - count).join(' ') === head.slice(0, count).join(' ')) return count;
+    }
+    return 0;
+}
+
+/**
+ * Shifts a segment and its tokens by `offset` milliseconds.
+ * @param {import('./Transcript.js').TranscriptSegment} segment - The segment.
+ * @param {number} offset - Offset in milliseconds.
+ * @returns {import('./Transcript.js').TranscriptSegment} - A shifted copy of the segment.
+ */
+function shiftSegment(segment, offset) {
+    return {
+        ...segment,
+        start: segment.start + offset,
+        end: segment.end + offset,
+        tokens: segment.tokens.map(token => ({
+            ...token,
+            start: token.start === null ? null : token.start + offset,
+            end: token.end === null ? null : token.end + offset,
+        })),
+    };
+}
+
+/**
+ * Stitches the transcripts of overlapping chunks into one transcript on the original timeline.
+ *
+ * Segments are moved to absolute time using the chunk start. The midpoint of the overlap between two chunks is
+ * the cut: the earlier chunk keeps the segments that end before the cut, the later chunk the segments that end
+ * after it, so a segment clipped by the end of a chunk is replaced by its complete version from the next chunk.
+ * Segments that still overlap the previous one in time lose their leading words when these repeat the end of
+ * the previous segment.
+ * @param {Array<{ start: number, end: number, transcript: Transcript }>} chunks - Chunks in order, `start`/`end` in milliseconds, with transcripts relative to the chunk start.
+ * @returns {Transcript} - The stitched transcript.
+ */
+function stitchTranscripts(chunks) {
+    const segments = [];
+
+    chunks.forEach((chunk, index) => {
+        const previous = chunks[index - 1];
+        const next = chunks[index + 1];
+        const lower = previous ? (chunk.start + previous.end) / 2 : -Infinity;
+        const upper = next ? (next.start + chunk.end) / 2 : Infinity;
+
+        for (const segment of chunk.transcript.segments) {
+            let shifted = shiftSegment(segment, chunk.start);
+            if (shifted.end <= lower || shifted.end > upper) continue;
+
+            const last = segments[segments.length - 1];
+            if (last && shifted.start < last.end) {
+                const repeated = countRepeatedWords(last.text, shifted.text);
+                if (repeated > 0) {
+                    const text = shifted.text.split(/\s+/).slice(repeated).join(' ');
+                    if (!text) continue;
+                    shifted = { ...shifted, text, tokens: shifted.tokens.filter(token => token.end === null || token.end > last.end) };
+                }
+            }
+
+            segments.push(shifted);
+        }
+    });
+
+    const language = chunks.map(chunk => chunk.transcript.language).find(Boolean) || null;
+    return new Transcript({ language, segments: segments.map((segment, id) => ({ ...segment, id })) });
+}
+
+export default stitchTranscripts;
@@ -0,0 +1,117 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+/**
+ * @typedef {Object} WhisperOptionSpec
+ * @property {string} flag - The whisper command line flag.
+ * @property {'integer'|'number'|'boolean'|'string'} type - The value type.
+ * @property {number} [min] - Smallest allowed value (numbers only).
+ * @property {number} [max] - Largest allowed value (numbers only).
+ * @property {string} description - What the option does.
+ */
+
+/**
+ * The whisper options accepted by Audio2TextJS, in the order they are passed to whisper.
+ * @type {Object<string, WhisperOptionSpec>}
+ */
+const WHISPER_OPTIONS = {
+    threads: { flag: '--threads', type: 'integer', min: 1, description: 'Number of threads to use during computation.' },
+    processors: { flag: '--processors', type: 'integer', min: 1, description: 'Number of processors to use during computation.' },
+    offset: { flag: '--offset-t', type: 'integer', min: 0, description: 'Time offset in milliseconds at which to start transcribing.' },
+    duration: { flag: '--duration', type: 'integer', min: 0, description: 'Duration of audio to process in milliseconds (0 for all).' },
+    maxLen: { flag: '--max-len', type: 'integer', min: 0, description: 'Maximum segment length in characters (0 for no limit).' },
+    maxContext: { flag: '--max-context', type: 'integer', min: -1, description: 'Maximum number of text context tokens to store (-1 for all).' },
+    beamSize: { flag: '--beam-size', type: 'integer', min: 1, max: 16, description: 'Beam size for beam search.' },
+    bestOf: { flag: '--best-of', type: 'integer', min: 1, max: 16, description: 'Number of best candidates to keep.' },
+    temperature: { flag: '--temperature', type: 'number', min: 0, max: 1, description: 'Sampling temperature.' },
+    entropyThold: { flag: '--entropy-thold', type: 'number', min: 0, description: 'Entropy threshold above which decoding is retried at a higher temperature.' },
+    noFallback: { flag: '--no-fallback', type: 'boolean', description: 'Do not retry decoding at higher temperatures.' },
+    prompt: { flag: '--prompt', type: 'string', description: 'Initial prompt, e.g. domain vocabulary.' },
+    translate: { flag: '--translate', type: 'boolean', description: 'Translate the transcription to English.' },
+};
+
+/**
+ * Options that only affect how fast whisper runs, not what it produces.
+ */
+const PERFORMANCE_OPTIONS = ['threads', 'processors'];
+
+/**
+ * Describes the range of a numeric option for error messages.
+ * @param {WhisperOptionSpec} spec - The option spec.
+ * @returns {string} - The description, e.g. `an integer between 1 and 16`.
+ */
+function describeRange(spec) {
+    const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+    if (spec.min !== undefined && spec.max !== undefined) return `${kind} between ${spec.min} and ${spec.max}`;
+    if (spec.min !== undefined) return `${kind} >= ${spec.min}`;
+    if (spec.max !== undefined) return `${kind} <= ${spec.max}`;
+    return kind;
+}
+
+/**
+ * Validates the whisper options of an options object. Unknown keys and undefined values are ignored.
+ * @param {Object} options - The options to validate.
+ * @throws {RangeError} If an option has the wrong type or is out of range.
+ */
+function validateWhisperOptions(options) {
+    for (const [key, spec] of Object.entries(WHISPER_OPTIONS)) {
+        const value = options[key];
+        if (value === undefined) continue;
+
+        if (spec.type === 'boolean' || spec.type === 'string') {
+            if (typeof value !== spec.type) {
+                throw new RangeError(`Invalid ${key}: ${JSON.stringify(value)}. Must be a ${spec.type}.`);
+            }
+            continue;
+        }
+
+        const valid = spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+        if (!valid || (spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            throw new RangeError(`Invalid ${key}: ${JSON.stringify(value)}. Must be ${describeRange(spec)}.`);
+        }
+    }
+}
+
+/**
+ * Picks the whisper options of one or more options objects; later objects override earlier ones, undefined values are skipped.
+ * @param {...Object} sources - Options objects.
+ * @returns {Object} - The merged whisper options.
+ */
+function pickWhisperOptions(...sources) {
+    const picked = {};
+    for (const source of sources) {
+        for (const key of Object.keys(WHISPER_OPTIONS)) {
+            if (source && source[key] !== undefined) picked[key] = source[key];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Maps whisper options to whisper command line arguments. Boolean options are passed as bare flags when true.
+ * @param {Object} options - Validated whisper options.
+ * @returns {Array<string>} - The arguments.
+ */
+function toWhisperArgs(options) {
+    const args = [];
+    for (const [key, spec] of Object.entries(WHISPER_OPTIONS)) {
+        const value = options[key];
+        if (value === undefined || value === false) continue;
+        if (spec.type === 'boolean') args.push(spec.flag);
+        else args.push(spec.flag, `${value}`);
+    }
+    return args;
+}
+
+export {
+    WHISPER_OPTIONS,
+    PERFORMANCE_OPTIONS,
+    validateWhisperOptions,
+    pickWhisperOptions,
+    toWhisperArgs
+};
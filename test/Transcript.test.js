@@ -0,0 +1,85 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Transcript from '../src/Transcript.js';
+
+const whisperJson = {
+    result: { language: 'en' },
+    transcription: [
+        {
+            offsets: { from: 0, to: 2000 },
+            text: ' Hello, world.',
+            tokens: [
+                { text: '[_BEG_]', offsets: { from: 0, to: 0 }, p: 0.9 },
+                { text: ' Hello', offsets: { from: 0, to: 800 }, p: 0.8 },
+                { text: ',', offsets: { from: 800, to: 900 }, p: 0.6 },
+                { text: ' world', offsets: { from: 900, to: 1800 }, p: 1 },
+                { text: '.', offsets: { from: 1800, to: 2000 }, p: 0.5 },
+            ],
+            speaker_turn_next: true,
+        },
+        { offsets: { from: 2000, to: 4000 }, text: ' Say "hi", please', speaker_turn_next: false },
+    ],
+};
+
+test('normalizes whisper JSON', () => {
+    const transcript = Transcript.fromWhisperJson(whisperJson);
+
+    assert.equal(transcript.language, 'en');
+    assert.equal(transcript.text, 'Hello, world. Say "hi", please');
+    assert.deepEqual(transcript.segments.map(segment => [segment.id, segment.start, segment.end]), [[0, 0, 2000], [1, 2000, 4000]]);
+    assert.equal(transcript.segments[0].confidence, (0.9 + 0.8 + 0.6 + 1 + 0.5) / 5);
+    assert.equal(transcript.segments[1].confidence, null);
+});
+
+test('groups tokens into words and skips special tokens', () => {
+    const { words } = Transcript.fromWhisperJson(whisperJson);
+
+    assert.deepEqual(words.map(word => [word.text, word.start, word.end]), [['Hello,', 0, 900], ['world.', 900, 2000]]);
+    assert.equal(words[0].probability, 0.7);
+    assert.equal(words[0].segmentId, 0);
+});
+
+test('labels alternating speakers from speaker turns', () => {
+    const transcript = Transcript.fromWhisperJson(whisperJson);
+
+    assert.equal(transcript.diarized, true);
+    assert.deepEqual(transcript.segments.map(segment => segment.speaker), ['Speaker 1', 'Speaker 2']);
+    assert.equal(transcript.toText(), 'Speaker 1: Hello, world.\nSpeaker 2: Say "hi", please\n');
+});
+
+test('has no speakers without diarization', () => {
+    const transcript = new Transcript({ segments: [{ id: 0, start: 0, end: 1000, text: 'Hi', tokens: [] }] });
+
+    assert.equal(transcript.diarized, false);
+    assert.equal(transcript.segments[0].speaker, null);
+    assert.equal(transcript.toText(), 'Hi\n');
+});
+
+test('renders CSV with escaped cells', () => {
+    const transcript = Transcript.fromWhisperJson(whisperJson);
+
+    assert.equal(transcript.toCsv(), 'start,end,speaker,text\n0,2000,Speaker 1,"Hello, world."\n2000,4000,Speaker 2,"Say ""hi"", please"\n');
+});
+
+test('round-trips through the whisper JSON shape', () => {
+    const transcript = Transcript.fromWhisperJson(whisperJson);
+    const again = Transcript.fromWhisperJson(transcript.toWhisperJson());
+
+    assert.deepEqual(again.toJSON(), transcript.toJSON());
+    assert.equal(transcript.toWhisperJson().transcription[0].timestamps.from, '00:00:00,000');
+});
+
+test('serializes to JSON with text, segments and words', () => {
+    const json = JSON.parse(JSON.stringify(Transcript.fromWhisperJson(whisperJson)));
+
+    assert.deepEqual(Object.keys(json), ['language', 'text', 'segments', 'words']);
+    assert.equal(json.words.length, 2);
+});
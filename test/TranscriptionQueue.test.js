@@ -0,0 +1,65 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import TranscriptionQueue from '../src/TranscriptionQueue.js';
+import { AbortError } from '../src/errors.js';
+
+/**
+ * Creates a stand-in for Audio2TextJS whose jobs take `ms` milliseconds and can be aborted.
+ * @param {number} ms - Duration of a job.
+ * @returns {{ runWhisper: Function }}
+ */
+function createConverter(ms) {
+    return {
+        runWhisper: (inputFile, model, language, { signal }) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve({ success: true, message: 'Conversion completed successfully.' }), ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new AbortError());
+            }, { once: true });
+        }),
+    };
+}
+
+test('runs jobs in priority order within the concurrency limit', async () => {
+    const queue = new TranscriptionQueue(createConverter(10), { concurrency: 1 });
+    const started = [];
+    queue.on('status', job => job.status === 'running' && started.push(job.inputFile));
+
+    const ids = [queue.add('a.wav', 'tiny', 'auto'), queue.add('b.wav', 'tiny', 'auto'), queue.add('c.wav', 'tiny', 'auto', { priority: 1 })];
+    await Promise.all(ids.map(id => queue.wait(id)));
+
+    assert.deepEqual(started, ['a.wav', 'c.wav', 'b.wav']);
+    assert.deepEqual(queue.listJobs().map(job => job.status), ['done', 'done', 'done']);
+});
+
+test('cancels queued and running jobs', async () => {
+    const queue = new TranscriptionQueue(createConverter(1000), { concurrency: 1 });
+    const running = queue.add('a.wav', 'tiny', 'auto');
+    const queued = queue.add('b.wav', 'tiny', 'auto');
+
+    assert.equal(queue.cancel(queued), true);
+    assert.equal(queue.cancel(running), true);
+    await assert.rejects(queue.wait(running), AbortError);
+    await assert.rejects(queue.wait(queued), AbortError);
+    assert.deepEqual([queue.getJob(running).status, queue.getJob(queued).status], ['cancelled', 'cancelled']);
+    assert.equal(queue.cancel(running), false);
+});
+
+test('removes its listeners from a signal shared by the jobs', async () => {
+    const queue = new TranscriptionQueue(createConverter(5), { concurrency: 2 });
+    const controller = new AbortController();
+
+    const ids = Array.from({ length: 5 }, (_, i) => queue.add(`${i}.wav`, 'tiny', 'auto', { signal: controller.signal }));
+    await Promise.all(ids.map(id => queue.wait(id)));
+
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
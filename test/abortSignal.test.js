@@ -0,0 +1,77 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createAbortSignal, toAbortError, throwIfAborted } from '../src/abortSignal.js';
+import { AbortError } from '../src/errors.js';
+
+test('aborts with an AbortError when the timeout expires', async () => {
+    const { signal, dispose } = createAbortSignal({ timeout: 20 });
+    assert.equal(signal.aborted, false);
+
+    await sleep(50);
+    assert.equal(signal.aborted, true);
+    assert.ok(signal.reason instanceof AbortError);
+    assert.equal(signal.reason.message, 'The operation timed out after 20 ms.');
+    assert.equal(toAbortError(signal), signal.reason);
+    dispose();
+});
+
+test('does not abort after dispose or without a timeout', async () => {
+    const timed = createAbortSignal({ timeout: 20 });
+    timed.dispose();
+    const untimed = createAbortSignal();
+
+    await sleep(50);
+    assert.equal(timed.signal.aborted, false);
+    assert.equal(untimed.signal.aborted, false);
+    untimed.dispose();
+});
+
+test('follows a parent signal', () => {
+    const controller = new AbortController();
+    const { signal, dispose } = createAbortSignal({ signal: controller.signal, timeout: 1000 });
+
+    controller.abort('stop');
+    assert.equal(signal.aborted, true);
+    assert.equal(signal.reason, 'stop');
+    const error = toAbortError(signal);
+    assert.ok(error instanceof AbortError);
+    assert.equal(error.message, 'The operation was aborted.');
+    assert.equal(error.cause, 'stop');
+    dispose();
+});
+
+test('is aborted at once by a parent signal that is already aborted', () => {
+    const reason = new AbortError('Cancelled by the user.');
+    const { signal, dispose } = createAbortSignal({ signal: AbortSignal.abort(reason) });
+
+    assert.equal(signal.aborted, true);
+    assert.equal(toAbortError(signal), reason);
+    assert.throws(() => throwIfAborted(signal), reason);
+    dispose();
+});
+
+test('removes its listener from the parent signal on dispose', () => {
+    const controller = new AbortController();
+    const signals = Array.from({ length: 3 }, () => createAbortSignal({ signal: controller.signal }));
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 3);
+
+    for (const { dispose } of signals) dispose();
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    controller.abort();
+    assert.ok(signals.every(({ signal }) => !signal.aborted));
+});
+
+test('does nothing for a signal that is not aborted', () => {
+    assert.doesNotThrow(() => throwIfAborted(undefined));
+    assert.doesNotThrow(() => throwIfAborted(new AbortController().signal));
+});
@@ -0,0 +1,75 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { globToRegExp, expandInputs } from '../src/batchInputs.js';
+import { InputNotFoundError } from '../src/errors.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    for (const file of ['a.wav', 'b.MP3', 'notes.txt', '2024-01/c.wav', '2024-01/deep/d.ogg', '2024-02/e.wav']) {
+        await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+        await fs.writeFile(path.join(dir, file), '');
+    }
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('converts glob patterns to regular expressions', () => {
+    assert.ok(globToRegExp('*.wav').test('a.wav'));
+    assert.ok(!globToRegExp('*.wav').test('dir/a.wav'));
+    assert.ok(globToRegExp('**/*.wav').test('a.wav'));
+    assert.ok(globToRegExp('**/*.wav').test('x/y/a.wav'));
+    assert.ok(globToRegExp('2024-0?/*.{wav,ogg}').test('2024-01/c.ogg'));
+    assert.ok(globToRegExp('[ab].wav').test('b.wav'));
+    assert.ok(!globToRegExp('[!ab].wav').test('b.wav'));
+    assert.ok(!globToRegExp('a.wav').test('aXwav'));
+});
+
+test('expands directories recursively to audio files', async () => {
+    const files = await expandInputs(dir);
+
+    assert.deepEqual(files.map(({ file }) => path.relative(dir, file)), [
+        path.join('2024-01', 'c.wav'),
+        path.join('2024-01', 'deep', 'd.ogg'),
+        path.join('2024-02', 'e.wav'),
+        'a.wav',
+        'b.MP3',
+    ]);
+    assert.ok(files.every(({ base }) => base === dir));
+});
+
+test('expands glob patterns from the directory before the wildcard', async () => {
+    const files = await expandInputs(path.join(dir, '2024-*', '*.wav'));
+
+    assert.deepEqual(files.map(({ file }) => path.relative(dir, file)), [path.join('2024-01', 'c.wav'), path.join('2024-02', 'e.wav')]);
+    assert.ok(files.every(({ base }) => base === dir));
+    assert.equal((await expandInputs(path.join(dir, '2024-01', '**'))).length, 2);
+});
+
+test('uses files as they are and removes duplicates', async () => {
+    const files = await expandInputs([path.join(dir, 'notes.txt'), path.join(dir, 'a.wav'), path.join(dir, '*.wav')]);
+
+    assert.deepEqual(files, [
+        { file: path.join(dir, 'notes.txt'), base: dir },
+        { file: path.join(dir, 'a.wav'), base: dir },
+    ]);
+});
+
+test('rejects inputs that do not exist', async () => {
+    await assert.rejects(expandInputs(path.join(dir, 'missing.wav')), error => error instanceof InputNotFoundError && error.input === path.join(dir, 'missing.wav'));
+    assert.deepEqual(await expandInputs(path.join(dir, 'missing', '*.wav')), []);
+});
@@ -0,0 +1,141 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { create as createTar } from 'tar';
+import { BUNDLE_MANIFEST, packBundle, installBundle } from '../src/bundle.js';
+
+const silent = { log: () => { }, error: () => { } };
+
+let dir;
+
+/**
+ * Writes a tarball with the given files, for bundles `packBundle` would not write.
+ * @param {string} name - File name of the tarball in the test directory.
+ * @param {Object<string, string|Buffer>} files - The contents by path in the tarball.
+ * @returns {Promise<string>} - The path of the tarball.
+ */
+async function writeTarball(name, files) {
+    const stageDir = await fs.mkdtemp(path.join(dir, 'stage-'));
+    for (const [file, data] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(stageDir, file)), { recursive: true });
+        await fs.writeFile(path.join(stageDir, file), data);
+    }
+    const tarball = path.join(dir, name);
+    await createTar({ gzip: true, file: tarball, cwd: stageDir, portable: true }, Object.keys(files));
+    return tarball;
+}
+
+/**
+ * Builds the manifest entry of a file.
+ * @param {string|Buffer} data - The contents.
+ * @returns {{ size: number, sha256: string }}
+ */
+function describe(data) {
+    return { size: Buffer.byteLength(data), sha256: createHash('sha256').update(data).digest('hex') };
+}
+
+/**
+ * Builds a version 1 manifest for this machine.
+ * @param {Object} [fields={}] - Fields to override.
+ * @returns {string} - The manifest JSON.
+ */
+function manifest(fields = {}) {
+    return JSON.stringify({ version: 1, createdAt: new Date().toISOString(), platform: process.platform, arch: process.arch, programs: [], binaries: [], models: [], ...fields });
+}
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('installs the models of a packed bundle', async () => {
+    const model = path.join(dir, 'ggml-custom.bin');
+    const header = Buffer.alloc(64, 1);
+    header.writeUInt32LE(0x67676d6c, 0);
+    await fs.writeFile(model, header);
+
+    const packed = await packBundle(path.join(dir, 'out', 'bundle.tar.gz'), { programs: [], models: [model], modelsDir: path.join(dir, 'cache'), offline: true, logger: silent });
+    assert.equal(packed.success, true, packed.message);
+    assert.deepEqual(packed.manifest.models, [{ name: model, filename: 'ggml-custom.bin', ...describe(header) }]);
+    assert.deepEqual(packed.manifest.binaries, []);
+
+    const installed = await installBundle(packed.file, { binDir: path.join(dir, 'bin'), modelsDir: path.join(dir, 'models') });
+    assert.equal(installed.success, true, installed.message);
+    assert.deepEqual(installed.models, [path.join(dir, 'models', 'ggml-custom.bin')]);
+    assert.deepEqual(await fs.readFile(installed.models[0]), header);
+    assert.equal(existsSync(path.join(dir, 'bin')), false);
+});
+
+test('refuses entries outside of the bundle', async () => {
+    const data = 'payload';
+    for (const fields of [
+        { binaries: [{ path: '../../escaped', ...describe(data) }] },
+        { models: [{ name: 'x', filename: '../escaped.bin', ...describe(data) }] },
+    ]) {
+        const tarball = await writeTarball('traversal.tar.gz', { [BUNDLE_MANIFEST]: manifest(fields), 'bin/escaped': data, 'models/escaped.bin': data });
+        const result = await installBundle(tarball, { binDir: path.join(dir, 'a', 'bin'), modelsDir: path.join(dir, 'a', 'models') });
+
+        assert.equal(result.success, false);
+        assert.match(result.message, /is outside of the bundle/);
+    }
+    assert.equal(existsSync(path.join(dir, 'a')), false);
+    assert.equal(existsSync(path.join(dir, 'escaped')), false);
+});
+
+test('refuses binaries built for another platform unless forced', async () => {
+    const data = 'ffmpeg build';
+    const platform = process.platform === 'win32' ? 'linux' : 'win32';
+    const tarball = await writeTarball('other.tar.gz', {
+        [BUNDLE_MANIFEST]: manifest({ platform, arch: 'x64', programs: ['ffmpeg'], binaries: [{ path: 'other/ffmpeg', ...describe(data) }] }),
+        'bin/other/ffmpeg': data,
+    });
+    const options = { binDir: path.join(dir, 'bin'), modelsDir: path.join(dir, 'models') };
+
+    const refused = await installBundle(tarball, options);
+    assert.equal(refused.success, false);
+    assert.equal(refused.message, `The bundle is built for ${platform}-x64, not ${process.platform}-${process.arch}. Use force to install it anyway.`);
+    assert.equal(existsSync(options.binDir), false);
+
+    const forced = await installBundle(tarball, { ...options, force: true });
+    assert.equal(forced.success, true, forced.message);
+    assert.equal(await fs.readFile(path.join(options.binDir, 'other', 'ffmpeg'), 'utf8'), data);
+});
+
+test('refuses bundles with a missing or corrupt manifest or damaged files', async () => {
+    const options = { binDir: path.join(dir, 'bin'), modelsDir: path.join(dir, 'models') };
+    const notBundle = /is not an Audio2TextJS bundle \(version 1\)\.$/;
+
+    assert.match((await installBundle(await writeTarball('empty.tar.gz', { 'README': 'no manifest' }), options)).message, notBundle);
+    assert.match((await installBundle(await writeTarball('v2.tar.gz', { [BUNDLE_MANIFEST]: manifest({ version: 2 }) }), options)).message, notBundle);
+
+    const corrupt = await installBundle(await writeTarball('corrupt.tar.gz', { [BUNDLE_MANIFEST]: '{ "version": 1,' }), options);
+    assert.equal(corrupt.success, false);
+    assert.match(corrupt.message, /^Failed to install the bundle: /);
+
+    const notTar = path.join(dir, 'not.tar.gz');
+    await fs.writeFile(notTar, 'not a tarball');
+    assert.equal((await installBundle(notTar, options)).success, false);
+
+    const damaged = await installBundle(await writeTarball('damaged.tar.gz', {
+        [BUNDLE_MANIFEST]: manifest({ models: [{ name: 'tiny', filename: 'ggml-tiny.bin', ...describe('the whole model') }] }),
+        'models/ggml-tiny.bin': 'truncated',
+    }), options);
+    assert.equal(damaged.success, false);
+    assert.match(damaged.message, /^The bundle is damaged: 'models\/ggml-tiny\.bin' has 9 bytes, expected 15\.$/);
+    assert.equal(existsSync(options.modelsDir), false);
+});
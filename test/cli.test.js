@@ -0,0 +1,64 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+let dir;
+
+/**
+ * Runs the CLI without any configured binaries or models.
+ * @param {Array<string>} args - The arguments.
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+function run(args) {
+    const env = { ...process.env, AUDIO2TEXT_MODELS_DIR: path.join(dir, 'models') };
+    for (const name of ['AUDIO2TEXT_OFFLINE', 'AUDIO2TEXT_WHISPER_PATH', 'AUDIO2TEXT_FFMPEG_PATH', 'AUDIO2TEXT_FFPROBE_PATH']) delete env[name];
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { env, cwd: dir, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    await fs.writeFile(path.join(dir, 'in.wav'), '');
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('exits with 0 for help', async () => {
+    const { code, stdout } = await run(['--help']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: audio2textjs/);
+});
+
+test('exits with 2 for usage errors', async () => {
+    assert.equal((await run(['no-such-command'])).code, 2);
+    assert.equal((await run(['transcribe'])).code, 2);
+
+    const language = await run(['transcribe', 'in.wav', '--language', 'klingon']);
+    assert.equal(language.code, 2);
+    assert.match(language.stderr, /Unsupported language/);
+});
+
+test('exits with 1 when a transcription fails', async () => {
+    const { code, stderr } = await run(['--offline', 'transcribe', 'in.wav']);
+    assert.equal(code, 1);
+    assert.match(stderr, /^Error: Offline mode: missing /m);
+});
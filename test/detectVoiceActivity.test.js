@@ -0,0 +1,118 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Transcript from '../src/Transcript.js';
+import { readWavHeader, detectSpeechRegions, writeSpeechFile, toOriginalTime, mapTranscriptToOriginal } from '../src/detectVoiceActivity.js';
+
+const SAMPLE_RATE = 16000;
+let dir;
+let wavFile;
+
+/**
+ * Writes a 16 kHz mono 16-bit PCM WAV file.
+ * @param {string} file - Path of the file.
+ * @param {Array<[number, number]>} parts - `[milliseconds, amplitude]` pairs: silence for amplitude 0, a 440 Hz tone otherwise.
+ * @returns {Promise<void>}
+ */
+async function writeWav(file, parts) {
+    const samples = [];
+    for (const [ms, amplitude] of parts) {
+        for (let i = 0; i < (SAMPLE_RATE * ms) / 1000; i++) {
+            samples.push(amplitude * Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE));
+        }
+    }
+    const data = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => data.writeInt16LE(Math.round(sample * 32767), i * 2));
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+    await fs.writeFile(file, Buffer.concat([header, data]));
+}
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    wavFile = path.join(dir, 'speech.wav');
+    // Speech from 1 to 2 s and from 4 to 4.6 s, and a 90 ms click at 7 s
+    await writeWav(wavFile, [[1000, 0], [1000, 0.5], [2000, 0], [600, 0.5], [2400, 0], [90, 0.5], [910, 0]]);
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('reads the WAV header', async () => {
+    const header = await readWavHeader(wavFile);
+
+    assert.deepEqual(header, { formatTag: 1, channels: 1, sampleRate: SAMPLE_RATE, blockAlign: 2, bitsPerSample: 16, dataOffset: 44, dataSize: 8000 * 32 });
+    await fs.writeFile(path.join(dir, 'not.wav'), 'not a wav file');
+    await assert.rejects(readWavHeader(path.join(dir, 'not.wav')), /is not a WAV file/);
+});
+
+test('finds padded speech regions and drops short sounds', async () => {
+    const { regions, duration } = await detectSpeechRegions(wavFile);
+
+    assert.equal(duration, 8000);
+    assert.equal(regions.length, 2);
+    assert.ok(Math.abs(regions[0].start - 700) <= 30 && Math.abs(regions[0].end - 2300) <= 30, JSON.stringify(regions[0]));
+    assert.ok(Math.abs(regions[1].start - 3700) <= 30 && Math.abs(regions[1].end - 4900) <= 30, JSON.stringify(regions[1]));
+});
+
+test('bridges silences shorter than minSilenceMs', async () => {
+    const { regions } = await detectSpeechRegions(wavFile, { minSilenceMs: 2100, paddingMs: 0 });
+
+    assert.equal(regions.length, 1);
+    assert.ok(Math.abs(regions[0].start - 1000) <= 30 && Math.abs(regions[0].end - 4600) <= 30, JSON.stringify(regions[0]));
+});
+
+test('stops detecting and writing speech when aborted', async () => {
+    const controller = new AbortController();
+    const detecting = detectSpeechRegions(wavFile, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(detecting, { name: 'AbortError', code: 'ABORT_ERR' });
+
+    const header = await readWavHeader(wavFile);
+    const output = path.join(dir, 'aborted.wav');
+    await assert.rejects(writeSpeechFile(wavFile, [{ start: 0, end: 8000 }], output, header, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+});
+
+test('writes the speech regions back to back and maps times back', async () => {
+    const header = await readWavHeader(wavFile);
+    const output = path.join(dir, 'speech-only.wav');
+    const timeline = await writeSpeechFile(wavFile, [{ start: 1000, end: 2000 }, { start: 4000, end: 4600 }], output, header);
+
+    assert.deepEqual(timeline, [{ start: 0, end: 1000, originalStart: 1000 }, { start: 1000, end: 1600, originalStart: 4000 }]);
+    assert.equal((await readWavHeader(output)).dataSize, 1600 * 32);
+    assert.equal(toOriginalTime(500, timeline), 1500);
+    assert.equal(toOriginalTime(1000, timeline), 2000);
+    assert.equal(toOriginalTime(1000, timeline, true), 4000);
+    assert.equal(toOriginalTime(null, timeline), null);
+
+    const transcript = mapTranscriptToOriginal(new Transcript({
+        language: 'en',
+        segments: [{ id: 0, start: 1000, end: 1500, text: 'Hi', tokens: [{ text: ' Hi', start: 1000, end: 1500, probability: null }] }],
+    }), timeline);
+    assert.deepEqual([transcript.segments[0].start, transcript.segments[0].end], [4000, 4500]);
+    assert.deepEqual([transcript.segments[0].tokens[0].start, transcript.segments[0].tokens[0].end], [4000, 4500]);
+    assert.equal(transcript.language, 'en');
+});
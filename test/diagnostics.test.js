@@ -0,0 +1,153 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { parseSize, readBinaryArch, checkBinary, getDiskSpace } from '../src/diagnostics.js';
+
+let dir;
+
+/**
+ * Writes a file in the test directory.
+ * @param {string} name - File name.
+ * @param {string|Buffer} data - The contents.
+ * @param {number} [mode=0o644] - File mode.
+ * @returns {Promise<string>} - The path of the file.
+ */
+async function writeFile(name, data, mode = 0o644) {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, data, { mode });
+    return file;
+}
+
+/**
+ * Builds the start of an ELF file.
+ * @param {number} machine - `e_machine`.
+ * @param {boolean} [bigEndian=false] - Byte order.
+ * @returns {Buffer}
+ */
+function elfHeader(machine, bigEndian = false) {
+    const header = Buffer.alloc(64);
+    header.write('\x7fELF', 0, 'latin1');
+    header[4] = 2;
+    header[5] = bigEndian ? 2 : 1;
+    if (bigEndian) header.writeUInt16BE(machine, 18);
+    else header.writeUInt16LE(machine, 18);
+    return header;
+}
+
+/**
+ * Builds the start of a PE file, with the PE header right after the DOS header.
+ * @param {number} machine - `Machine`.
+ * @param {string} [signature='PE\0\0'] - The PE signature.
+ * @returns {Buffer}
+ */
+function peHeader(machine, signature = 'PE\0\0') {
+    const header = Buffer.alloc(0x80 + 24);
+    header.write('MZ', 0, 'latin1');
+    header.writeUInt32LE(0x80, 0x3c);
+    header.write(signature, 0x80, 'latin1');
+    header.writeUInt16LE(machine, 0x84);
+    return header;
+}
+
+/**
+ * Builds the start of a Mach-O file.
+ * @param {number} magic - The magic number.
+ * @param {number} cpuType - `cputype`.
+ * @returns {Buffer}
+ */
+function machOHeader(magic, cpuType) {
+    const header = Buffer.alloc(32);
+    header.writeUInt32LE(magic, 0);
+    header.writeUInt32LE(cpuType, 4);
+    return header;
+}
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('parses the sizes of the model registry', () => {
+    assert.equal(parseSize('142 MB'), 142 * 1024 ** 2);
+    assert.equal(parseSize('~1.5 GB'), 1.5 * 1024 ** 3);
+    assert.equal(parseSize('75kb'), 75 * 1024);
+    assert.equal(parseSize('512 B'), 512);
+    assert.equal(parseSize('~273 MB RAM'), 273 * 1024 ** 2);
+    for (const size of ['', 'unknown', '142', '1 TB']) assert.equal(parseSize(size), null, size);
+});
+
+test('reads the architecture of ELF, PE and Mach-O binaries', async () => {
+    const binaries = [
+        ['elf-x64', elfHeader(62), 'x64'],
+        ['elf-arm64', elfHeader(183), 'arm64'],
+        ['elf-arm', elfHeader(40), 'arm'],
+        ['elf-be', elfHeader(183, true), 'arm64'],
+        ['elf-unknown', elfHeader(8), null],
+        ['pe-x64', peHeader(0x8664), 'x64'],
+        ['pe-ia32', peHeader(0x14c), 'ia32'],
+        ['pe-arm64', peHeader(0xaa64), 'arm64'],
+        ['pe-bad-signature', peHeader(0x8664, 'NE\0\0'), null],
+        ['macho-x64', machOHeader(0xfeedfacf, 0x1000007), 'x64'],
+        ['macho-arm64', machOHeader(0xfeedfacf, 0x100000c), 'arm64'],
+        ['macho-ia32', machOHeader(0xfeedface, 0x7), 'ia32'],
+        ['macho-universal', machOHeader(0xbebafeca, 2), null],
+        ['script', '#!/bin/sh\necho hello\n', null],
+        ['short-elf', '\x7fELF', null],
+    ];
+    for (const [name, data, arch] of binaries) {
+        assert.equal(await readBinaryArch(await writeFile(name, data)), arch, name);
+    }
+    await assert.rejects(readBinaryArch(path.join(dir, 'missing')), { code: 'ENOENT' });
+});
+
+test('reports a missing or unavailable binary', async () => {
+    const missing = await checkBinary('ffmpeg', path.join(dir, 'ffmpeg'), { args: ['-version'], arch: 'x64' });
+    assert.deepEqual([missing.ok, missing.exists, missing.executable], [false, false, false]);
+    assert.deepEqual(missing.problems, [`ffmpeg not found at ${path.join(dir, 'ffmpeg')}.`]);
+
+    const unavailable = await checkBinary('whisper', null, { args: ['--help'], arch: 'x64' });
+    assert.deepEqual(unavailable.problems, ['No whisper binary is available for this platform.']);
+});
+
+test('reports a binary that is not executable or built for another architecture', { skip: process.platform === 'win32' && 'needs POSIX permissions' }, async () => {
+    const file = await writeFile('whisper-arm', elfHeader(183));
+
+    const report = await checkBinary('whisper', file, { args: ['--help'], arch: 'x64', source: 'option' });
+    assert.equal(report.ok, false);
+    assert.deepEqual([report.exists, report.executable, report.arch, report.archMatches, report.exitCode], [true, false, 'arm64', false, null]);
+    assert.deepEqual(report.problems, [`whisper is not executable (try: chmod +x ${file}).`, 'whisper is built for arm64, but this machine is x64.']);
+});
+
+test('runs the binary and reads its version', { skip: process.platform === 'win32' && 'needs POSIX shell scripts' }, async () => {
+    const ffmpeg = await writeFile('ffmpeg-ok', '#!/bin/sh\necho "ffmpeg version 6.1.1 Copyright (c) 2000-2023"\necho "built with gcc"\n', 0o755);
+    const report = await checkBinary('ffmpeg', ffmpeg, { args: ['-version'], arch: process.arch, source: 'path' });
+    assert.deepEqual([report.ok, report.executable, report.arch, report.archMatches, report.exitCode, report.version], [true, true, null, null, 0, '6.1.1']);
+    assert.equal(report.output, 'ffmpeg version 6.1.1 Copyright (c) 2000-2023\nbuilt with gcc');
+
+    const whisper = await writeFile('whisper-libs', '#!/bin/sh\necho "whisper: error while loading shared libraries: libwhisper.so.1: cannot open shared object file" >&2\nexit 127\n', 0o755);
+    const broken = await checkBinary('whisper', whisper, { args: ['--help'], arch: process.arch, env: { LD_LIBRARY_PATH: '/opt/lib' } });
+    assert.deepEqual(broken.missingLibraries, ['libwhisper.so.1']);
+    assert.deepEqual(broken.problems, ['whisper is missing shared libraries: libwhisper.so.1 (LD_LIBRARY_PATH=/opt/lib).']);
+
+    const failing = await checkBinary('ffprobe', await writeFile('ffprobe-fail', '#!/bin/sh\nexit 3\n', 0o755), { args: ['-version'], arch: process.arch });
+    assert.deepEqual(failing.problems, ['ffprobe exited with code 3 when run with -version.']);
+});
+
+test('reads the disk space through the closest existing directory', async () => {
+    const space = await getDiskSpace(path.join(dir, 'not', 'created', 'yet'));
+    assert.equal(space.path, dir);
+    assert.ok(space.total > 0 && space.free >= 0 && space.free <= space.total);
+});
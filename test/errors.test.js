@@ -0,0 +1,99 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Audio2TextJS from '../src/Audio2TextJS.js';
+import { Audio2TextError, AbortError, ModelNotFoundError, DownloadError, ConversionError, WhisperProcessError, UnsupportedPlatformError, BinaryNotFoundError, InputNotFoundError, UnsupportedLanguageError } from '../src/errors.js';
+import whisperDownloader from '../src/downloadWhisperModels.js';
+
+test('gives every error a name and a stable code', () => {
+    const errors = [
+        [new Audio2TextError('x'), 'Audio2TextError', 'AUDIO2TEXT_ERR'],
+        [new AbortError(), 'AbortError', 'ABORT_ERR'],
+        [new ModelNotFoundError('x', { model: 'tiny' }), 'ModelNotFoundError', 'MODEL_NOT_FOUND'],
+        [new DownloadError('x'), 'DownloadError', 'DOWNLOAD_FAILED'],
+        [new ConversionError('x'), 'ConversionError', 'CONVERSION_FAILED'],
+        [new WhisperProcessError('x'), 'WhisperProcessError', 'WHISPER_FAILED'],
+        [new UnsupportedPlatformError('x'), 'UnsupportedPlatformError', 'UNSUPPORTED_PLATFORM'],
+        [new BinaryNotFoundError('x'), 'BinaryNotFoundError', 'BINARY_NOT_FOUND'],
+        [new InputNotFoundError('x'), 'InputNotFoundError', 'INPUT_NOT_FOUND'],
+        [new UnsupportedLanguageError('x'), 'UnsupportedLanguageError', 'UNSUPPORTED_LANGUAGE'],
+    ];
+    for (const [error, name, code] of errors) {
+        assert.ok(error instanceof Audio2TextError && error instanceof Error, name);
+        assert.equal(error.name, name);
+        assert.equal(error.code, code);
+    }
+    assert.equal(new AbortError().message, 'The operation was aborted.');
+});
+
+test('keeps the details of the failure', () => {
+    const cause = new Error('socket hang up');
+    const download = new DownloadError('failed', { url: 'https://example.com/m.bin', model: 'tiny', cause });
+    const platform = new UnsupportedPlatformError('no whisper', { platform: 'darwin', arch: 'arm64', binary: 'whisper' });
+
+    assert.deepEqual([download.url, download.model, download.cause], ['https://example.com/m.bin', 'tiny', cause]);
+    assert.deepEqual([platform.platform, platform.arch, platform.binary], ['darwin', 'arm64', 'whisper']);
+    assert.deepEqual([new ModelNotFoundError('x', { model: 'tiny' }).modelFile, new ConversionError('x').input], [null, null]);
+});
+
+test('keeps the tail of the whisper stderr', () => {
+    const stderr = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`).join('\n');
+    const error = new WhisperProcessError('Whisper process failed with code 3.', { exitCode: 3, stderr: `${stderr}\n` });
+
+    assert.equal(error.exitCode, 3);
+    assert.equal(error.stderr.split('\n').length, 20);
+    assert.ok(error.stderr.startsWith('line 11\n') && error.stderr.endsWith('line 30'));
+    assert.equal(error.message, `Whisper process failed with code 3. stderr: ${error.stderr}`);
+    assert.equal(new WhisperProcessError('Failed.').message, 'Failed.');
+});
+
+test('reports models that cannot be installed with a ModelNotFoundError', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    try {
+        const invalid = await whisperDownloader.downloadModel('no-such-model', dir);
+        assert.equal(invalid.success, false);
+        assert.ok(invalid.error instanceof ModelNotFoundError);
+
+        const offline = await whisperDownloader.downloadModel('tiny', dir, { offline: true });
+        assert.equal(offline.success, false);
+        assert.ok(offline.error instanceof ModelNotFoundError);
+        assert.equal(offline.error.modelFile, path.join(dir, 'ggml-tiny.bin'));
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('reports what offline mode is missing with a BinaryNotFoundError or a ModelNotFoundError', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    const installed = { whisperPath: process.execPath, ffmpegPath: process.execPath, ffprobePath: process.execPath };
+    try {
+        const noWhisper = new Audio2TextJS({ ...installed, whisperPath: path.join(dir, 'whisper'), modelsDir: dir, offline: true, throwOnError: true });
+        await assert.rejects(noWhisper.runWhisper(path.join(dir, 'in.wav'), 'tiny', 'auto'), error => {
+            assert.ok(error instanceof BinaryNotFoundError);
+            assert.deepEqual([error.binary, error.path], ['whisper', path.join(dir, 'whisper')]);
+            assert.deepEqual(error.missing.map(artifact => `${artifact.type} ${artifact.name}`), ['binary whisper', 'model tiny']);
+            return true;
+        });
+
+        const noModel = new Audio2TextJS({ ...installed, modelsDir: dir, offline: true });
+        const result = await noModel.runWhisper(path.join(dir, 'in.wav'), 'tiny', 'auto');
+        assert.equal(result.success, false);
+        assert.ok(result.error instanceof ModelNotFoundError);
+        assert.equal(result.error.code, 'MODEL_NOT_FOUND');
+        assert.equal(result.error.modelFile, path.join(dir, 'ggml-tiny.bin'));
+        assert.deepEqual(result.missing, result.error.missing);
+        assert.match(result.message, /^Offline mode: missing model tiny/);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
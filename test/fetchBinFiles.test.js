@@ -0,0 +1,69 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import fetchBinFiles, { getBinFiles, verifyBinFiles } from '../src/fetchBinFiles.js';
+
+let dir;
+let messages;
+const logger = { log: message => messages.push(message), error: message => messages.push(message) };
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    messages = [];
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('lists the binaries of a platform with their dependencies', () => {
+    const paths = getBinFiles('linux', 'x64', ['whisper', 'ffmpeg']).map(entry => entry.path);
+
+    assert.ok(paths.includes('linux/whisper') && paths.includes('linux/ffmpeg') && paths.includes('linux/libwhisper.so'));
+    assert.equal(new Set(paths).size, paths.length);
+    assert.ok(!paths.includes('linux/ffmpeg-aarch64'));
+});
+
+test('reuses installed binaries that pass verification', async () => {
+    await fs.mkdir(path.join(dir, 'linux'));
+    await fs.writeFile(path.join(dir, 'linux', 'ffmpeg'), 'ffmpeg build');
+
+    const result = await fetchBinFiles('linux', 'x64', ['ffmpeg'], dir, { offline: true, logger });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.files.success, [{ filename: 'ffmpeg', path: path.join(dir, 'linux', 'ffmpeg'), status: 'exists' }]);
+});
+
+test('removes installed binaries that fail verification and downloads them again', async () => {
+    await fs.mkdir(path.join(dir, 'linux'));
+    await fs.writeFile(path.join(dir, 'linux', 'ffmpeg'), '');
+
+    const result = await fetchBinFiles('linux', 'x64', ['ffmpeg'], dir, { offline: true, logger });
+    assert.equal(result.success, false);
+    assert.equal(existsSync(path.join(dir, 'linux', 'ffmpeg')), false);
+    assert.deepEqual(result.files.failed.map(failure => failure.filename), ['ffmpeg']);
+    assert.match(result.files.failed[0].error, /^Offline mode: not downloading https:/);
+    assert.ok(messages.some(message => /^ffmpeg failed verification \(.* is empty\.\), downloading it again\.$/.test(message)));
+});
+
+test('reports the size and hash of installed binaries', async () => {
+    await fs.mkdir(path.join(dir, 'linux'));
+    await fs.writeFile(path.join(dir, 'linux', 'ffprobe'), 'hello world');
+
+    const result = await verifyBinFiles('linux', 'x64', ['ffprobe', 'ffmpeg'], dir);
+    assert.equal(result.success, false);
+    assert.deepEqual(result.files.map(file => [file.filename, file.success, file.size, file.sha256]), [
+        ['ffprobe', true, 11, 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9'],
+        ['ffmpeg', false, null, null],
+    ]);
+});
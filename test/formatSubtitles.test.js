@@ -0,0 +1,71 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTimestamp, formatLrcTimestamp, wrapText, buildCues, formatSrt, formatVtt, formatKaraokeVtt, formatLrc } from '../src/formatSubtitles.js';
+
+const segments = [
+    { start: 0, end: 1500, text: 'Hello there.' },
+    { start: 61000, end: 3723456, text: 'General Kenobi.', speaker: 'Speaker 2' },
+];
+
+test('formats timestamps', () => {
+    assert.equal(formatTimestamp(3723456, ','), '01:02:03,456');
+    assert.equal(formatTimestamp(-5, '.'), '00:00:00.000');
+    assert.equal(formatLrcTimestamp(3723456), '62:03.45');
+});
+
+test('wraps text without splitting words', () => {
+    assert.deepEqual(wrapText('one two three four', 9), ['one two', 'three', 'four']);
+    assert.deepEqual(wrapText('incomprehensibilities', 5), ['incomprehensibilities']);
+    assert.deepEqual(wrapText('   ', 5), []);
+});
+
+test('splits long segments into cues proportionally', () => {
+    const cues = buildCues([{ start: 0, end: 1000, text: 'aaaa bbbb cccc dddd' }], { maxLineLength: 4, maxLines: 2 });
+
+    assert.deepEqual(cues, [
+        { start: 0, end: 500, lines: ['aaaa', 'bbbb'], speaker: null },
+        { start: 500, end: 1000, lines: ['cccc', 'dddd'], speaker: null },
+    ]);
+});
+
+test('renders SRT with speaker prefixes', () => {
+    assert.equal(formatSrt(segments), '1\n00:00:00,000 --> 00:00:01,500\nHello there.\n\n2\n00:01:01,000 --> 01:02:03,456\nSpeaker 2: General Kenobi.\n');
+});
+
+test('renders WebVTT with voice spans', () => {
+    assert.equal(formatVtt(segments), 'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello there.\n\n00:01:01.000 --> 01:02:03.456\n<v Speaker 2>General Kenobi.\n');
+});
+
+test('renders karaoke WebVTT with word timestamps', () => {
+    const words = [{ text: 'Hello', start: 0, end: 400 }, { text: 'there.', start: 500, end: 1500 }];
+    const vtt = formatKaraokeVtt([{ ...segments[0], words }]);
+
+    assert.equal(vtt, 'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\n<c>Hello</c> <00:00:00.500><c>there.</c>\n');
+    assert.equal(formatVtt([{ ...segments[0], words }], { words: true }), vtt);
+});
+
+test('escapes the WebVTT cue text', () => {
+    const escaped = [{ start: 0, end: 1000, text: 'Tom & Jerry <laughs> 2 > 1', speaker: 'A<B>' }];
+    const words = [{ text: 'Tom', start: 0, end: 300 }, { text: '&', start: 300, end: 500 }, { text: '<Jerry>', start: 500, end: 1000 }];
+
+    assert.equal(formatVtt(escaped), 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n<v A&lt;B&gt;>Tom &amp; Jerry &lt;laughs&gt; 2 &gt; 1\n');
+    assert.equal(
+        formatKaraokeVtt([{ ...escaped[0], speaker: null, words }]),
+        'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n<c>Tom</c> <00:00:00.300><c>&amp;</c> <00:00:00.500><c>&lt;Jerry&gt;</c>\n'
+    );
+});
+
+test('renders LRC, enhanced when words are available', () => {
+    const words = [{ text: 'Hello', start: 0, end: 400 }, { text: 'there.', start: 500, end: 1500 }];
+
+    assert.equal(formatLrc(segments), '[00:00.00]Hello there.\n[01:01.00]Speaker 2: General Kenobi.\n');
+    assert.equal(formatLrc([{ ...segments[0], words }]), '[00:00.00]<00:00.00> Hello <00:00.50> there. <00:01.50>\n');
+});
@@ -0,0 +1,237 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { isEnvEnabled, isOffline, getProxyAgent, downloadFile } from '../src/httpDownload.js';
+import whisperDownloader from '../src/downloadWhisperModels.js';
+import { DownloadError } from '../src/errors.js';
+
+const body = randomBytes(64 * 1024);
+let server;
+let baseUrl;
+let handle;
+let requests;
+let dir;
+
+/**
+ * Answers a request with `body`, honouring its range header like a static file server.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function sendBody(req, res) {
+    const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const start = match ? Number(match[1]) : 0;
+    if (start >= body.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+        res.end();
+    } else if (match) {
+        res.writeHead(206, { 'Content-Length': body.length - start, 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}` });
+        res.end(body.subarray(start));
+    } else {
+        res.writeHead(200, { 'Content-Length': body.length });
+        res.end(body);
+    }
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, range: req.headers.range || null, at: Date.now() });
+        handle(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(async () => {
+    handle = sendBody;
+    requests = [];
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('downloads a file and reports progress', async () => {
+    const dest = path.join(dir, 'file.bin');
+    const progress = [];
+    const result = await downloadFile(`${baseUrl}/file.bin`, dest, { size: body.length, onProgress: update => progress.push(update), env: {} });
+
+    assert.equal(result.size, body.length);
+    assert.deepEqual(await fs.readFile(dest), body);
+    const last = progress[progress.length - 1];
+    assert.equal(last.bytes, body.length);
+    assert.equal(last.total, body.length);
+    assert.equal(typeof last.rate, 'number');
+});
+
+test('resumes a partial download with a range request (206)', async () => {
+    const dest = path.join(dir, 'file.bin');
+    await fs.writeFile(`${dest}.partial`, body.subarray(0, 1000));
+    await downloadFile(`${baseUrl}/file.bin`, dest, { env: {} });
+
+    assert.deepEqual(requests.map(request => request.range), ['bytes=1000-']);
+    assert.deepEqual(await fs.readFile(dest), body);
+    await assert.rejects(fs.stat(`${dest}.partial`), { code: 'ENOENT' });
+});
+
+test('keeps a complete partial download when the server answers 416', async () => {
+    const dest = path.join(dir, 'file.bin');
+    await fs.writeFile(`${dest}.partial`, body);
+    await downloadFile(`${baseUrl}/file.bin`, dest, { env: {} });
+
+    assert.deepEqual(requests.map(request => request.range), [`bytes=${body.length}-`]);
+    assert.deepEqual(await fs.readFile(dest), body);
+});
+
+test('starts over when a 416 does not match the partial download', async () => {
+    const dest = path.join(dir, 'file.bin');
+    await fs.writeFile(`${dest}.partial`, Buffer.concat([body, body]));
+    await downloadFile(`${baseUrl}/file.bin`, dest, { retryDelay: 1, env: {} });
+
+    assert.deepEqual(requests.map(request => request.range), [`bytes=${body.length * 2}-`, null]);
+    assert.deepEqual(await fs.readFile(dest), body);
+});
+
+test('retries server errors with exponential backoff', async () => {
+    let failures = 2;
+    handle = (req, res) => {
+        if (failures-- > 0) {
+            res.writeHead(503);
+            res.end();
+        } else {
+            sendBody(req, res);
+        }
+    };
+    const dest = path.join(dir, 'file.bin');
+    await downloadFile(`${baseUrl}/file.bin`, dest, { retryDelay: 50, env: {} });
+
+    assert.equal(requests.length, 3);
+    assert.ok(requests[1].at - requests[0].at >= 45, 'first retry waits retryDelay');
+    assert.ok(requests[2].at - requests[1].at >= 95, 'second retry waits twice as long');
+    assert.deepEqual(await fs.readFile(dest), body);
+});
+
+test('resumes after the connection closes early', async () => {
+    let cut = true;
+    handle = (req, res) => {
+        if (!cut) return sendBody(req, res);
+        cut = false;
+        res.writeHead(200, { 'Content-Length': body.length });
+        res.write(body.subarray(0, 5000), () => res.destroy());
+    };
+    const dest = path.join(dir, 'file.bin');
+    await downloadFile(`${baseUrl}/file.bin`, dest, { retryDelay: 1, env: {} });
+
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].range, /^bytes=\d+-$/);
+    assert.deepEqual(await fs.readFile(dest), body);
+});
+
+test('does not retry client errors and leaves nothing behind', async () => {
+    handle = (req, res) => {
+        res.writeHead(404);
+        res.end();
+    };
+    const dest = path.join(dir, 'file.bin');
+    await assert.rejects(downloadFile(`${baseUrl}/file.bin`, dest, { retryDelay: 1, env: {} }), { status: 404 });
+
+    assert.equal(requests.length, 1);
+    assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('gives up after the retries', async () => {
+    handle = (req, res) => {
+        res.writeHead(500);
+        res.end();
+    };
+    const dest = path.join(dir, 'file.bin');
+    await assert.rejects(downloadFile(`${baseUrl}/file.bin`, dest, { retries: 2, retryDelay: 1, env: {} }), { status: 500 });
+    assert.equal(requests.length, 3);
+});
+
+test('rejects a download that fails verification', async () => {
+    const dest = path.join(dir, 'file.bin');
+    await assert.rejects(downloadFile(`${baseUrl}/file.bin`, dest, { size: body.length + 1, env: {} }), /failed verification/);
+    assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('does not download in offline mode', async () => {
+    assert.equal(isOffline({ AUDIO2TEXT_OFFLINE: '1' }), true);
+    assert.equal(isOffline({ AUDIO2TEXT_OFFLINE: 'false' }), false);
+    assert.equal(isOffline({}), false);
+    assert.equal(isEnvEnabled('AUDIO2TEXT_SKIP_DOWNLOAD', { AUDIO2TEXT_SKIP_DOWNLOAD: ' Yes ' }), true);
+    assert.equal(isEnvEnabled('AUDIO2TEXT_SKIP_DOWNLOAD', { AUDIO2TEXT_SKIP_DOWNLOAD: '0' }), false);
+    await assert.rejects(downloadFile(`${baseUrl}/file.bin`, path.join(dir, 'file.bin'), { env: { AUDIO2TEXT_OFFLINE: '1' } }), /Offline mode/);
+    assert.equal(requests.length, 0);
+});
+
+test('selects the proxy from the environment and honours NO_PROXY', () => {
+    const env = { HTTPS_PROXY: 'http://proxy.example:3128', NO_PROXY: 'localhost, .internal.example:443' };
+    assert.ok(getProxyAgent('https://huggingface.co/model.bin', env));
+    assert.equal(getProxyAgent('http://huggingface.co/model.bin', env), undefined);
+    assert.equal(getProxyAgent('https://localhost/model.bin', env), undefined);
+    assert.equal(getProxyAgent('https://models.internal.example/model.bin', env), undefined);
+    assert.ok(getProxyAgent('https://models.internal.example:8443/model.bin', env));
+    assert.equal(getProxyAgent('https://huggingface.co/model.bin', { ...env, no_proxy: '*', NO_PROXY: undefined }), undefined);
+});
+
+test('downloads through the proxy unless NO_PROXY excludes the host', async () => {
+    const tunnels = [];
+    const proxy = http.createServer();
+    proxy.on('connect', (req, socket, head) => {
+        tunnels.push(req.url);
+        const [host, port] = req.url.split(':');
+        const upstream = net.connect(Number(port), host, () => {
+            socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(socket);
+            socket.pipe(upstream);
+        });
+        upstream.on('error', () => socket.destroy());
+        socket.on('error', () => upstream.destroy());
+    });
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+    const proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+    try {
+        await downloadFile(`${baseUrl}/file.bin`, path.join(dir, 'proxied.bin'), { env: { HTTP_PROXY: proxyUrl } });
+        assert.deepEqual(tunnels, [new URL(baseUrl).host]);
+
+        await downloadFile(`${baseUrl}/file.bin`, path.join(dir, 'direct.bin'), { env: { HTTP_PROXY: proxyUrl, NO_PROXY: '127.0.0.1' } });
+        assert.equal(tunnels.length, 1);
+        assert.deepEqual(await fs.readFile(path.join(dir, 'proxied.bin')), body);
+        assert.deepEqual(await fs.readFile(path.join(dir, 'direct.bin')), body);
+    } finally {
+        proxy.closeAllConnections();
+        await new Promise(resolve => proxy.close(resolve));
+    }
+});
+
+test('downloads built-in models from the mirror', async () => {
+    handle = (req, res) => {
+        res.writeHead(404);
+        res.end();
+    };
+    const result = await whisperDownloader.downloadModel('tiny', dir, { mirror: `${baseUrl}/mirror/`, retries: 0, offline: false });
+
+    assert.deepEqual(requests.map(request => request.url), ['/mirror/ggml-tiny.bin']);
+    assert.equal(result.success, false);
+    assert.ok(result.error instanceof DownloadError);
+    assert.equal(result.error.url, `${baseUrl}/mirror/ggml-tiny.bin`);
+});
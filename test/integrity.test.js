@@ -0,0 +1,61 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { hashFile, verifyFile } from '../src/integrity.js';
+
+// SHA-256 of 'hello world'
+const HELLO_SHA256 = 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9';
+
+let dir;
+let file;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    file = path.join(dir, 'hello.bin');
+    await fs.writeFile(file, 'hello world');
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('hashes a file', async () => {
+    assert.equal(await hashFile(file), HELLO_SHA256);
+    await assert.rejects(hashFile(path.join(dir, 'missing.bin')), { code: 'ENOENT' });
+});
+
+test('accepts a file matching its size and hash', async () => {
+    assert.deepEqual(await verifyFile(file, { size: 11, sha256: HELLO_SHA256 }), { success: true, message: `'${file}' is valid.`, size: 11, sha256: HELLO_SHA256 });
+    assert.equal((await verifyFile(file, { sha256: HELLO_SHA256.toUpperCase() })).success, true);
+});
+
+test('only checks what is known', async () => {
+    assert.deepEqual(await verifyFile(file), { success: true, message: `'${file}' is valid.`, size: 11, sha256: null });
+    assert.equal((await verifyFile(file, { hash: true })).sha256, HELLO_SHA256);
+    assert.deepEqual(await verifyFile(file, { size: 11, sha256: '0'.repeat(64), hash: false }), { success: true, message: `'${file}' is valid.`, size: 11, sha256: null });
+});
+
+test('refuses missing, empty, truncated and tampered files', async () => {
+    const empty = path.join(dir, 'empty.bin');
+    await fs.writeFile(empty, '');
+
+    assert.deepEqual(await verifyFile(path.join(dir, 'missing.bin')), { success: false, message: `'${path.join(dir, 'missing.bin')}' does not exist.`, size: null, sha256: null });
+    assert.equal((await verifyFile(dir)).success, false);
+    assert.deepEqual(await verifyFile(empty), { success: false, message: `'${empty}' is empty.`, size: 0, sha256: null });
+    assert.deepEqual(await verifyFile(file, { size: 12 }), { success: false, message: `'${file}' has 11 bytes, expected 12.`, size: 11, sha256: null });
+
+    const tampered = await verifyFile(file, { size: 11, sha256: '0'.repeat(64) });
+    assert.equal(tampered.success, false);
+    assert.equal(tampered.sha256, HELLO_SHA256);
+    assert.equal(tampered.message, `'${file}' has SHA-256 ${HELLO_SHA256}, expected ${'0'.repeat(64)}.`);
+});
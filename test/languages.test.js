@@ -0,0 +1,46 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSupportedLanguage, validateLanguage, rankLanguages } from '../src/languages.js';
+import { UnsupportedLanguageError } from '../src/errors.js';
+
+test('accepts language codes, names and auto', () => {
+    for (const language of ['auto', 'en', 'ar', 'yue', 'arabic']) {
+        assert.doesNotThrow(() => validateLanguage(language), language);
+    }
+    assert.equal(isSupportedLanguage('cantonese'), true);
+    assert.equal(isSupportedLanguage('auto'), false);
+});
+
+test('rejects unsupported languages with an UnsupportedLanguageError', () => {
+    for (const language of ['xx', 'EN', '', null, 42, 'toString']) {
+        assert.throws(() => validateLanguage(language), error => {
+            assert.ok(error instanceof UnsupportedLanguageError);
+            assert.equal(error.language, language);
+            assert.match(error.message, /^Unsupported language: .*Use 'auto' or one of: en, zh, /);
+            return true;
+        });
+    }
+});
+
+test('ranks the languages detected in several windows', () => {
+    const candidates = rankLanguages([
+        { language: 'en', probability: 0.9 },
+        { language: 'ar', probability: 0.6 },
+        { language: 'en', probability: 0.3 },
+        { language: 'ar', probability: 0.9 },
+    ]);
+
+    assert.deepEqual(candidates, [
+        { language: 'ar', name: 'arabic', probability: 0.375 },
+        { language: 'en', name: 'english', probability: 0.3 },
+    ]);
+    assert.deepEqual(rankLanguages([{ language: 'xx', probability: 0.5 }]), [{ language: 'xx', name: 'xx', probability: 0.5 }]);
+});
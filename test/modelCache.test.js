@@ -0,0 +1,163 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { LOCK_SUFFIX, getModelsDir, isLocked, acquireLock, withLock, markUsed, listCachedModels, pruneModels } from '../src/modelCache.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+let dir;
+
+/**
+ * Writes a file whose access and modification times are `age` milliseconds in the past.
+ * @param {string} file - Path of the file.
+ * @param {number} age - Age in milliseconds.
+ * @returns {Promise<void>}
+ */
+async function writeOldFile(file, age) {
+    await fs.writeFile(file, 'model');
+    const time = new Date(Date.now() - age);
+    await fs.utimes(file, time, time);
+}
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('resolves the cache directory', () => {
+    assert.equal(getModelsDir({ modelsDir: 'models', env: { AUDIO2TEXT_MODELS_DIR: '/env' } }), path.resolve('models'));
+    assert.equal(getModelsDir({ env: { AUDIO2TEXT_MODELS_DIR: '/env', XDG_CACHE_HOME: '/xdg' } }), path.resolve('/env'));
+    assert.equal(getModelsDir({ env: { XDG_CACHE_HOME: '/xdg' }, platform: 'linux' }), path.join('/xdg', 'audio2textjs'));
+    assert.equal(getModelsDir({ env: {}, platform: 'linux' }), path.join(os.homedir(), '.cache', 'audio2textjs'));
+    assert.equal(getModelsDir({ env: { LOCALAPPDATA: 'C:\\Local' }, platform: 'win32' }), path.join('C:\\Local', 'audio2textjs'));
+});
+
+test('runs one lock holder at a time', async () => {
+    const file = path.join(dir, 'ggml-tiny.bin');
+    const events = [];
+    const hold = (name) => withLock(file, async () => {
+        events.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        events.push(`${name} end`);
+    }, { interval: 10 });
+
+    await Promise.all([hold('a'), hold('b')]);
+
+    assert.deepEqual(events, ['a start', 'a end', 'b start', 'b end']);
+    assert.equal(await isLocked(file), false);
+});
+
+test('releases the lock when the function throws', async () => {
+    const file = path.join(dir, 'ggml-tiny.bin');
+
+    await assert.rejects(withLock(file, async () => {
+        assert.equal(await isLocked(file), true);
+        throw new Error('boom');
+    }), /boom/);
+    await assert.rejects(fs.stat(`${file}${LOCK_SUFFIX}`), { code: 'ENOENT' });
+});
+
+test('takes over a stale lock', async () => {
+    const file = path.join(dir, 'ggml-tiny.bin');
+    await writeOldFile(`${file}${LOCK_SUFFIX}`, 120000);
+
+    assert.equal(await isLocked(file), false);
+    const release = await acquireLock(file, { interval: 10 });
+    assert.equal(await isLocked(file), true);
+    await release();
+    assert.equal(await isLocked(file), false);
+});
+
+test('lets only one of several waiters take over a stale lock', async () => {
+    const file = path.join(dir, 'ggml-tiny.bin');
+    await writeOldFile(`${file}${LOCK_SUFFIX}`, 120000);
+    let holders = 0;
+    let most = 0;
+    const hold = () => withLock(file, async () => {
+        most = Math.max(most, ++holders);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        holders--;
+    }, { interval: 5 });
+
+    await Promise.all(Array.from({ length: 5 }, hold));
+
+    assert.equal(most, 1);
+    assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('does not release a lock that was taken over', async () => {
+    const file = path.join(dir, 'ggml-tiny.bin');
+    const lockFile = `${file}${LOCK_SUFFIX}`;
+    const release = await acquireLock(file);
+    await fs.writeFile(lockFile, JSON.stringify({ pid: 1, token: 'other' }));
+
+    await release();
+    assert.equal(JSON.parse(await fs.readFile(lockFile, 'utf8')).token, 'other');
+});
+
+test('stops waiting for a lock when aborted', async () => {
+    const file = path.join(dir, 'ggml-tiny.bin');
+    const release = await acquireLock(file);
+    try {
+        await assert.rejects(acquireLock(file, { signal: AbortSignal.timeout(50), interval: 10 }), { name: 'AbortError' });
+    } finally {
+        await release();
+    }
+});
+
+test('lists cached models with their state', async () => {
+    await writeOldFile(path.join(dir, 'ggml-tiny.bin'), DAY);
+    await fs.writeFile(path.join(dir, 'ggml-base.bin.partial'), 'part');
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'not a model');
+    const release = await acquireLock(path.join(dir, 'ggml-base.bin'));
+    try {
+        const models = await listCachedModels(dir);
+
+        assert.deepEqual(models.map(model => [model.name, model.filename, model.partial, model.locked]), [
+            ['base', 'ggml-base.bin.partial', true, true],
+            ['tiny', 'ggml-tiny.bin', false, false],
+        ]);
+        assert.equal(models[1].size, 5);
+        assert.deepEqual(await listCachedModels(path.join(dir, 'missing')), []);
+    } finally {
+        await release();
+    }
+});
+
+test('marks models as used', async () => {
+    const file = path.join(dir, 'ggml-tiny.bin');
+    await writeOldFile(file, 10 * DAY);
+    await markUsed(file);
+
+    const [model] = await listCachedModels(dir);
+    assert.ok(Date.now() - model.lastUsedAt.getTime() < DAY);
+    assert.ok(Date.now() - model.modifiedAt.getTime() >= 10 * DAY - 1000);
+});
+
+test('prunes models that were not used recently', async () => {
+    await writeOldFile(path.join(dir, 'ggml-tiny.bin'), 40 * DAY);
+    await writeOldFile(path.join(dir, 'ggml-base.bin'), 40 * DAY);
+    await writeOldFile(path.join(dir, 'ggml-small.bin'), DAY);
+
+    const dryRun = await pruneModels({ dir, keep: ['base'], dryRun: true });
+    assert.deepEqual(dryRun.removed.map(model => model.filename), ['ggml-tiny.bin']);
+    assert.equal(dryRun.message, 'Would remove 1 file (5 bytes).');
+    assert.equal((await fs.readdir(dir)).length, 3);
+
+    const result = await pruneModels({ dir, keep: ['base'] });
+    assert.equal(result.freed, 5);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['ggml-base.bin', 'ggml-small.bin']);
+    await assert.rejects(pruneModels({ dir, olderThan: -1 }), RangeError);
+});
@@ -0,0 +1,84 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { BUILTIN_MODELS, getModel, getModels, isModelFile, resolveModel, getModelUrl, registerModel, unregisterModel, formatModelsTable } from '../src/modelRegistry.js';
+
+afterEach(() => {
+    for (const entry of getModels()) {
+        if (!entry.builtin) unregisterModel(entry.name);
+    }
+});
+
+test('describes the built-in models', () => {
+    const tiny = getModel('tiny');
+
+    assert.equal(tiny.filename, 'ggml-tiny.bin');
+    assert.equal(tiny.url, 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-tiny.bin');
+    assert.equal(tiny.languages, 'multilingual');
+    assert.equal(getModel('base.en').languages, 'en');
+    assert.equal(getModel('small.en-tdrz').diarize, true);
+    assert.ok(getModel('large-v3-turbo'));
+    assert.ok(getModel('medium-q5_0'));
+    assert.ok(Object.isFrozen(tiny));
+    assert.ok(BUILTIN_MODELS.every(entry => entry.builtin && entry.disk));
+    assert.equal(getModel('nope'), null);
+});
+
+test('resolves absolute paths to local model entries', () => {
+    const file = path.resolve('/models/ggml-custom.en.bin');
+
+    assert.equal(isModelFile(file), true);
+    assert.equal(isModelFile('ggml-custom.bin'), false);
+    assert.deepEqual(
+        [resolveModel(file).file, resolveModel(file).filename, resolveModel(file).languages, resolveModel(file).url],
+        [file, 'ggml-custom.en.bin', 'en', null]
+    );
+    assert.equal(resolveModel('ggml-custom.bin'), null);
+    assert.equal(resolveModel(42), null);
+});
+
+test('builds download URLs, with a mirror for built-in models only', () => {
+    const custom = registerModel('custom', { url: 'https://example.com/custom.bin' });
+
+    assert.equal(getModelUrl(getModel('base'), { mirror: 'https://mirror.example/models/', env: {} }), 'https://mirror.example/models/ggml-base.bin');
+    assert.equal(getModelUrl(getModel('base'), { env: { AUDIO2TEXT_MODELS_MIRROR: 'http://local' } }), 'http://local/ggml-base.bin');
+    assert.equal(getModelUrl(getModel('base'), { env: {} }), getModel('base').url);
+    assert.equal(getModelUrl(custom, { mirror: 'https://mirror.example' }), 'https://example.com/custom.bin');
+});
+
+test('registers and unregisters custom models', () => {
+    const entry = registerModel('my-model.en', { url: 'https://example.com/model.bin', sha256: 'A'.repeat(64), size: 10 });
+
+    assert.equal(entry.filename, 'ggml-my-model.en.bin');
+    assert.equal(entry.languages, 'en');
+    assert.equal(entry.sha256, 'a'.repeat(64));
+    assert.equal(resolveModel('my-model.en'), entry);
+    assert.equal(getModels().at(-1), entry);
+    assert.equal(unregisterModel('my-model.en'), true);
+    assert.equal(getModel('my-model.en'), null);
+    assert.equal(unregisterModel('my-model.en'), false);
+});
+
+test('rejects invalid registrations', () => {
+    assert.throws(() => registerModel('tiny', { url: 'https://example.com/model.bin' }), /built-in model/);
+    assert.throws(() => registerModel('bad name', { url: 'https://example.com/model.bin' }), RangeError);
+    assert.throws(() => registerModel('both', { url: 'https://example.com/model.bin', file: '/model.bin' }), /either a file or a url/);
+    assert.throws(() => registerModel('ftp', { url: 'ftp://example.com/model.bin' }), /http or https/);
+    assert.throws(() => registerModel('hash', { url: 'https://example.com/model.bin', sha256: 'abc' }), /sha256/);
+    assert.throws(() => unregisterModel('tiny'), RangeError);
+});
+
+test('formats the models table', () => {
+    const table = formatModelsTable([getModel('tiny')]).split('\n');
+
+    assert.match(table[0], /^\| Model +\| Disk +\| RAM +\|$/);
+    assert.match(table[2], /^\| tiny +\| 75 MB +\|/);
+});
@@ -0,0 +1,72 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimestamp, parseProgressLine, parseSegmentLine, parseLanguageLine } from '../src/parseWhisperOutput.js';
+
+test('converts whisper timestamps to milliseconds', () => {
+    assert.equal(parseTimestamp('00:00:02.500'), 2500);
+    assert.equal(parseTimestamp('01:02:03,004'), 3723004);
+    assert.equal(parseTimestamp('100:00:00.000'), 360000000);
+});
+
+test('parses progress lines', () => {
+    assert.equal(parseProgressLine('whisper_print_progress_callback: progress =  45%'), 45);
+    assert.equal(parseProgressLine('progress=5%'), 5);
+    assert.equal(parseProgressLine('whisper_print_progress_callback: progress = 105%'), 100);
+});
+
+test('ignores lines that are not progress lines', () => {
+    for (const line of ['', 'whisper_init_from_file_with_params_no_state: loading model', 'progress = %', 'progress = 45', 'progress: 45%']) {
+        assert.equal(parseProgressLine(line), null, line);
+    }
+});
+
+test('parses segment lines', () => {
+    assert.deepEqual(parseSegmentLine('[00:00:00.000 --> 00:00:02.000]   Hello world.'), { start: 0, end: 2000, text: 'Hello world.' });
+    assert.deepEqual(parseSegmentLine('  [00:01:00,500 --> 00:01:02,250]  مرحبا  \r'), { start: 60500, end: 62250, text: 'مرحبا' });
+    assert.deepEqual(parseSegmentLine('[00:00:01.000 --> 00:00:01.000]'), { start: 1000, end: 1000, text: '' });
+});
+
+test('marks the segment before a speaker turn', () => {
+    assert.deepEqual(parseSegmentLine('[00:00:02.000 --> 00:00:04.000]   How are you? [SPEAKER_TURN]'), { start: 2000, end: 4000, text: 'How are you?', speakerTurnNext: true });
+    assert.deepEqual(parseSegmentLine('[00:00:04.000 --> 00:00:05.000]  [SPEAKER_TURN]'), { start: 4000, end: 5000, text: '', speakerTurnNext: true });
+    assert.deepEqual(parseSegmentLine('[00:00:05.000 --> 00:00:06.000]   [SPEAKER_TURN] Fine.'), { start: 5000, end: 6000, text: '[SPEAKER_TURN] Fine.' });
+});
+
+test('ignores malformed segment lines', () => {
+    for (const line of [
+        '',
+        'Hello world.',
+        '[00:00:00.000 -> 00:00:02.000]   Hello world.',
+        '[00:00:00 --> 00:00:02]   Hello world.',
+        '[0:0:0.000 --> 00:00:02.000]   Hello world.',
+        '00:00:00.000 --> 00:00:02.000   Hello world.',
+        'text [00:00:00.000 --> 00:00:02.000] Hello world.',
+    ]) {
+        assert.equal(parseSegmentLine(line), null, line);
+    }
+});
+
+test('finds the detected language in the whisper stderr', () => {
+    const stderr = [
+        'whisper_init_from_file_with_params_no_state: loading model from \'ggml-base.bin\'',
+        'whisper_full_with_state: auto-detected language: ar (p = 0.912345)',
+        'whisper_print_timings:     total time =   512.00 ms',
+    ].join('\n');
+
+    assert.deepEqual(parseLanguageLine(stderr), { language: 'ar', probability: 0.912345 });
+    assert.deepEqual(parseLanguageLine('auto-detected language: haw (p=1)'), { language: 'haw', probability: 1 });
+});
+
+test('returns null when whisper reports no language', () => {
+    assert.equal(parseLanguageLine(''), null);
+    assert.equal(parseLanguageLine('whisper_full_with_state: failed to auto-detect language'), null);
+    assert.equal(parseLanguageLine('auto-detected language: ar'), null);
+});
@@ -0,0 +1,46 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const POSTINSTALL = fileURLToPath(new URL('../src/postinstall.js', import.meta.url));
+
+/**
+ * Runs the postinstall script with the given switches on top of an environment without them.
+ * @param {Object} env - Environment variables.
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+function run(env) {
+    const base = { ...process.env };
+    delete base.AUDIO2TEXT_SKIP_DOWNLOAD;
+    delete base.AUDIO2TEXT_OFFLINE;
+    return new Promise(resolve => {
+        execFile(process.execPath, [POSTINSTALL], { env: { ...base, ...env }, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+test('skips the download when AUDIO2TEXT_SKIP_DOWNLOAD is set', async () => {
+    for (const value of ['1', 'true', ' yes ']) {
+        const { code, stdout, stderr } = await run({ AUDIO2TEXT_SKIP_DOWNLOAD: value, AUDIO2TEXT_OFFLINE: '1' });
+        assert.equal(code, 0);
+        assert.equal(stdout, 'AUDIO2TEXT_SKIP_DOWNLOAD is set, skipping the download of the whisper, ffmpeg and ffprobe binaries.\n');
+        assert.equal(stderr, '');
+    }
+});
+
+test('skips the download in offline mode', async () => {
+    const { code, stdout, stderr } = await run({ AUDIO2TEXT_SKIP_DOWNLOAD: '0', AUDIO2TEXT_OFFLINE: 'TRUE' });
+    assert.equal(code, 0);
+    assert.equal(stdout, 'AUDIO2TEXT_OFFLINE is set, skipping the download of the binaries. Install them with: audio2textjs install-from-bundle <file>\n');
+    assert.equal(stderr, '');
+});
@@ -0,0 +1,64 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getBundledPath, findInPath, resolveBinary, getBinaryEnv } from '../src/resolveBinaries.js';
+
+const binDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'bin');
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    await fs.writeFile(path.join(dir, 'whisper-cli'), '#!/bin/sh\n', { mode: 0o755 });
+    await fs.writeFile(path.join(dir, 'ffprobe'), 'not executable', { mode: 0o644 });
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('locates the bundled binaries of each platform', () => {
+    assert.equal(getBundledPath('whisper', { platform: 'linux', arch: 'x64' }), path.join(binDir, 'linux', 'whisper'));
+    assert.equal(getBundledPath('ffmpeg', { platform: 'linux', arch: 'arm64' }), path.join(binDir, 'linux', 'ffmpeg-aarch64'));
+    assert.equal(getBundledPath('ffprobe', { platform: 'win32', arch: 'x64' }), path.join(binDir, 'win32', 'ffprobe.exe'));
+    assert.equal(getBundledPath('whisper', { platform: 'darwin', arch: 'arm64' }), null);
+    assert.equal(getBundledPath('whisper', { platform: 'linux', arch: 'ia32' }), null);
+});
+
+test('finds executable commands on PATH', { skip: process.platform === 'win32' }, () => {
+    const env = { PATH: ['/nonexistent', dir].join(':') };
+
+    assert.equal(findInPath('whisper-cli', { env, platform: 'linux' }), path.join(dir, 'whisper-cli'));
+    assert.equal(findInPath('ffprobe', { env, platform: 'linux' }), null);
+    assert.equal(findInPath('ffmpeg', { env: {}, platform: 'linux' }), null);
+});
+
+test('resolves the configured path, then the environment, then PATH', { skip: process.platform === 'win32' }, () => {
+    const env = { AUDIO2TEXT_FFMPEG_PATH: 'tools/ffmpeg', PATH: dir };
+    const darwin = { platform: 'darwin', arch: 'arm64' };
+
+    assert.deepEqual(resolveBinary('ffmpeg', { path: '/opt/ffmpeg', env, ...darwin }), { path: path.resolve('/opt/ffmpeg'), source: 'option' });
+    assert.deepEqual(resolveBinary('ffmpeg', { env, ...darwin }), { path: path.resolve('tools/ffmpeg'), source: 'env' });
+    assert.deepEqual(resolveBinary('whisper', { env, ...darwin }), { path: path.join(dir, 'whisper-cli'), source: 'path' });
+    assert.deepEqual(resolveBinary('ffprobe', { env, ...darwin }), { path: null, source: null });
+});
+
+test('puts the bundled libraries on the library path of bundled Linux binaries only', () => {
+    const libraryDir = path.join(binDir, 'linux');
+    const bundled = getBinaryEnv(path.join(libraryDir, 'whisper'), { env: { LD_LIBRARY_PATH: '/usr/lib', HOME: '/home/me' }, platform: 'linux' });
+
+    assert.equal(bundled.LD_LIBRARY_PATH, `${libraryDir}:/usr/lib`);
+    assert.equal(bundled.HOME, '/home/me');
+    assert.equal(getBinaryEnv('/usr/bin/ffmpeg', { env: {}, platform: 'linux' }).LD_LIBRARY_PATH, undefined);
+    assert.equal(getBinaryEnv(path.join(libraryDir, 'whisper'), { env: {}, platform: 'win32' }).LD_LIBRARY_PATH, undefined);
+});
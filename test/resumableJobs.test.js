@@ -0,0 +1,33 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import Audio2TextJS from '../src/Audio2TextJS.js';
+
+const converter = new Audio2TextJS({ modelsDir: '/nonexistent' });
+const settings = (inputFile, inputFingerprint) => converter.getJobSettings(inputFile, 'tiny', 'auto', {}, inputFingerprint);
+
+test('identifies Buffer input by its contents', async () => {
+    const upload = await settings(Buffer.from('first upload'));
+
+    assert.deepEqual(upload.input, { size: 12, sha256: '34d9215f1240ef8b83f93a7a492bd29fd0f77c26672316e8a9a0accdfda35fc3' });
+    assert.deepEqual(await settings(Buffer.from('first upload')), upload);
+    assert.notDeepEqual((await settings(Buffer.from('other upload'))).input, upload.input);
+});
+
+test('identifies the input by the fingerprint when given', async () => {
+    assert.deepEqual((await settings(Readable.from([]), 'upload-42')).input, { fingerprint: 'upload-42' });
+    assert.deepEqual((await settings(Buffer.from('audio'), 'upload-42')).input, { fingerprint: 'upload-42' });
+});
+
+test('rejects a resumable stream job without a fingerprint', async () => {
+    await assert.rejects(converter.runWhisper(Readable.from([]), 'tiny', 'auto', { jobId: 'upload' }), RangeError);
+    await assert.rejects(converter.runWhisper(Buffer.from('audio'), 'tiny', 'auto', { jobId: 'upload', inputFingerprint: '' }), RangeError);
+});
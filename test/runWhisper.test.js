@@ -0,0 +1,277 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import Audio2TextJS, { Audio2TextError, AbortError, ConversionError, UnsupportedLanguageError } from '../src/Audio2TextJS.js';
+
+// The binaries are shell scripts standing in for ffmpeg, ffprobe and whisper
+const skip = process.platform === 'win32' && 'needs POSIX shell scripts';
+
+let dir;
+let model;
+let input;
+
+/**
+ * Writes an executable shell script.
+ * @param {string} name - File name in the test directory.
+ * @param {string} body - The script, without the shebang.
+ * @returns {Promise<string>} - The path of the script.
+ */
+async function writeScript(name, body) {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+    return file;
+}
+
+/**
+ * Creates a converter using the fake binaries, with the given options on top.
+ * @param {Object} [options={}] - More Audio2TextJS options.
+ * @returns {Audio2TextJS}
+ */
+async function createConverter(options = {}) {
+    return new Audio2TextJS({
+        ffmpegPath: await writeScript('ffmpeg', 'echo "ffmpeg broke" >&2\nexit 1'),
+        // A 20 second WAV at 16 kHz, so the input is used as it is
+        ffprobePath: await writeScript('ffprobe', 'case "$*" in *sample_rate*) echo 16000 ;; *) echo 20 ;; esac'),
+        whisperPath: await writeScript('whisper', 'exit 1'),
+        workDir: dir,
+        modelsDir: dir,
+        offline: false,
+        ...options,
+    });
+}
+
+/**
+ * Writes one second of silence as a 16 kHz mono integer PCM WAV file.
+ * @param {string} file - Path of the file.
+ * @param {number} bitsPerSample - Sample size, e.g. 16 or 32.
+ * @returns {Promise<void>}
+ */
+async function writeSilentWav(file, bitsPerSample) {
+    const bytes = bitsPerSample / 8;
+    const data = Buffer.alloc(16000 * bytes);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(16000, 24);
+    header.writeUInt32LE(16000 * bytes, 28);
+    header.writeUInt16LE(bytes, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+    await fs.writeFile(file, Buffer.concat([header, data]));
+}
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    model = path.join(dir, 'ggml-test.bin');
+    const header = Buffer.alloc(64);
+    header.writeUInt32LE(0x67676d6c, 0);
+    await fs.writeFile(model, header);
+    input = path.join(dir, 'input.wav');
+    await fs.writeFile(input, '');
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('fails with a typed error when the job directory cannot be created', { skip }, async () => {
+    const converter = await createConverter({ workDir: path.join(dir, 'missing') });
+
+    const result = await converter.runWhisper(input, model, 'auto');
+    assert.equal(result.success, false);
+    assert.ok(result.error instanceof Audio2TextError);
+    assert.match(result.message, /Failed to create the job directory/);
+    assert.equal(result.error.cause.code, 'ENOENT');
+
+    const detected = await converter.detectLanguage(input, { model });
+    assert.equal(detected.success, false);
+    assert.ok(detected.error instanceof Audio2TextError);
+});
+
+test('fails with a ConversionError when a chunk cannot be extracted', { skip }, async () => {
+    const converter = await createConverter({ chunkMinutes: 1 / 6, chunkOverlap: 0 });
+
+    const result = await converter.runWhisper(input, model, 'auto');
+    assert.equal(result.success, false);
+    assert.ok(result.error instanceof ConversionError);
+    assert.equal(result.error.input, input);
+    assert.match(result.message, /Failed to split the audio into chunks: Failed to extract 0s-10s: ffmpeg broke/);
+
+    converter.options.throwOnError = true;
+    await assert.rejects(converter.runWhisper(input, model, 'auto'), ConversionError);
+    assert.deepEqual((await fs.readdir(dir)).filter(file => file.startsWith('audio2textjs-')), []);
+});
+
+test('converts WAV input to 16-bit mono PCM for voice activity detection', { skip }, async () => {
+    const pcm16File = path.join(dir, 'pcm16.wav');
+    await writeSilentWav(pcm16File, 16);
+    const argsFile = path.join(dir, 'ffmpeg-args');
+    // Records its arguments and writes a 16-bit WAV to the output file, its last argument
+    const converter = await createConverter({
+        vad: true,
+        ffmpegPath: await writeScript('ffmpeg-pcm16', `echo "$*" > '${argsFile}'\nfor arg; do output="$arg"; done\ncp '${pcm16File}' "$output"`),
+    });
+    const wavFile = path.join(dir, 'int32.wav');
+    await writeSilentWav(wavFile, 32);
+
+    const result = await converter.runWhisper(wavFile, model, 'auto');
+    assert.equal(result.success, true, result.message);
+    assert.deepEqual(result.speech.regions, []);
+    assert.match(await fs.readFile(argsFile, 'utf8'), new RegExp(`^-y -i ${wavFile} -ar 16000 -ac 1 -c:a pcm_s16le \\S+\\.OUTPUT\\.wav\\n$`));
+});
+
+test('fails with a ConversionError when voice activity detection fails', { skip }, async () => {
+    const wavFile = path.join(dir, 'int32.wav');
+    await writeSilentWav(wavFile, 32);
+    // An ffmpeg that leaves the 32-bit samples as they are
+    const converter = await createConverter({
+        vad: true,
+        ffmpegPath: await writeScript('ffmpeg-copy', `for arg; do output="$arg"; done\ncp '${wavFile}' "$output"`),
+    });
+
+    const result = await converter.runWhisper(wavFile, model, 'auto');
+    assert.equal(result.success, false);
+    assert.ok(result.error instanceof ConversionError);
+    assert.match(result.message, /Voice activity detection failed/);
+});
+
+test('fails with an UnsupportedLanguageError for an unsupported language', { skip }, async () => {
+    const converter = await createConverter();
+
+    const result = await converter.runWhisper(input, model, 'klingon');
+    assert.equal(result.success, false);
+    assert.ok(result.error instanceof UnsupportedLanguageError);
+    assert.equal(result.error.language, 'klingon');
+    assert.match(result.message, /^Unsupported language: "klingon"/);
+
+    converter.options.throwOnError = true;
+    await assert.rejects(converter.runWhisper(input, model, 'klingon'), UnsupportedLanguageError);
+});
+
+test('ranks the languages detected in 30-second windows', { skip }, async () => {
+    const converter = await createConverter({
+        // 70 seconds of audio: windows at 0, 30 and 60 seconds
+        ffprobePath: await writeScript('ffprobe-70s', 'case "$*" in *sample_rate*) echo 16000 ;; *) echo 70 ;; esac'),
+        whisperPath: await writeScript('whisper-windows', [
+            'case "$*" in',
+            '*"--offset-t 30000 --duration 30000"*) echo "whisper_full_with_state: auto-detected language: ar (p = 0.600000)" >&2 ;;',
+            '*"--offset-t 60000 --duration 10000"*) echo "whisper_full_with_state: auto-detected language: en (p = 0.300000)" >&2 ;;',
+            '*"--offset-t 0 --duration 30000"*) echo "whisper_full_with_state: auto-detected language: en (p = 0.900000)" >&2 ;;',
+            'esac',
+        ].join('\n')),
+    });
+
+    const result = await converter.detectLanguage(input, { model, duration: 120000 });
+    assert.equal(result.success, true);
+    assert.deepEqual([result.language, result.name], ['en', 'english']);
+    assert.deepEqual(result.candidates.map(candidate => candidate.language), ['en', 'ar']);
+    assert.ok(Math.abs(result.probability - 0.4) < 1e-9);
+    assert.ok(Math.abs(result.candidates[1].probability - 0.2) < 1e-9);
+
+    const single = await converter.detectLanguage(input, { model });
+    assert.deepEqual(single.candidates, [{ language: 'en', name: 'english', probability: 0.9 }]);
+});
+
+/**
+ * Writes a whisper stand-in that prints one segment and writes it as the JSON output, after `delay` seconds.
+ * @param {number} [delay=0] - Seconds to wait first.
+ * @returns {Promise<string>} - The path of the script.
+ */
+async function writeWhisper(delay = 0) {
+    const json = JSON.stringify({ transcription: [{ timestamps: { from: '00:00:00,000', to: '00:00:02,000' }, offsets: { from: 0, to: 2000 }, text: ' Hello world.' }] });
+    return writeScript(`whisper-${delay}s`, [
+        'while [ $# -gt 0 ]; do [ "$1" = "--output-file" ] && base="$2"; shift; done',
+        // Ends the sleep when it is killed, so no process outlives the test
+        `sleep ${delay} & pid=$!`,
+        'trap \'kill $pid; exit 143\' TERM',
+        'wait $pid',
+        'echo "[00:00:00.000 --> 00:00:02.000]   Hello world."',
+        `echo '${json}' > "$base.json"`,
+    ].join('\n'));
+}
+
+test('removes the job directory after a job succeeds, fails or is aborted', { skip }, async () => {
+    const workDir = await fs.mkdtemp(path.join(dir, 'jobs-'));
+    const pcm16File = path.join(dir, 'pcm16.wav');
+    await writeSilentWav(pcm16File, 16);
+    const mp3 = path.join(dir, 'input.mp3');
+    await fs.writeFile(mp3, 'mp3');
+    const options = {
+        workDir,
+        // Writes a 16-bit WAV to the output file, its last argument, so conversion leaves files in the job directory
+        ffmpegPath: await writeScript('ffmpeg-convert', `for arg; do output="$arg"; done\ncp '${pcm16File}' "$output"`),
+    };
+    const jobDirs = async () => (await fs.readdir(workDir)).filter(file => file.startsWith('audio2textjs-'));
+
+    const done = await (await createConverter({ ...options, whisperPath: await writeWhisper() })).runWhisper(mp3, model, 'en');
+    assert.equal(done.success, true, done.message);
+    assert.equal(done.transcript.text, 'Hello world.');
+    assert.deepEqual(await jobDirs(), []);
+
+    const failed = await (await createConverter(options)).runWhisper(mp3, model, 'en');
+    assert.equal(failed.success, false);
+    assert.deepEqual(await jobDirs(), []);
+
+    const converter = await createConverter({ ...options, whisperPath: await writeWhisper(5) });
+    const controller = new AbortController();
+    converter.on('stage', ({ stage }) => stage === 'transcribing' && setTimeout(() => controller.abort(), 50));
+    await assert.rejects(converter.runWhisper(mp3, model, 'en', { signal: controller.signal }), AbortError);
+    assert.deepEqual(await jobDirs(), []);
+
+    const kept = await (await createConverter({ ...options, whisperPath: await writeWhisper(), keepTempFiles: true })).runWhisper(mp3, model, 'en');
+    assert.deepEqual(await jobDirs(), [path.basename(kept.tempDir)]);
+});
+
+test('transcribes Buffer and stream input piped into ffmpeg', { skip }, async () => {
+    const pcm16File = path.join(dir, 'pcm16.wav');
+    await writeSilentWav(pcm16File, 16);
+    const stdinFile = path.join(dir, 'stdin.bin');
+    const converter = await createConverter({
+        // Saves what it reads from stdin and writes a 16-bit WAV to the output file, its last argument
+        ffmpegPath: await writeScript('ffmpeg-stdin', `for arg; do output="$arg"; done\ncat > '${stdinFile}'\ncp '${pcm16File}' "$output"`),
+        whisperPath: await writeWhisper(),
+    });
+
+    for (const input of [Buffer.from('upload'), Readable.from([Buffer.from('up'), Buffer.from('load')]), Readable.toWeb(Readable.from([Buffer.from('upload')]))]) {
+        const result = await converter.runWhisper(input, model, 'en');
+        assert.equal(result.success, true, result.message);
+        assert.equal(result.transcript.text, 'Hello world.');
+        assert.equal(await fs.readFile(stdinFile, 'utf8'), 'upload');
+    }
+});
+
+test('fails with a ConversionError when the input stream errors', { skip }, async () => {
+    const workDir = await fs.mkdtemp(path.join(dir, 'jobs-'));
+    const converter = await createConverter({
+        workDir,
+        ffmpegPath: await writeScript('ffmpeg-read', 'cat > /dev/null'),
+        whisperPath: await writeWhisper(),
+    });
+    const input = new Readable({ read() { } });
+    input.push('first part of the upload');
+    setTimeout(() => input.destroy(new Error('connection reset')), 50);
+
+    const result = await converter.runWhisper(input, model, 'en');
+    assert.equal(result.success, false);
+    assert.ok(result.error instanceof ConversionError);
+    assert.equal(result.error.input, null);
+    assert.match(result.message, /Failed to read input stream: connection reset/);
+    assert.deepEqual(await fs.readdir(workDir), []);
+});
@@ -0,0 +1,66 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Transcript from '../src/Transcript.js';
+import stitchTranscripts from '../src/stitchTranscripts.js';
+
+/**
+ * Builds a transcript from `[start, end, text]` tuples.
+ * @param {Array<[number, number, string]>} segments - The segments.
+ * @param {string|null} [language=null] - The language.
+ * @returns {Transcript} - The transcript.
+ */
+function transcriptOf(segments, language = null) {
+    return new Transcript({
+        language,
+        segments: segments.map(([start, end, text], id) => ({ id, start, end, text, tokens: [{ text: ` ${text}`, start, end, probability: 0.5 }] })),
+    });
+}
+
+test('moves segments to the original timeline', () => {
+    const transcript = stitchTranscripts([
+        { start: 0, end: 10000, transcript: transcriptOf([[0, 4000, 'one'], [4000, 9000, 'two']], 'en') },
+        { start: 10000, end: 20000, transcript: transcriptOf([[500, 3000, 'three']]) },
+    ]);
+
+    assert.equal(transcript.language, 'en');
+    assert.deepEqual(transcript.segments.map(segment => [segment.id, segment.start, segment.end, segment.text]), [
+        [0, 0, 4000, 'one'],
+        [1, 4000, 9000, 'two'],
+        [2, 10500, 13000, 'three'],
+    ]);
+    assert.deepEqual([transcript.segments[2].tokens[0].start, transcript.segments[2].tokens[0].end], [10500, 13000]);
+});
+
+test('cuts overlapping chunks at the middle of the overlap', () => {
+    // The chunks overlap from 8 to 12 s: the cut is at 10 s
+    const transcript = stitchTranscripts([
+        { start: 0, end: 12000, transcript: transcriptOf([[0, 7000, 'first part'], [7000, 12000, 'clipped sent']]) },
+        { start: 8000, end: 20000, transcript: transcriptOf([[0, 1500, 'ignored'], [1500, 5000, 'clipped sentence complete'], [5000, 9000, 'last']]) },
+    ]);
+
+    assert.deepEqual(transcript.segments.map(segment => segment.text), ['first part', 'clipped sentence complete', 'last']);
+});
+
+test('drops words repeated across the cut', () => {
+    const transcript = stitchTranscripts([
+        { start: 0, end: 12000, transcript: transcriptOf([[0, 9900, 'we went to the market']]) },
+        { start: 8000, end: 20000, transcript: transcriptOf([[1000, 4000, 'The market, then home'], [4000, 5000, 'market']]) },
+    ]);
+
+    assert.deepEqual(transcript.segments.map(segment => [segment.start, segment.text]), [[0, 'we went to the market'], [9000, 'then home'], [12000, 'market']]);
+});
+
+test('stitches nothing into an empty transcript', () => {
+    const transcript = stitchTranscripts([]);
+
+    assert.equal(transcript.language, null);
+    assert.deepEqual(transcript.segments, []);
+});
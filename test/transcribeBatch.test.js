@@ -0,0 +1,67 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Audio2TextJS, { AbortError, WhisperProcessError } from '../src/Audio2TextJS.js';
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio2textjs-test-'));
+    for (const file of ['a.wav', 'b.wav', 'c.wav']) await fs.writeFile(path.join(dir, file), '');
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('reports every file of a batch from the finished jobs', async () => {
+    const converter = new Audio2TextJS({ ffprobePath: path.join(dir, 'ffprobe'), modelsDir: dir });
+    const calls = [];
+    converter.runWhisper = async (inputFile, model, language, options) => {
+        calls.push({ inputFile, model, outputDir: options.outputDir, outputName: options.outputName });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (inputFile.endsWith('b.wav')) return { success: false, message: 'Whisper process failed with code 3.', error: new WhisperProcessError('Whisper process failed with code 3.') };
+        return { success: true, message: 'Conversion completed successfully.', output: [{ type: 'txt', data: 'x'.repeat(1024), outputFile: `${inputFile}.txt` }] };
+    };
+    const files = [];
+    converter.on('file', report => files.push(report.input));
+
+    const report = await converter.transcribeBatch(dir, { model: 'tiny', concurrency: 2 });
+
+    assert.deepEqual(calls.map(call => path.basename(call.inputFile)).sort(), ['a.wav', 'b.wav', 'c.wav']);
+    assert.ok(calls.every(call => call.model === 'tiny' && call.outputDir === dir));
+    assert.deepEqual(report.files.map(file => [path.basename(file.input), file.status, file.message]), [
+        ['a.wav', 'done', 'Conversion completed successfully.'],
+        ['b.wav', 'failed', 'Whisper process failed with code 3.'],
+        ['c.wav', 'done', 'Conversion completed successfully.'],
+    ]);
+    assert.equal(files.length, 3);
+    assert.deepEqual([report.total, report.succeeded, report.failed, report.skipped, report.cancelled], [3, 2, 1, 0, 0]);
+    assert.equal(report.success, false);
+    assert.ok(report.files.every(file => typeof file.duration === 'number'));
+});
+
+test('reports the files of a cancelled batch', async () => {
+    const converter = new Audio2TextJS({ ffprobePath: path.join(dir, 'ffprobe'), modelsDir: dir });
+    const controller = new AbortController();
+    converter.runWhisper = (inputFile, model, language, { signal }) => new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(new AbortError());
+        signal.addEventListener('abort', () => reject(new AbortError()), { once: true });
+        controller.abort();
+    });
+
+    const report = await converter.transcribeBatch(dir, { signal: controller.signal });
+
+    assert.deepEqual(report.files.map(file => file.status), ['cancelled', 'cancelled', 'cancelled']);
+    assert.equal(report.cancelled, 3);
+});
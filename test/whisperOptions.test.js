@@ -0,0 +1,37 @@
+/**
+ * LICENSE MIT
+ * Copyright (c) 2024 rn0x
+ * github: https://github.com/rn0x
+ * telegram: https://t.me/F93ii
+ * repository: https://github.com/rn0x/Audio2TextJS
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateWhisperOptions, pickWhisperOptions, toWhisperArgs } from '../src/whisperOptions.js';
+
+test('accepts valid options and ignores unknown keys', () => {
+    assert.doesNotThrow(() => validateWhisperOptions({ threads: 4, beamSize: 5, temperature: 0.2, translate: true, prompt: 'Zoom', other: 'x' }));
+    assert.doesNotThrow(() => validateWhisperOptions({ threads: undefined }));
+});
+
+test('rejects values of the wrong type or out of range', () => {
+    assert.throws(() => validateWhisperOptions({ threads: 0 }), { name: 'RangeError', message: 'Invalid threads: 0. Must be an integer >= 1.' });
+    assert.throws(() => validateWhisperOptions({ beamSize: 17 }), { name: 'RangeError', message: 'Invalid beamSize: 17. Must be an integer between 1 and 16.' });
+    assert.throws(() => validateWhisperOptions({ temperature: 'hot' }), { name: 'RangeError', message: 'Invalid temperature: "hot". Must be a number between 0 and 1.' });
+    assert.throws(() => validateWhisperOptions({ offset: 1.5 }), RangeError);
+    assert.throws(() => validateWhisperOptions({ translate: 'yes' }), { name: 'RangeError', message: 'Invalid translate: "yes". Must be a boolean.' });
+});
+
+test('picks whisper options, later sources winning', () => {
+    assert.deepEqual(pickWhisperOptions({ threads: 2, beamSize: 5, outputJson: true }, { threads: 4, beamSize: undefined }, null), { threads: 4, beamSize: 5 });
+});
+
+test('maps options to arguments in a fixed order', () => {
+    assert.deepEqual(toWhisperArgs({ translate: true, threads: 4, noFallback: false, prompt: 'a b', temperature: 0 }), [
+        '--threads', '4',
+        '--temperature', '0',
+        '--prompt', 'a b',
+        '--translate',
+    ]);
+});